@@ -0,0 +1,48 @@
+/**
+ * AI Configuration
+ *
+ * Model settings and loop limits for the AI controller, read from a JSON
+ * file (server/ai-config.json by default, or AI_CONFIG). Top-level values
+ * apply to every robot; entries under "robots" override them per robot name.
+ */
+
+import { readFileSync } from 'fs';
+
+export const DEFAULT_AI_CONFIG = {
+  model: 'claude-sonnet-4-5-20250929',
+  max_tokens: 4096,
+  temperature: null, // null = API default
+  max_iterations: 20, // Safety limit for tool call loops
+  system_prompt: null, // null = robot template from prompts.js
+  robots: {}
+};
+
+/**
+ * Read and validate the config file.
+ * @param {string} path - Path to the JSON config
+ * @returns {object}
+ */
+export function loadAIConfig(path) {
+  const config = { ...DEFAULT_AI_CONFIG, ...JSON.parse(readFileSync(path, 'utf8')) };
+
+  for (const [name, settings] of [['(default)', config], ...Object.entries(config.robots ?? {})]) {
+    if (settings.max_iterations !== undefined && !(Number.isInteger(settings.max_iterations) && settings.max_iterations > 0)) {
+      throw new Error(`max_iterations for ${name} must be a positive integer`);
+    }
+    if (settings.max_tokens !== undefined && !(Number.isInteger(settings.max_tokens) && settings.max_tokens > 0)) {
+      throw new Error(`max_tokens for ${name} must be a positive integer`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Settings for one robot, with its overrides applied.
+ * @param {object} config - Loaded config
+ * @param {string|null} robotName
+ * @returns {{model: string, max_tokens: number, temperature: number|null, max_iterations: number, system_prompt: string|null}}
+ */
+export function resolveRobotConfig(config, robotName) {
+  const { robots, ...base } = config;
+  return { ...base, ...(robotName ? robots?.[robotName] : null) };
+}
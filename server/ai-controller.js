@@ -3,42 +3,32 @@
  *
  * Manages conversation with Claude, handles tool calls,
  * and translates between natural language and robot commands.
+ * The model itself is reached through a pluggable backend (see model-backends.js).
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-import { TOOL_DEFINITIONS, executeTool } from './tools.js';
-
-const SYSTEM_PROMPT = `You are an AI controller for an XLeRobot, a dual-arm mobile robot operating in a MuJoCo physics simulation. The simulation renders a realistic 3D environment using Gaussian Splatting.
-
-## Your Capabilities
-You can see through the robot's head-mounted camera, observe the scene from a third-person orbit camera, and read structured state data about the environment. You control the robot by calling tools to move its base, arms, head, and grippers.
-
-## The Robot
-- **Mobile base**: Can drive forward/backward and turn left/right
-- **Two arms** (left and right): Each has a 2-link IK chain for positioning the end effector, plus shoulder rotation, wrist roll, and a gripper
-- **Head camera**: Pan/tilt head with an RGB camera mounted on it
-- **Grippers**: Can open and close to grasp objects
-
-## The Environment
-The robot is in a tabletop environment with tables, walls, and potentially manipulable objects. Object positions are in MuJoCo coordinates (X=forward from world origin, Y=left, Z=up).
-
-## Your Approach
-1. **Always observe first**: Before acting, use observe_scene or get_scene_objects to understand the current state
-2. **Plan step by step**: Break complex tasks into smaller actions
-3. **Verify after acting**: After moving, observe again to confirm you reached the goal
-4. **Be descriptive**: Tell the user what you see and what you're doing
-5. **Use navigate_to for movement**: For going to named objects, prefer navigate_to over manual move_base calls
-
-## Important Notes
-- The robot starts at approximately (0, 0) facing the +X direction
-- Tables are typically at heights around 0.4-0.8m
-- Arm coordinates are relative to the shoulder, not the world
-- Forward/backward base movement is along the robot's facing direction
-- Head camera gives you the robot's first-person view`;
+import { AnthropicBackend } from './model-backends.js';
+import { getToolDefinitions, executeTool, isReadOnlyTool } from './tools.js';
+import { compactHistory } from './context-compactor.js';
+import { buildSystemPrompt } from './prompts.js';
+import { DEFAULT_AI_CONFIG, resolveRobotConfig } from './ai-config.js';
 
 export class AIController {
-  constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+  /**
+   * @param {string} apiKey - Anthropic API key (unused when a backend is given)
+   * @param {object} [options]
+   * @param {string} [options.chatId] - Chat session this controller belongs to
+   * @param {HistoryStore} [options.historyStore] - Where to persist the conversation
+   * @param {object} [options.backend] - Model backend; defaults to the Anthropic API
+   * @param {object} [options.compaction] - Context compaction limits (see context-compactor.js)
+   * @param {object} [options.config] - Model and loop settings (see ai-config.js)
+   */
+  constructor(apiKey, { chatId = null, historyStore = null, backend = null, compaction = {}, config = DEFAULT_AI_CONFIG } = {}) {
+    this.backend = backend ?? new AnthropicBackend(apiKey);
+    this.compaction = compaction;
+    this.config = config;
+    this.robotInfo = null;
+    this.chatId = chatId;
+    this.historyStore = historyStore;
     this.conversationHistory = [];
     this.dataSourceOverrides = {
       head_camera: true,
@@ -57,15 +47,25 @@ export class AIController {
     if (state_data !== undefined) this.dataSourceOverrides.state_data = state_data;
   }
 
+  /**
+   * Set the robot the conversation is controlling, as reported by the browser.
+   * Selects the system prompt, tools and per-robot settings for the next message.
+   * @param {object|null} robotInfo - {robot, description, type, environment, capabilities}
+   */
+  setRobot(robotInfo) {
+    this.robotInfo = robotInfo ?? null;
+  }
+
   /**
    * Process a user message through Claude, executing any tool calls.
    *
    * @param {string} userMessage - Natural language message from the user
    * @param {function} sendCommand - Async fn to send commands to the browser sim
    * @param {function} onStream - Callback for streaming text/status updates to the chat UI
+   * @param {function} [onTrace] - Callback receiving a trace entry for each executed tool
    * @returns {Promise<string>} - Claude's final text response
    */
-  async processMessage(userMessage, sendCommand, onStream) {
+  async processMessage(userMessage, sendCommand, onStream, onTrace = null) {
     this.conversationHistory.push({
       role: 'user',
       content: userMessage
@@ -75,22 +75,55 @@ export class AIController {
     this._abortController = new AbortController();
     const signal = this._abortController.signal;
 
+    const settings = resolveRobotConfig(this.config, this.robotInfo?.robot);
+    const systemPrompt = settings.system_prompt ?? buildSystemPrompt(this.robotInfo);
+    const tools = getToolDefinitions(this.robotInfo?.capabilities);
+
     let finalText = '';
-    let maxIterations = 20; // Safety limit for tool call loops
+    let maxIterations = settings.max_iterations; // Safety limit for tool call loops
 
     try {
       while (maxIterations-- > 0) {
         if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 
+        // Keep old camera frames and tool output from growing the request
+        // forever. Only the request is compacted; the stored history, and the
+        // transcript restored from it, stay complete.
+        const messages = structuredClone(this.conversationHistory);
+        const compacted = compactHistory(messages, this.compaction);
+        if (compacted.imagesRemoved || compacted.resultsSummarized || compacted.messagesDropped) {
+          console.log(`Chat ${this.chatId ?? '-'}: compacted context`, compacted);
+        }
+
         onStream({ type: 'status', text: 'Thinking...' });
 
-        const response = await this.client.messages.create({
-          model: 'claude-sonnet-4-5-20250929',
-          max_tokens: 4096,
-          system: SYSTEM_PROMPT,
-          tools: TOOL_DEFINITIONS,
-          messages: this.conversationHistory
-        });
+        // Forward partial text and tool input so long turns render as they arrive
+        const onDelta = (delta) => {
+          if (delta.type === 'text') {
+            onStream({ type: 'text_delta', block: 'text', index: delta.index, text: delta.text });
+          } else if (delta.type === 'tool_input') {
+            onStream({
+              type: 'text_delta',
+              block: 'tool_use',
+              index: delta.index,
+              name: delta.name,
+              text: delta.partial_json
+            });
+          }
+        };
+
+        const request = {
+          model: settings.model,
+          max_tokens: settings.max_tokens,
+          system: systemPrompt,
+          tools,
+          messages
+        };
+        if (settings.temperature !== null && settings.temperature !== undefined) {
+          request.temperature = settings.temperature;
+        }
+
+        const response = await this.backend.createMessage(request, { signal, onDelta });
 
         if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 
@@ -105,19 +138,21 @@ export class AIController {
         let textParts = [];
         let toolUseBlocks = [];
 
-        for (const block of assistantContent) {
+        // Complete blocks follow their deltas; `index` ties them together
+        assistantContent.forEach((block, index) => {
           if (block.type === 'text') {
             textParts.push(block.text);
-            onStream({ type: 'text', text: block.text });
+            onStream({ type: 'text', index, text: block.text });
           } else if (block.type === 'tool_use') {
             toolUseBlocks.push(block);
             onStream({
               type: 'tool_call',
+              index,
               name: block.name,
               input: block.input
             });
           }
-        }
+        });
 
         finalText += textParts.join('');
 
@@ -126,32 +161,33 @@ export class AIController {
           break;
         }
 
-        // Execute tool calls and collect results
+        // Execute tool calls and collect results. Consecutive read-only tools
+        // run together; anything that moves the robot runs on its own, in order.
         const toolResults = [];
-        for (const toolBlock of toolUseBlocks) {
+        for (const batch of this._batchToolCalls(toolUseBlocks)) {
           if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 
           onStream({
             type: 'status',
-            text: `Executing: ${toolBlock.name}...`
+            text: `Executing: ${batch.map(block => block.name).join(', ')}...`
           });
 
-          const result = await executeTool(
+          const results = await Promise.all(batch.map(toolBlock => executeTool(
             toolBlock.name,
             toolBlock.input,
             sendCommand,
-            this.dataSourceOverrides
-          );
+            this.dataSourceOverrides,
+            onTrace
+          )));
 
           if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
 
-          // Build tool result content
-          const resultContent = this._buildToolResultContent(toolBlock.name, result);
-
-          toolResults.push({
-            type: 'tool_result',
-            tool_use_id: toolBlock.id,
-            content: resultContent
+          batch.forEach((toolBlock, i) => {
+            toolResults.push({
+              type: 'tool_result',
+              tool_use_id: toolBlock.id,
+              content: this._buildToolResultContent(toolBlock.name, results[i])
+            });
           });
         }
 
@@ -174,6 +210,7 @@ export class AIController {
       throw err;
     } finally {
       this._abortController = null;
+      await this.saveHistory();
     }
 
     return finalText;
@@ -188,6 +225,31 @@ export class AIController {
     }
   }
 
+  /**
+   * Group tool calls into batches that can run concurrently, keeping order:
+   * runs of read-only tools share a batch, every other tool is its own batch.
+   * @param {object[]} toolUseBlocks
+   * @returns {object[][]}
+   */
+  _batchToolCalls(toolUseBlocks) {
+    const batches = [];
+    let readBatch = null;
+
+    for (const block of toolUseBlocks) {
+      if (isReadOnlyTool(block.name)) {
+        if (!readBatch) {
+          readBatch = [];
+          batches.push(readBatch);
+        }
+        readBatch.push(block);
+      } else {
+        readBatch = null;
+        batches.push([block]);
+      }
+    }
+    return batches;
+  }
+
   /**
    * Build the content array for a tool result, handling images properly.
    */
@@ -254,5 +316,76 @@ export class AIController {
    */
   clearHistory() {
     this.conversationHistory = [];
+    return this.saveHistory();
+  }
+
+  /**
+   * Restore the conversation from the history store, if one is configured.
+   */
+  async loadHistory() {
+    if (!this.historyStore || !this.chatId) return;
+
+    const record = await this.historyStore.load(this.chatId);
+    if (record) {
+      this.conversationHistory = Array.isArray(record.messages) ? record.messages : [];
+      if (record.dataSources) {
+        this.setDataSources(record.dataSources);
+      }
+    }
+  }
+
+  /**
+   * Persist the conversation to the history store (best-effort).
+   */
+  async saveHistory() {
+    if (!this.historyStore || !this.chatId) return;
+
+    try {
+      await this.historyStore.save(this.chatId, {
+        id: this.chatId,
+        updatedAt: new Date().toISOString(),
+        dataSources: this.dataSourceOverrides,
+        messages: this.conversationHistory
+      });
+    } catch (err) {
+      console.error(`Failed to save chat history ${this.chatId}:`, err);
+    }
+  }
+
+  /**
+   * Convert the conversation into the message list shown by the chat UI.
+   * @returns {{type: string, text: string}[]}
+   */
+  getTranscript() {
+    return AIController.transcriptOf(this.conversationHistory);
+  }
+
+  /**
+   * Convert stored conversation messages into the message list shown by the
+   * chat UI. Mirrors ChatPanel: one entry per text or tool call block, in order.
+   * @param {object[]} messages - Conversation history (as persisted by saveHistory)
+   * @returns {{type: string, text: string}[]}
+   */
+  static transcriptOf(messages) {
+    const transcript = [];
+
+    for (const message of messages) {
+      if (message.role === 'user') {
+        // Tool results are user messages with array content; not shown in the UI
+        if (typeof message.content === 'string') {
+          transcript.push({ type: 'user', text: message.content });
+        }
+      } else if (message.role === 'assistant' && Array.isArray(message.content)) {
+        for (const block of message.content) {
+          if (block.type === 'text' && block.text) {
+            transcript.push({ type: 'assistant', text: block.text });
+          } else if (block.type === 'tool_use') {
+            transcript.push({ type: 'tool-call', text: `${block.name}(${JSON.stringify(block.input)})` });
+          }
+        }
+      }
+    }
+
+    return transcript;
   }
 }
@@ -0,0 +1,220 @@
+/**
+ * Conversation Context Compaction
+ *
+ * observe_scene returns up to two base64 PNGs per call, and every tool
+ * result stays in the conversation, so request size grows quickly. The
+ * compactor shrinks the messages of each model request; callers pass a
+ * copy, so the stored conversation stays complete:
+ *
+ * 1. Only the most recent camera frames are kept; older images are
+ *    dropped (not downsampled) and replaced by a short text placeholder.
+ * 2. Long tool results outside the most recent turns are replaced by a
+ *    one-line summary: tool name, status and the scalar fields of the
+ *    result. Results that are not JSON are truncated instead.
+ * 3. If the conversation is still over budget, more images and then the
+ *    oldest whole turns are dropped until it fits.
+ *
+ * Sizes are estimates: bytes of the serialized messages, and tokens at
+ * roughly four characters per token plus a fixed cost per image.
+ */
+
+export const DEFAULT_COMPACTION = {
+  keepImages: 4,             // Camera frames kept (at full resolution); older ones are dropped
+  keepRecentMessages: 6,     // Messages whose tool results are never summarized
+  maxToolResultChars: 2000,  // Longer older tool results are summarized within this
+  maxBytes: 4 * 1024 * 1024, // Serialized request budget
+  maxTokens: 150000          // Estimated token budget
+};
+
+// Rough token cost of one camera frame (Anthropic bills images by pixel area)
+const IMAGE_TOKEN_ESTIMATE = 1600;
+
+const OMITTED_IMAGE_TEXT = '[Earlier camera frame removed to save context]';
+
+/**
+ * Estimate the size of a conversation.
+ * @param {object[]} messages
+ * @returns {{bytes: number, tokens: number, images: number}}
+ */
+export function estimateContextSize(messages) {
+  let bytes = 0;
+  let chars = 0;
+  let images = 0;
+
+  for (const message of messages) {
+    bytes += JSON.stringify(message).length;
+    forEachBlock(message, (block) => {
+      if (block.type === 'image') {
+        images++;
+      } else if (block.type === 'text') {
+        chars += block.text.length;
+      } else if (block.type === 'tool_use') {
+        chars += JSON.stringify(block.input).length;
+      }
+    });
+    if (typeof message.content === 'string') {
+      chars += message.content.length;
+    }
+  }
+
+  return { bytes, tokens: Math.ceil(chars / 4) + images * IMAGE_TOKEN_ESTIMATE, images };
+}
+
+/**
+ * Compact a conversation in place. Pass a copy of a conversation that is
+ * kept, e.g. structuredClone(history).
+ * @param {object[]} messages - Anthropic messages (mutated)
+ * @param {object} [options] - Overrides for DEFAULT_COMPACTION; values that are
+ *   not finite numbers (e.g. NaN from a malformed setting) keep the default
+ * @returns {{imagesRemoved: number, resultsSummarized: number, messagesDropped: number}}
+ */
+export function compactHistory(messages, options = {}) {
+  const opts = { ...DEFAULT_COMPACTION };
+  for (const [key, value] of Object.entries(options)) {
+    if (Number.isFinite(value)) {
+      opts[key] = value;
+    }
+  }
+  const stats = { imagesRemoved: 0, resultsSummarized: 0, messagesDropped: 0 };
+
+  stats.imagesRemoved += removeOldImages(messages, opts.keepImages);
+  stats.resultsSummarized += summarizeOldToolResults(messages, opts.keepRecentMessages, opts.maxToolResultChars);
+
+  const overBudget = () => {
+    const size = estimateContextSize(messages);
+    return size.bytes > opts.maxBytes || size.tokens > opts.maxTokens;
+  };
+
+  // Give up images one at a time, newest last
+  let keepImages = opts.keepImages;
+  while (keepImages > 0 && overBudget()) {
+    keepImages--;
+    stats.imagesRemoved += removeOldImages(messages, keepImages);
+  }
+
+  // Then whole turns, oldest first, always keeping the current one
+  while (overBudget()) {
+    const dropped = dropOldestTurn(messages);
+    if (dropped === 0) break;
+    stats.messagesDropped += dropped;
+  }
+
+  return stats;
+}
+
+/**
+ * Replace all but the newest `keep` image blocks with a text placeholder.
+ * @returns {number} Number of images removed
+ */
+function removeOldImages(messages, keep) {
+  const images = [];
+  for (const message of messages) {
+    forEachBlock(message, (block, container, index) => {
+      if (block.type === 'image') {
+        images.push({ container, index });
+      }
+    });
+  }
+
+  const old = images.slice(0, Math.max(0, images.length - keep));
+  for (const { container, index } of old) {
+    container[index] = { type: 'text', text: OMITTED_IMAGE_TEXT };
+  }
+  return old.length;
+}
+
+/**
+ * Replace long text in tool results outside the most recent messages with
+ * a summary line.
+ * @returns {number} Number of text blocks summarized
+ */
+function summarizeOldToolResults(messages, keepRecent, maxChars) {
+  let summarized = 0;
+  const end = Math.max(0, messages.length - keepRecent);
+
+  // tool_result blocks only carry the id of their call
+  const toolNames = new Map();
+  for (const message of messages) {
+    forEachBlock(message, (block) => {
+      if (block.type === 'tool_use') {
+        toolNames.set(block.id, block.name);
+      }
+    });
+  }
+
+  for (let i = 0; i < end; i++) {
+    const message = messages[i];
+    if (message.role !== 'user' || !Array.isArray(message.content)) continue;
+
+    for (const block of message.content) {
+      if (block.type !== 'tool_result' || !Array.isArray(block.content)) continue;
+
+      for (const part of block.content) {
+        if (part.type === 'text' && part.text.length > maxChars) {
+          // The summary fits the limit, so it is not summarized again
+          part.text = summarizeToolResult(toolNames.get(block.tool_use_id) ?? 'tool', part.text, maxChars);
+          summarized++;
+        }
+      }
+    }
+  }
+  return summarized;
+}
+
+/**
+ * One-line summary of a tool result's text, at most `maxChars` long.
+ * JSON objects keep their status and scalar fields; other text is truncated.
+ */
+function summarizeToolResult(toolName, text, maxChars) {
+  let result = null;
+  try {
+    result = JSON.parse(text);
+  } catch (_) {
+    // Not structured; truncated below
+  }
+
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    const note = `\n... [${text.length} characters of an older ${toolName} result truncated]`;
+    return text.slice(0, Math.max(0, maxChars - note.length)) + note;
+  }
+
+  const status = result.error ? `error: ${result.error}` : result.success === false ? 'failed' : 'ok';
+  const fields = Object.entries(result)
+    .filter(([key, value]) => key !== 'error' && key !== 'success' &&
+      (typeof value === 'number' || typeof value === 'boolean' ||
+       (typeof value === 'string' && value.length <= 80)))
+    .map(([key, value]) => `${key}=${value}`);
+
+  const summary = `[Older ${toolName} result summarized from ${text.length} characters] status: ${status}` +
+    (fields.length ? `; ${fields.join(', ')}` : '');
+  return summary.length <= maxChars ? summary : summary.slice(0, Math.max(0, maxChars - 3)) + '...';
+}
+
+/**
+ * Drop the oldest turn: everything before the second user text message.
+ * Cutting at a user text message keeps tool_use / tool_result pairs intact.
+ * @returns {number} Number of messages removed
+ */
+function dropOldestTurn(messages) {
+  const isUserText = (m) => m.role === 'user' && typeof m.content === 'string';
+
+  const next = messages.findIndex((m, i) => i > 0 && isUserText(m));
+  if (next <= 0) return 0;
+
+  messages.splice(0, next);
+  return next;
+}
+
+/**
+ * Visit every content block of a message, including those nested in tool results.
+ */
+function forEachBlock(message, visit) {
+  if (!Array.isArray(message.content)) return;
+
+  message.content.forEach((block, index) => {
+    visit(block, message.content, index);
+    if (block.type === 'tool_result' && Array.isArray(block.content)) {
+      block.content.forEach((part, partIndex) => visit(part, block.content, partIndex));
+    }
+  });
+}
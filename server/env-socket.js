@@ -0,0 +1,119 @@
+/**
+ * RL Environment Socket
+ *
+ * Serves /ws/env, a Gymnasium-style reset/step interface to a connected
+ * simulation, so an external (e.g. Python) client can drive it like a gym
+ * env. Each message is relayed to the simulation as an env_* command and
+ * handled by its RLEnvironment (src/api/RLEnvironment.js).
+ *
+ * Connect to ws://host/ws/env?session=<id>; without a session the most
+ * recently connected simulation is used. A simulation takes one env client
+ * at a time. On connect the server sends {type: 'session', id, robot}.
+ *
+ * Client messages, answered in order with the same `id` and `type`:
+ *   {id, type: 'spec', options?}          -> {observation_space, action_space, actuators, ...}
+ *   {id, type: 'reset', seed?, options?}  -> {observation, info}
+ *   {id, type: 'step', action}            -> {observation, reward, terminated, truncated, info}
+ *   {id, type: 'close'}                   -> {success}
+ * Failures come back as {id, type: 'error', error}. The live simulation is
+ * paused from the first reset until close or disconnect.
+ */
+
+import { WebSocketServer } from 'ws';
+
+const MESSAGE_TYPES = ['spec', 'reset', 'step', 'close'];
+
+// Time allowed for one env command round-trip (ms)
+const ENV_COMMAND_TIMEOUT = 10000;
+
+export class EnvSocketServer {
+  /**
+   * @param {SessionManager} sessions - Connected simulations
+   */
+  constructor(sessions) {
+    this.sessions = sessions;
+    this.clients = new Map(); // sessionId -> env client socket
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', (ws, req) => this._attach(ws, req));
+  }
+
+  /**
+   * Accept an HTTP upgrade request for /ws/env.
+   */
+  handleUpgrade(req, socket, head) {
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit('connection', ws, req));
+  }
+
+  _attach(ws, req) {
+    const sessionId = new URL(req.url, 'http://localhost').searchParams.get('session');
+    const session = this.sessions.resolveSession(sessionId);
+
+    if (!this.sessions.isConnected(session)) {
+      ws.close(1008, 'Simulation not connected');
+      return;
+    }
+    if (this.clients.has(session.id)) {
+      ws.close(1008, `Session ${session.id} already has an environment client`);
+      return;
+    }
+
+    this.clients.set(session.id, ws);
+    console.log(`Environment client connected (session ${session.id})`);
+    ws.send(JSON.stringify({ type: 'session', id: session.id, robot: session.robot?.robot ?? null }));
+
+    // Handle messages one at a time so steps are applied in the order sent
+    let queue = Promise.resolve();
+    ws.on('message', (data) => {
+      queue = queue.then(() => this._handleMessage(ws, session, data));
+    });
+
+    ws.on('close', () => {
+      console.log(`Environment client disconnected (session ${session.id})`);
+      this.clients.delete(session.id);
+
+      // Hand the physics back to the live loop
+      queue.then(() => {
+        if (this.sessions.isConnected(session)) {
+          this.sessions.sendCommand(session.id, 'env_close', {}).catch(() => {});
+        }
+      });
+    });
+
+    ws.on('error', (err) => {
+      console.error('Environment WebSocket error:', err);
+    });
+  }
+
+  async _handleMessage(ws, session, data) {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      this._send(ws, { type: 'error', error: 'Invalid JSON' });
+      return;
+    }
+
+    const { id, type, ...params } = msg;
+    if (!MESSAGE_TYPES.includes(type)) {
+      this._send(ws, { id, type: 'error', error: `Unknown message type "${type}". Expected one of: ${MESSAGE_TYPES.join(', ')}` });
+      return;
+    }
+
+    try {
+      const result = await this.sessions.sendCommand(session.id, `env_${type}`, params, ENV_COMMAND_TIMEOUT);
+      if (result?.error) {
+        this._send(ws, { id, type: 'error', error: result.error });
+      } else {
+        this._send(ws, { id, type, ...result });
+      }
+    } catch (err) {
+      this._send(ws, { id, type: 'error', error: err.message });
+    }
+  }
+
+  _send(ws, msg) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(msg));
+    }
+  }
+}
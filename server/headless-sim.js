@@ -0,0 +1,260 @@
+/**
+ * Headless Simulation
+ *
+ * Runs MuJoCo (mujoco-js) inside the server process, without a browser.
+ * Scenes are composed by SceneManager exactly as in the page, and commands
+ * go through the same SimulationAPI, only without cameras or rendering
+ * (observe_scene reports images_unavailable and returns state data). The
+ * simulation connects to the session manager like a browser tab does, so
+ * chat, trace replay and the sessions API work on it unchanged.
+ *
+ * The controllers and the physics scheduler are module singletons, so a
+ * server process hosts at most one headless simulation.
+ */
+
+import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+import { WebSocket } from 'ws';
+import loadMujoco from 'mujoco-js';
+import { getSceneManager } from '../src/utils/SceneManager.js';
+import { setAssetFetch } from '../src/utils/AssetLoader.js';
+import { keyboardController } from '../src/utils/KeyboardControl.js';
+import { baseVelocityController } from '../src/utils/controllers/BaseVelocityController.js';
+import { physicsScheduler } from '../src/utils/PhysicsScheduler.js';
+import { SimulationAPI } from '../src/api/SimulationAPI.js';
+
+// Wall-clock interval between physics updates (ms)
+const TICK_INTERVAL = 10;
+
+// Longest one update may keep the event loop busy stepping (ms). A
+// simulation that falls further behind drops the backlog and runs slower
+// than real time, as the browser does.
+const TICK_BUDGET = 30;
+
+/**
+ * Server end of a headless simulation's connection. Looks like the `ws`
+ * socket of a browser tab to the server and routes its messages straight
+ * to the simulation.
+ */
+class HeadlessSocket extends EventEmitter {
+  constructor(simulation) {
+    super();
+    this.simulation = simulation;
+    this.readyState = WebSocket.OPEN;
+  }
+
+  /**
+   * Deliver a server message to the simulation.
+   * @param {string} message - JSON message
+   */
+  send(message) {
+    this.simulation._handleMessage(JSON.parse(message));
+  }
+
+  close() {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSED;
+    this.emit('close');
+  }
+}
+
+export class HeadlessSimulation {
+  /**
+   * @param {object} options
+   * @param {string} options.projectRoot - Directory the ./assets paths resolve against
+   * @param {number|'max'} [options.speed=1] - Real-time factor; 'max' steps as fast as
+   *   possible while a command is waiting on simulated time and in real time otherwise
+   */
+  constructor({ projectRoot, speed = 1 }) {
+    this.projectRoot = projectRoot;
+    this.speed = speed;
+
+    this.mujoco = null;
+    this.model = null;
+    this.data = null;
+    this.sceneManager = null;
+    this.params = { environment: null, robot: null, paused: false };
+
+    // Motion policies need onnxruntime in the page; see SimulationAPI.getCapabilities
+    this.policyEnabled = false;
+
+    this.simApi = new SimulationAPI(this, null);
+    this.socket = new HeadlessSocket(this);
+    this.sessionId = null;
+
+    this._timer = null;
+    this._lastTick = 0;
+    this._backlog = 0;
+  }
+
+  /**
+   * Load mujoco-js and set up its virtual filesystem the way main.js does.
+   */
+  async init() {
+    setAssetFetch(async (path) => {
+      try {
+        return new Response(await readFile(resolve(this.projectRoot, path)));
+      } catch (err) {
+        return new Response(null, { status: 404, statusText: err.code });
+      }
+    });
+
+    this.mujoco = await loadMujoco();
+    this.mujoco.FS.mkdir('/working');
+    this.mujoco.FS.mount(this.mujoco.MEMFS, { root: '.' }, '/working');
+    this.sceneManager = getSceneManager(this.mujoco);
+  }
+
+  /**
+   * Compose and load a modular scene, replacing the current one.
+   * @param {string} environment - SceneManager.ENV_CONFIGS key (e.g., 'tabletop')
+   * @param {string} robot - SceneManager.ROBOT_CONFIGS key (e.g., 'xlerobot')
+   */
+  async loadScene(environment, robot) {
+    const scenePath = await this.sceneManager.loadModularScene(environment, robot);
+    const { mujoco } = this;
+
+    // Stop stepping the old model before it is freed
+    const { model: oldModel, data: oldData } = this;
+    this.model = null;
+    this.data = null;
+    keyboardController.disable();
+    this.simApi.rebuildCaches();
+    oldData?.delete();
+    oldModel?.delete();
+
+    this.model = mujoco.MjModel.loadFromXML(`/working/${scenePath}`);
+    this.data = new mujoco.MjData(this.model);
+    mujoco.mj_forward(this.model, this.data);
+
+    this.params.environment = environment;
+    this.params.robot = robot;
+    this.params.scene = scenePath;
+
+    // The AI drives arms and end effectors through the keyboard controllers
+    if (keyboardController.hasConfig(robot)) {
+      await keyboardController.enable(robot, this.model, this.data, mujoco);
+    }
+
+    this._sendRobotInfo();
+    console.log(`Headless simulation loaded ${robot} in ${environment} (${this.model.nbody} bodies)`);
+  }
+
+  /**
+   * Start stepping physics against the wall clock.
+   */
+  start() {
+    if (this._timer) return;
+    this._lastTick = performance.now();
+    this._backlog = 0;
+    this._timer = setTimeout(() => this._tick(), TICK_INTERVAL);
+  }
+
+  /**
+   * Stop stepping and disconnect from the server.
+   */
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    physicsScheduler.cancelAll();
+    this.socket.close();
+  }
+
+  getAvailableMotions() {
+    return [];
+  }
+
+  /**
+   * Summary for the status API.
+   */
+  getStatus() {
+    return {
+      session_id: this.sessionId,
+      robot: this.params.robot,
+      environment: this.params.environment,
+      sim_time: this.data?.time ?? null,
+      speed: this.speed,
+      running: this._timer !== null
+    };
+  }
+
+  _tick() {
+    const now = performance.now();
+    const elapsed = (now - this._lastTick) / 1000;
+    this._lastTick = now;
+    let fastForward = false;
+
+    if (this.model && !this.params.paused) {
+      const timestep = this.model.opt.timestep;
+      fastForward = this.speed === 'max' && this._isBusy();
+
+      if (fastForward) {
+        // Step until the waiting command can go on, then yield to it
+        while (this._isBusy() && performance.now() - now < TICK_BUDGET) {
+          this._step();
+        }
+        this._backlog = 0;
+      } else {
+        this._backlog += elapsed * (this.speed === 'max' ? 1 : this.speed);
+        while (this._backlog >= timestep && performance.now() - now < TICK_BUDGET) {
+          this._step();
+          this._backlog -= timestep;
+        }
+
+        // Behind real time: drop the backlog instead of trying to catch up
+        if (this._backlog >= timestep) {
+          this._backlog = 0;
+        }
+      }
+    }
+
+    this._timer = setTimeout(() => this._tick(), fastForward ? 0 : TICK_INTERVAL);
+  }
+
+  /**
+   * Whether a command is waiting on simulated time.
+   */
+  _isBusy() {
+    return physicsScheduler.tasks.size > 0 || baseVelocityController.active;
+  }
+
+  /**
+   * One physics step, in the same order as MuJoCoDemo.render.
+   */
+  _step() {
+    // Unawaited as in the page, but a rejection must not take the server down
+    keyboardController.step().catch(err => console.error('Headless controller step failed:', err));
+    baseVelocityController.step(this.model, this.data);
+    this.mujoco.mj_step(this.model, this.data);
+    physicsScheduler.step(this.model.opt.timestep);
+  }
+
+  /**
+   * Handle a message from the server, like WebSocketClient does in the page.
+   */
+  async _handleMessage(msg) {
+    if (msg.type === 'session') {
+      this.sessionId = msg.id;
+    } else if (msg.type === 'command') {
+      let result;
+      try {
+        result = this.model
+          ? await this.simApi.executeCommand(msg.action, msg.params)
+          : { error: 'No scene loaded' };
+      } catch (err) {
+        result = { error: err.message || String(err) };
+      }
+      this._reply({ type: 'command_result', id: msg.id, result, sim_time: this.data?.time });
+    }
+  }
+
+  _sendRobotInfo() {
+    this._reply({ type: 'robot_info', info: this.simApi.getRobotInfo() });
+  }
+
+  _reply(msg) {
+    if (this.socket.readyState !== WebSocket.OPEN) return;
+    this.socket.emit('message', JSON.stringify(msg));
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Chat History Store
+ *
+ * Persists AI conversation histories as JSON files (one file per chat
+ * session) so a server restart does not lose context.
+ */
+
+import { mkdir, readFile, writeFile, rename, unlink, readdir } from 'fs/promises';
+import { join } from 'path';
+
+// Chat IDs become file names, so only allow a safe character set
+const CHAT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export class HistoryStore {
+  /**
+   * @param {string} directory - Directory the history files are written to
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this._ready = null;
+    this._writes = new Map(); // chatId -> promise of the last queued save
+  }
+
+  /**
+   * Check whether a chat ID can be used as a history file name.
+   * @param {string} chatId
+   * @returns {boolean}
+   */
+  static isValidId(chatId) {
+    return typeof chatId === 'string' && CHAT_ID_PATTERN.test(chatId);
+  }
+
+  _ensureDir() {
+    if (!this._ready) {
+      this._ready = mkdir(this.directory, { recursive: true });
+    }
+    return this._ready;
+  }
+
+  _pathFor(chatId) {
+    if (!HistoryStore.isValidId(chatId)) {
+      throw new Error(`Invalid chat id: ${chatId}`);
+    }
+    return join(this.directory, `${chatId}.json`);
+  }
+
+  /**
+   * Load a stored history. A file that does not parse is logged and
+   * treated as an empty history, so one bad file cannot break its chat.
+   * @param {string} chatId
+   * @returns {Promise<object|null>} Stored record, or null if none exists
+   */
+  async load(chatId) {
+    const path = this._pathFor(chatId);
+    let text;
+    try {
+      text = await readFile(path, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      console.warn(`Ignoring unreadable chat history ${path}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write a history record, replacing any previous one. The record goes to
+   * a temporary file that is then renamed over the old one, so a crash
+   * never leaves a half-written history; saves of one chat run in turn.
+   * @param {string} chatId
+   * @param {object} record
+   */
+  async save(chatId, record) {
+    const path = this._pathFor(chatId);
+    const json = JSON.stringify(record);
+
+    const previous = this._writes.get(chatId) ?? Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      await this._ensureDir();
+      await writeFile(`${path}.tmp`, json);
+      await rename(`${path}.tmp`, path);
+    });
+
+    this._writes.set(chatId, write);
+    const forget = () => {
+      if (this._writes.get(chatId) === write) this._writes.delete(chatId);
+    };
+    write.then(forget, forget);
+    await write;
+  }
+
+  /**
+   * Delete a stored history.
+   * @param {string} chatId
+   * @returns {Promise<boolean>} Whether a file was removed
+   */
+  async delete(chatId) {
+    try {
+      await unlink(this._pathFor(chatId));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  /**
+   * List the IDs of all stored chats.
+   * @returns {Promise<string[]>}
+   */
+  async list() {
+    try {
+      const files = await readdir(this.directory);
+      return files
+        .filter(f => f.endsWith('.json'))
+        .map(f => f.slice(0, -'.json'.length));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+}
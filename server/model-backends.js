@@ -0,0 +1,239 @@
+/**
+ * Model Backends for the AI Controller
+ *
+ * AIController talks to the language model through a small backend
+ * interface so the tool loop can run against something other than the
+ * Anthropic API:
+ *
+ *   backend.createMessage(params, { signal, onDelta }) -> { content, stop_reason }
+ *
+ * `params` follows the Anthropic Messages API (model, max_tokens, system,
+ * tools, messages) and the response mirrors its content block format.
+ *
+ * When `onDelta` is given the response is streamed, and partial content is
+ * reported as it arrives:
+ *   { type: 'text', index, text }                    - assistant text
+ *   { type: 'tool_input', index, name, partial_json } - tool input JSON fragment
+ * `index` is the content block the fragment belongs to.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { readFileSync } from 'fs';
+
+/**
+ * Backend that calls the Anthropic Messages API.
+ */
+export class AnthropicBackend {
+  /**
+   * @param {string} apiKey - Anthropic API key
+   */
+  constructor(apiKey) {
+    this.client = new Anthropic({ apiKey });
+  }
+
+  async createMessage(params, { signal, onDelta } = {}) {
+    if (!onDelta) {
+      return this.client.messages.create(params, { signal });
+    }
+
+    const stream = this.client.messages.stream(params, { signal });
+    stream.on('streamEvent', (event, snapshot) => {
+      if (event.type !== 'content_block_delta') return;
+
+      if (event.delta.type === 'text_delta') {
+        onDelta({ type: 'text', index: event.index, text: event.delta.text });
+      } else if (event.delta.type === 'input_json_delta') {
+        onDelta({
+          type: 'tool_input',
+          index: event.index,
+          name: snapshot.content[event.index]?.name,
+          partial_json: event.delta.partial_json
+        });
+      }
+    });
+    return stream.finalMessage();
+  }
+}
+
+// Size of the fragments the scripted backend streams text and tool input in
+const SCRIPTED_CHUNK_SIZE = 12;
+
+/**
+ * Offline backend that replays canned assistant turns from a JSON script.
+ *
+ * Script format (either form):
+ *   { "turns": [ ... ], "loop": false }
+ *   [ ... ]
+ *
+ * Each turn is either raw Anthropic content blocks:
+ *   { "content": [{ "type": "text", "text": "..." }, { "type": "tool_use", "name": "...", "input": {} }] }
+ * or the shorthand:
+ *   { "text": "...", "tool_calls": [{ "name": "observe_scene", "input": {} }], "delay_ms": 200 }
+ *
+ * When streamed, content is emitted in small fragments; `chunk_delay_ms`
+ * on a turn spaces them out to mimic a live model.
+ *
+ * A saved chat history (see HistoryStore) can also be replayed: its
+ * assistant messages are used as the turns.
+ */
+export class ScriptedBackend {
+  /**
+   * @param {object|Array} script - Parsed script (see class comment)
+   */
+  constructor(script) {
+    const { turns, loop } = ScriptedBackend.normalizeScript(script);
+    this.turns = turns;
+    this.loop = loop;
+    this.cursor = 0;
+    this._toolIdCounter = 0;
+  }
+
+  /**
+   * Create a backend from a script file on disk.
+   * @param {string} path - Path to the JSON script
+   * @returns {ScriptedBackend}
+   */
+  static fromFile(path) {
+    return new ScriptedBackend(JSON.parse(readFileSync(path, 'utf8')));
+  }
+
+  static normalizeScript(script) {
+    if (Array.isArray(script)) {
+      return { turns: script, loop: false };
+    }
+    if (script && Array.isArray(script.turns)) {
+      return { turns: script.turns, loop: !!script.loop };
+    }
+    if (script && Array.isArray(script.messages)) {
+      const turns = script.messages
+        .filter(m => m.role === 'assistant')
+        .map(m => ({ content: m.content }));
+      return { turns, loop: false };
+    }
+    throw new Error('Mock script must be an array of turns, { turns: [...] } or a saved chat history');
+  }
+
+  async createMessage(_params, { signal, onDelta } = {}) {
+    if (this.cursor >= this.turns.length) {
+      if (!this.loop || this.turns.length === 0) {
+        return {
+          content: [{ type: 'text', text: '[Mock script finished]' }],
+          stop_reason: 'end_turn'
+        };
+      }
+      this.cursor = 0;
+    }
+
+    const turn = this.turns[this.cursor++];
+
+    if (turn.delay_ms) {
+      await this._wait(turn.delay_ms, signal);
+    }
+
+    const content = this._buildContent(turn);
+    if (onDelta) {
+      await this._streamContent(content, onDelta, turn.chunk_delay_ms, signal);
+    }
+
+    const hasToolUse = content.some(block => block.type === 'tool_use');
+    return {
+      content,
+      stop_reason: turn.stop_reason ?? (hasToolUse ? 'tool_use' : 'end_turn')
+    };
+  }
+
+  _buildContent(turn) {
+    if (Array.isArray(turn.content)) {
+      // Tool use blocks need unique IDs for the tool_result round-trip
+      return turn.content.map(block => (
+        block.type === 'tool_use'
+          ? { ...block, id: this._nextToolId(), input: block.input ?? {} }
+          : { ...block }
+      ));
+    }
+
+    const content = [];
+    if (turn.text) {
+      content.push({ type: 'text', text: turn.text });
+    }
+    for (const call of turn.tool_calls ?? []) {
+      content.push({
+        type: 'tool_use',
+        id: this._nextToolId(),
+        name: call.name,
+        input: call.input ?? {}
+      });
+    }
+    return content;
+  }
+
+  async _streamContent(content, onDelta, chunkDelay, signal) {
+    for (let index = 0; index < content.length; index++) {
+      const block = content[index];
+      let text;
+      if (block.type === 'text') {
+        text = block.text;
+      } else if (block.type === 'tool_use') {
+        text = JSON.stringify(block.input);
+      } else {
+        continue;
+      }
+
+      for (let i = 0; i < text.length; i += SCRIPTED_CHUNK_SIZE) {
+        const chunk = text.slice(i, i + SCRIPTED_CHUNK_SIZE);
+        if (block.type === 'text') {
+          onDelta({ type: 'text', index, text: chunk });
+        } else {
+          onDelta({ type: 'tool_input', index, name: block.name, partial_json: chunk });
+        }
+        if (chunkDelay) {
+          await this._wait(chunkDelay, signal);
+        }
+      }
+    }
+  }
+
+  _nextToolId() {
+    return `toolu_mock_${this._toolIdCounter++}`;
+  }
+
+  _wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+      }
+      // Remove the listener once the wait is over; streaming waits once per chunk
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+/**
+ * Create a model backend from server configuration.
+ * @param {object} options
+ * @param {string} options.type - 'anthropic' (default) or 'scripted'
+ * @param {string} [options.apiKey] - Anthropic API key
+ * @param {string} [options.scriptPath] - Script file for the scripted backend
+ */
+export function createModelBackend({ type = 'anthropic', apiKey, scriptPath }) {
+  switch (type) {
+    case 'anthropic':
+      return new AnthropicBackend(apiKey);
+    case 'scripted':
+      if (!scriptPath) {
+        throw new Error('The scripted model backend requires MOCK_SCRIPT to point at a JSON script');
+      }
+      return ScriptedBackend.fromFile(scriptPath);
+    default:
+      throw new Error(`Unknown model backend: ${type}`);
+  }
+}
@@ -3,17 +3,26 @@
  *
  * Express + WebSocket server that:
  * 1. Serves the simulation static files
- * 2. Relays commands between Claude AI and the browser simulation
+ * 2. Relays commands between Claude AI and the browser simulations (one session per tab)
  * 3. Provides a chat API endpoint for the in-page chat UI
+ * 4. Optionally runs a headless simulation in-process (HEADLESS_SIM), so the
+ *    AI pipeline works without a browser, e.g. for batch evaluations and CI
  */
 
 import express from 'express';
 import { createServer } from 'http';
-import { WebSocketServer, WebSocket } from 'ws';
+import { WebSocketServer } from 'ws';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 import { config } from 'dotenv';
 import { AIController } from './ai-controller.js';
+import { SessionManager } from './session-manager.js';
+import { HistoryStore } from './history-store.js';
+import { createModelBackend } from './model-backends.js';
+import { TraceLog, replayTrace } from './trace-log.js';
+import { loadAIConfig } from './ai-config.js';
+import { HeadlessSimulation } from './headless-sim.js';
+import { EnvSocketServer } from './env-socket.js';
 
 // Load .env from project root
 const __filename = fileURLToPath(import.meta.url);
@@ -23,10 +32,65 @@ config({ path: join(projectRoot, '.env') });
 
 const PORT = process.env.PORT || 3000;
 const API_KEY = process.env.ANTHROPIC_API_KEY;
+const MODEL_BACKEND = process.env.MODEL_BACKEND || 'anthropic';
+const MOCK_SCRIPT = process.env.MOCK_SCRIPT
+  ? resolve(projectRoot, process.env.MOCK_SCRIPT)
+  : null;
+const AI_CONFIG_PATH = process.env.AI_CONFIG
+  ? resolve(projectRoot, process.env.AI_CONFIG)
+  : join(__dirname, 'ai-config.json');
+// Context compaction limits; unset or malformed values fall back to the compactor defaults
+const COMPACTION = Object.fromEntries(Object.entries({
+  keepImages: 'CONTEXT_KEEP_IMAGES',
+  maxBytes: 'CONTEXT_MAX_BYTES',
+  maxTokens: 'CONTEXT_MAX_TOKENS'
+}).filter(([, name]) => process.env[name] !== undefined && process.env[name] !== '').flatMap(([key, name]) => {
+  const value = Number(process.env[name]);
+  if (!Number.isFinite(value)) {
+    console.warn(`Ignoring ${name}=${process.env[name]}: not a number`);
+    return [];
+  }
+  return [[key, value]];
+}));
+const HISTORY_DIR = process.env.CHAT_HISTORY_DIR
+  ? resolve(projectRoot, process.env.CHAT_HISTORY_DIR)
+  : join(projectRoot, '.chat-history');
+// Headless simulation: robot to load (unset = browser only), its environment,
+// and the real-time factor ('max' fast-forwards while commands wait)
+const HEADLESS_ROBOT = process.env.HEADLESS_SIM || null;
+const HEADLESS_ENV = process.env.HEADLESS_ENV || 'tabletop';
+const HEADLESS_SPEED = process.env.HEADLESS_SPEED === 'max'
+  ? 'max'
+  : Number(process.env.HEADLESS_SPEED || 1);
 
-if (!API_KEY) {
+if (MODEL_BACKEND === 'anthropic' && !API_KEY) {
   console.error('ANTHROPIC_API_KEY not set. Create a .env file in the project root with:');
   console.error('  ANTHROPIC_API_KEY=sk-ant-...');
+  console.error('Or run offline with MODEL_BACKEND=scripted MOCK_SCRIPT=path/to/script.json');
+  process.exit(1);
+}
+
+/**
+ * Create the model backend for a new AI controller. Each controller gets
+ * its own instance so scripted backends replay independently per chat.
+ */
+function createBackend() {
+  return createModelBackend({ type: MODEL_BACKEND, apiKey: API_KEY, scriptPath: MOCK_SCRIPT });
+}
+
+// Fail fast on a bad backend configuration
+try {
+  createBackend();
+} catch (err) {
+  console.error(`Invalid model backend configuration: ${err.message}`);
+  process.exit(1);
+}
+
+let aiConfig;
+try {
+  aiConfig = loadAIConfig(AI_CONFIG_PATH);
+} catch (err) {
+  console.error(`Failed to load AI config ${AI_CONFIG_PATH}: ${err.message}`);
   process.exit(1);
 }
 
@@ -40,28 +104,54 @@ app.use(express.static(projectRoot));
 const httpServer = createServer(app);
 
 // --- WebSocket Server ---
-const wss = new WebSocketServer({ server: httpServer, path: '/ws' });
+const wss = new WebSocketServer({ noServer: true });
 
-// Track connected simulation clients
-let simulationSocket = null;
-let pendingCommands = new Map(); // id -> { resolve, reject, timer }
-let commandIdCounter = 0;
+// Track connected simulation clients, one session per browser tab
+const sessions = new SessionManager();
 
-wss.on('connection', (ws) => {
-  console.log('Simulation client connected');
-  simulationSocket = ws;
+// Gymnasium-style reset/step clients of those simulations
+const envServer = new EnvSocketServer(sessions);
+
+// Both endpoints share the HTTP server, so route upgrades by path
+httpServer.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === '/ws') {
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  } else if (pathname === '/ws/env') {
+    envServer.handleUpgrade(req, socket, head);
+  } else {
+    socket.destroy();
+  }
+});
+
+// One AI conversation per chat session, persisted across restarts
+const historyStore = new HistoryStore(HISTORY_DIR);
+const aiControllers = new Map(); // chatId -> Promise<AIController>
+const activeChats = new Map(); // chatId -> sessionId of the simulation it is driving
+
+// Tool calls made against each simulation session, kept after it disconnects
+const traceLog = new TraceLog();
+
+/**
+ * Register a simulation connection: a browser tab's WebSocket, or the
+ * socket of the in-process headless simulation, which speaks the same protocol.
+ */
+function attachSimulation(ws, { headless = false } = {}) {
+  const kind = headless ? 'Headless simulation' : 'Simulation client';
+  const session = sessions.addSession(ws, { headless });
+  console.log(`${kind} connected (session ${session.id})`);
+
+  // Tell the browser which session it is so the chat UI can address it
+  ws.send(JSON.stringify({ type: 'session', id: session.id }));
 
   ws.on('message', (data) => {
     try {
       const msg = JSON.parse(data.toString());
 
       if (msg.type === 'command_result' && msg.id !== undefined) {
-        const pending = pendingCommands.get(msg.id);
-        if (pending) {
-          clearTimeout(pending.timer);
-          pendingCommands.delete(msg.id);
-          pending.resolve(msg.result);
-        }
+        sessions.handleCommandResult(session, msg);
+      } else if (msg.type === 'robot_info') {
+        sessions.setRobotInfo(session, msg.info);
       }
     } catch (err) {
       console.error('Failed to parse WebSocket message:', err);
@@ -69,62 +159,118 @@ wss.on('connection', (ws) => {
   });
 
   ws.on('close', () => {
-    console.log('Simulation client disconnected');
-    if (simulationSocket === ws) {
-      simulationSocket = null;
-    }
-    // Reject all pending commands
-    for (const [id, pending] of pendingCommands) {
-      clearTimeout(pending.timer);
-      pending.reject(new Error('Simulation disconnected'));
+    console.log(`${kind} disconnected (session ${session.id})`);
+    sessions.removeSession(session.id);
+
+    // Stop any conversation that was driving this simulation
+    for (const [chatId, sessionId] of activeChats) {
+      if (sessionId === session.id) {
+        aiControllers.get(chatId)?.then(controller => controller.abort());
+      }
     }
-    pendingCommands.clear();
   });
 
   ws.on('error', (err) => {
     console.error('WebSocket error:', err);
   });
-});
+}
 
-/**
- * Send a command to the browser simulation and wait for the response.
- */
-function sendCommandToSim(action, params, timeout = 30000) {
-  return new Promise((resolve, reject) => {
-    if (!simulationSocket || simulationSocket.readyState !== WebSocket.OPEN) {
-      return reject(new Error('Simulation not connected. Please open the simulation in a browser.'));
-    }
+wss.on('connection', (ws) => attachSimulation(ws));
 
-    const id = commandIdCounter++;
-    const timer = setTimeout(() => {
-      pendingCommands.delete(id);
-      reject(new Error(`Command "${action}" timed out after ${timeout}ms`));
-    }, timeout);
+// In-process simulation, connected like one more browser tab
+let headlessSim = null;
+if (HEADLESS_ROBOT) {
+  if (HEADLESS_SPEED !== 'max' && !(HEADLESS_SPEED > 0)) {
+    console.error(`Invalid HEADLESS_SPEED "${process.env.HEADLESS_SPEED}": use a positive number or "max"`);
+    process.exit(1);
+  }
+  try {
+    headlessSim = new HeadlessSimulation({ projectRoot, speed: HEADLESS_SPEED });
+    await headlessSim.init();
+    attachSimulation(headlessSim.socket, { headless: true });
+    await headlessSim.loadScene(HEADLESS_ENV, HEADLESS_ROBOT);
+    headlessSim.start();
+  } catch (err) {
+    console.error(`Failed to start headless simulation (${HEADLESS_ROBOT} in ${HEADLESS_ENV}): ${err.message}`);
+    process.exit(1);
+  }
+}
 
-    pendingCommands.set(id, { resolve, reject, timer });
+/**
+ * Get the AI controller for a chat session, restoring its history on first use.
+ */
+function getAIController(chatId) {
+  let entry = aiControllers.get(chatId);
+  if (!entry) {
+    const controller = new AIController(API_KEY, {
+      chatId,
+      historyStore,
+      backend: createBackend(),
+      compaction: COMPACTION,
+      config: aiConfig
+    });
+    entry = controller.loadHistory()
+      .then(() => controller)
+      .catch((err) => {
+        aiControllers.delete(chatId);
+        throw err;
+      });
+    aiControllers.set(chatId, entry);
+  }
+  return entry;
+}
 
-    simulationSocket.send(JSON.stringify({
-      type: 'command',
-      id,
-      action,
-      params
-    }));
-  });
+/**
+ * Resolve the chat ID of a request. Clients without a stored chat ID
+ * fall back to their simulation session ID.
+ * @returns {string|null} The chat ID, or null if it is invalid
+ */
+function resolveChatId(chatId, sessionId) {
+  if (chatId !== undefined) {
+    return HistoryStore.isValidId(chatId) ? chatId : null;
+  }
+  return sessions.resolveSession(sessionId)?.id ?? null;
 }
 
-// --- AI Controller ---
-const aiController = new AIController(API_KEY);
+// --- Sessions API ---
+app.get('/api/sessions', (req, res) => {
+  res.json({ sessions: sessions.list() });
+});
 
 // --- Chat API ---
 app.post('/api/chat', async (req, res) => {
-  const { message, dataSources } = req.body;
+  const { message, dataSources, sessionId } = req.body;
 
   if (!message || typeof message !== 'string') {
     return res.status(400).json({ error: 'Message is required' });
   }
 
-  if (!simulationSocket || simulationSocket.readyState !== WebSocket.OPEN) {
-    return res.status(503).json({ error: 'Simulation not connected. Please open the simulation page first.' });
+  const chatId = resolveChatId(req.body.chatId, sessionId);
+  if (req.body.chatId !== undefined && !chatId) {
+    return res.status(400).json({ error: 'Invalid chat id' });
+  }
+
+  const session = sessions.resolveSession(sessionId);
+  if (!sessions.isConnected(session)) {
+    const error = sessionId
+      ? `Simulation session "${sessionId}" is not connected.`
+      : 'Simulation not connected. Please open the simulation page first, or start the server with HEADLESS_SIM.';
+    return res.status(503).json({ error });
+  }
+
+  const chatKey = chatId ?? session.id;
+  if (activeChats.has(chatKey)) {
+    return res.status(409).json({ error: 'This chat is already processing a message.' });
+  }
+  activeChats.set(chatKey, session.id);
+
+  let aiController;
+  try {
+    aiController = await getAIController(chatKey);
+  } catch (err) {
+    activeChats.delete(chatKey);
+    console.error('Failed to load chat history:', err);
+    return res.status(500).json({ error: err.message });
   }
 
   // Apply data source toggles if provided
@@ -132,6 +278,9 @@ app.post('/api/chat', async (req, res) => {
     aiController.setDataSources(dataSources);
   }
 
+  // Prompt and limits follow the robot loaded in the target simulation
+  aiController.setRobot(session.robot);
+
   // Stream updates via SSE-like JSON lines
   res.setHeader('Content-Type', 'application/x-ndjson');
   res.setHeader('Cache-Control', 'no-cache');
@@ -145,11 +294,19 @@ app.post('/api/chat', async (req, res) => {
     }
   };
 
+  const sendCommand = (action, params, timeout) =>
+    sessions.sendCommand(session.id, action, params, timeout);
+
+  const onTrace = (entry) => {
+    traceLog.record(session.id, { ...entry, chat_id: chatKey, sim_time: session.simTime });
+  };
+
   try {
     const finalText = await aiController.processMessage(
       message,
-      sendCommandToSim,
-      onStream
+      sendCommand,
+      onStream,
+      onTrace
     );
 
     // Send final completion marker
@@ -164,26 +321,147 @@ app.post('/api/chat', async (req, res) => {
       res.write(JSON.stringify({ type: 'error', text: err.message }) + '\n');
       res.end();
     }
+  } finally {
+    activeChats.delete(chatKey);
   }
 });
 
 // Abort current AI request
-app.post('/api/chat/abort', (req, res) => {
-  aiController.abort();
-  res.json({ success: true });
+app.post('/api/chat/abort', async (req, res) => {
+  const chatId = resolveChatId(req.body?.chatId, req.body?.sessionId);
+  const entry = chatId && aiControllers.get(chatId);
+  try {
+    if (entry) {
+      (await entry).abort();
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Abort error:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Clear conversation history
-app.post('/api/chat/clear', (req, res) => {
-  aiController.clearHistory();
-  res.json({ success: true });
+app.post('/api/chat/clear', async (req, res) => {
+  const chatId = resolveChatId(req.body?.chatId, req.body?.sessionId);
+  if (!chatId) {
+    return res.status(400).json({ error: 'Invalid chat id' });
+  }
+  try {
+    const controller = await getAIController(chatId);
+    await controller.clearHistory();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Clear history error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stored chat transcript (or the list of stored chats when no id is given)
+app.get('/api/chat/history', async (req, res) => {
+  const { id } = req.query;
+  try {
+    if (id === undefined) {
+      return res.json({ chats: await historyStore.list() });
+    }
+    if (!HistoryStore.isValidId(id)) {
+      return res.status(400).json({ error: 'Invalid chat id' });
+    }
+    // Read the store directly: looking at a transcript must not create a controller
+    const entry = aiControllers.get(id);
+    if (entry) {
+      const controller = await entry;
+      return res.json({ id, messages: controller.getTranscript() });
+    }
+    const record = await historyStore.load(id);
+    const messages = Array.isArray(record?.messages) ? record.messages : [];
+    res.json({ id, messages: AIController.transcriptOf(messages) });
+  } catch (err) {
+    console.error('History error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a chat session and its stored history
+app.delete('/api/chat/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!HistoryStore.isValidId(id)) {
+    return res.status(400).json({ error: 'Invalid chat id' });
+  }
+  const entry = aiControllers.get(id);
+  if (entry) {
+    aiControllers.delete(id);
+    try {
+      const controller = await entry;
+      controller.abort();
+      // Detach from the store so an in-flight turn cannot re-create the file
+      controller.historyStore = null;
+    } catch (_) {
+      // Failed to load; nothing to stop
+    }
+  }
+  try {
+    const deleted = await historyStore.delete(id);
+    res.json({ success: true, deleted });
+  } catch (err) {
+    console.error('Delete history error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Trace API ---
+
+// Tool call trace of a session (or the list of recorded traces when no session is given)
+app.get('/api/trace', (req, res) => {
+  const { sessionId } = req.query;
+  if (sessionId === undefined) {
+    return res.json({ traces: traceLog.list() });
+  }
+  const entries = traceLog.get(sessionId);
+  if (!entries) {
+    return res.status(404).json({ error: `No trace for session "${sessionId}"` });
+  }
+  res.json({ session_id: sessionId, entries });
+});
+
+// Re-send the commands of a recorded trace to a simulation, in order
+app.post('/api/trace/replay', async (req, res) => {
+  const { sessionId, targetSessionId, from = 0, to, reset = false } = req.body ?? {};
+
+  const entries = traceLog.get(sessionId);
+  if (!entries) {
+    return res.status(404).json({ error: `No trace for session "${sessionId}"` });
+  }
+
+  const target = sessions.resolveSession(targetSessionId ?? sessionId);
+  if (!sessions.isConnected(target)) {
+    return res.status(503).json({ error: 'Target simulation session is not connected.' });
+  }
+
+  const sendCommand = (action, params, timeout) =>
+    sessions.sendCommand(target.id, action, params, timeout);
+
+  try {
+    const results = await replayTrace(entries, sendCommand, { from, to, reset });
+    res.json({ success: true, target_session: target.id, results });
+  } catch (err) {
+    console.error('Trace replay error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/trace/:sessionId', (req, res) => {
+  res.json({ success: true, deleted: traceLog.clear(req.params.sessionId) });
 });
 
 // Health check
 app.get('/api/status', (req, res) => {
+  const connected = sessions.list().filter(s => s.connected);
   res.json({
-    simulation_connected: simulationSocket !== null && simulationSocket.readyState === WebSocket.OPEN,
-    pending_commands: pendingCommands.size
+    simulation_connected: connected.length > 0,
+    sessions: connected.length,
+    pending_commands: sessions.pendingCount,
+    headless: headlessSim?.getStatus() ?? null
   });
 });
 
@@ -193,6 +471,13 @@ httpServer.listen(PORT, () => {
   console.log(`  -----------------------`);
   console.log(`  Open in browser: http://localhost:${PORT}`);
   console.log(`  WebSocket:       ws://localhost:${PORT}/ws`);
+  console.log(`  RL environment:  ws://localhost:${PORT}/ws/env`);
   console.log(`  Chat API:        POST http://localhost:${PORT}/api/chat`);
-  console.log(`  Status:          GET  http://localhost:${PORT}/api/status\n`);
+  console.log(`  Chat history:    GET  http://localhost:${PORT}/api/chat/history`);
+  console.log(`  Sessions:        GET  http://localhost:${PORT}/api/sessions`);
+  console.log(`  Tool trace:      GET  http://localhost:${PORT}/api/trace`);
+  console.log(`  Status:          GET  http://localhost:${PORT}/api/status`);
+  console.log(`  AI config:       ${AI_CONFIG_PATH}`);
+  console.log(`  Model backend:   ${MODEL_BACKEND}${MOCK_SCRIPT ? ` (${MOCK_SCRIPT})` : ''}`);
+  console.log(`  Headless sim:    ${headlessSim ? `${HEADLESS_ROBOT} in ${HEADLESS_ENV} (speed ${HEADLESS_SPEED}, session ${headlessSim.sessionId})` : 'off'}\n`);
 });
@@ -0,0 +1,176 @@
+/**
+ * Simulation Session Manager
+ *
+ * Tracks the browser simulations connected over WebSocket, and the
+ * headless simulation if the server runs one. Every connection gets its
+ * own session ID and pending-command table, so several simulations can
+ * be driven from one server without stealing each other's commands.
+ */
+
+import { randomUUID } from 'crypto';
+import { WebSocket } from 'ws';
+
+// Default timeout for a command round-trip (ms)
+const DEFAULT_COMMAND_TIMEOUT = 30000;
+
+export class SessionManager {
+  constructor() {
+    this.sessions = new Map(); // id -> session
+  }
+
+  /**
+   * Register a newly connected simulation socket.
+   * @param {WebSocket} ws - The browser's WebSocket connection (or a HeadlessSimulation socket)
+   * @param {object} [options]
+   * @param {boolean} [options.headless=false] - Whether the simulation runs in the server process
+   * @returns {object} The created session
+   */
+  addSession(ws, { headless = false } = {}) {
+    const session = {
+      id: randomUUID().slice(0, 8),
+      socket: ws,
+      headless,
+      pendingCommands: new Map(), // id -> { resolve, reject, timer }
+      commandIdCounter: 0,
+      connectedAt: new Date().toISOString(),
+      simTime: null, // Simulation time reported with the latest command result
+      robot: null // Loaded robot, as reported by the browser
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Remove a session and reject all of its in-flight commands.
+   * @param {string} sessionId
+   */
+  removeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    for (const [, pending] of session.pendingCommands) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Simulation disconnected'));
+    }
+    session.pendingCommands.clear();
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Look up a session by ID. Without an ID, the most recently connected
+   * session is used so single-tab setups keep working unchanged.
+   * @param {string} [sessionId]
+   * @returns {object|null}
+   */
+  resolveSession(sessionId) {
+    if (sessionId) {
+      return this.sessions.get(sessionId) ?? null;
+    }
+    let latest = null;
+    for (const session of this.sessions.values()) {
+      latest = session;
+    }
+    return latest;
+  }
+
+  /**
+   * Check whether a session's socket is open.
+   * @param {object|null} session
+   * @returns {boolean}
+   */
+  isConnected(session) {
+    return !!session && session.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Record the robot a session reports after connecting or switching scenes.
+   * @param {object} session
+   * @param {object} info - {robot, description, type, environment, capabilities}
+   */
+  setRobotInfo(session, info) {
+    session.robot = {
+      robot: info?.robot ?? null,
+      description: info?.description ?? null,
+      type: info?.type ?? null,
+      environment: info?.environment ?? null,
+      capabilities: info?.capabilities ?? null
+    };
+  }
+
+  /**
+   * Route a `command_result` message to the command waiting for it.
+   * @param {object} session
+   * @param {object} msg - Parsed message from the browser
+   */
+  handleCommandResult(session, msg) {
+    if (typeof msg.sim_time === 'number') {
+      session.simTime = msg.sim_time;
+    }
+
+    const pending = session.pendingCommands.get(msg.id);
+    if (pending) {
+      clearTimeout(pending.timer);
+      session.pendingCommands.delete(msg.id);
+      pending.resolve(msg.result);
+    }
+  }
+
+  /**
+   * Send a command to one browser simulation and wait for the response.
+   * @param {string} sessionId
+   * @param {string} action - SimulationAPI action name
+   * @param {object} params - Action parameters
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<object>}
+   */
+  sendCommand(sessionId, action, params, timeout = DEFAULT_COMMAND_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+      const session = this.sessions.get(sessionId);
+      if (!this.isConnected(session)) {
+        return reject(new Error('Simulation not connected. Please open the simulation in a browser.'));
+      }
+
+      const id = session.commandIdCounter++;
+      const timer = setTimeout(() => {
+        session.pendingCommands.delete(id);
+        reject(new Error(`Command "${action}" timed out after ${timeout}ms`));
+      }, timeout);
+
+      session.pendingCommands.set(id, { resolve, reject, timer });
+
+      session.socket.send(JSON.stringify({
+        type: 'command',
+        id,
+        action,
+        params
+      }));
+    });
+  }
+
+  /**
+   * Summaries of all connected sessions for the API.
+   * @returns {object[]}
+   */
+  list() {
+    return Array.from(this.sessions.values()).map((session) => ({
+      id: session.id,
+      connected: this.isConnected(session),
+      connected_at: session.connectedAt,
+      headless: session.headless,
+      robot: session.robot?.robot ?? null,
+      pending_commands: session.pendingCommands.size
+    }));
+  }
+
+  /**
+   * Total number of in-flight commands across all sessions.
+   * @returns {number}
+   */
+  get pendingCount() {
+    let count = 0;
+    for (const session of this.sessions.values()) {
+      count += session.pendingCommands.size;
+    }
+    return count;
+  }
+}
@@ -6,17 +6,24 @@
  * structured results back to Claude.
  */
 
+import { stripImages } from './trace-log.js';
+
 // Default timeout for blocking commands (ms)
 const COMMAND_TIMEOUT = 30000;
 
 /**
- * Tool definitions for the Claude API (tool_use format)
+ * Tool definitions for the Claude API (tool_use format).
+ * `read_only: true` marks tools that only observe the simulation; the agent
+ * loop may run those concurrently. `requires` names the capability from the
+ * browser's manifest a tool needs (see SimulationAPI.getCapabilities).
+ * Both flags are stripped before sending (see getToolDefinitions).
  */
 export const TOOL_DEFINITIONS = [
   {
     name: 'observe_scene',
+    read_only: true,
     description:
-      'Capture visual and/or state data from the simulation. Use this to look around, understand the environment, and check robot status. Returns images from the robot head camera and/or orbit camera, plus structured state data about all objects and the robot.',
+      'Capture visual and/or state data from the simulation. Use this to look around, understand the environment, and check robot status. Returns images from the robot head camera and/or orbit camera, plus structured state data about all objects and the robot. When a requested image cannot be captured (a headless simulation renders nothing), the result has images_unavailable: true and an images_unavailable_reason.',
     input_schema: {
       type: 'object',
       properties: {
@@ -43,8 +50,9 @@ export const TOOL_DEFINITIONS = [
   },
   {
     name: 'move_base',
+    requires: 'base',
     description:
-      'Move the robot base in a direction. The robot has a mobile base with forward/backward and turn motors. Blocks until movement completes or times out.',
+      'Move the robot base in a direction by a precise amount. A closed-loop controller drives the base and slows down near the end. Blocks until the base has settled within the tolerance or the move times out. Returns the distance or angle achieved and the remaining error.',
     input_schema: {
       type: 'object',
       properties: {
@@ -56,15 +64,44 @@ export const TOOL_DEFINITIONS = [
         amount: {
           type: 'number',
           description: 'Amount to move: meters for forward/backward, radians for turning. Typical values: 0.1-1.0m for movement, 0.1-3.14 rad for turning.'
+        },
+        tolerance: {
+          type: 'number',
+          description: 'Acceptable final error: meters for forward/backward (default 0.01), radians for turning (default 0.02)'
         }
       },
       required: ['direction', 'amount']
     }
   },
+  {
+    name: 'set_base_velocity',
+    requires: 'base',
+    description:
+      'Drive the robot base at a velocity for a duration, then brake to a stop. Use for arcs and fine repositioning. Speeds are limited to 0.4 m/s and 1.2 rad/s. Returns the distance and angle covered.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        v: {
+          type: 'number',
+          description: 'Forward velocity in m/s (negative = backward)'
+        },
+        omega: {
+          type: 'number',
+          description: 'Turn rate in rad/s (positive = left, negative = right)'
+        },
+        duration: {
+          type: 'number',
+          description: 'How long to hold the velocity, in seconds (max 20)'
+        }
+      },
+      required: ['duration']
+    }
+  },
   {
     name: 'move_arm',
+    requires: 'arms',
     description:
-      'Move a robot arm end-effector to a target position using inverse kinematics. The robot has left and right arms, each with a 2-link IK chain. Coordinates are relative to the arm shoulder in the arm plane: x is forward distance, y is vertical distance.',
+      'Move a robot arm end-effector to a target position using inverse kinematics. Each arm has a 2-link IK chain (XLeRobot has left and right arms, SO101 a single arm). Coordinates are relative to the arm shoulder in the arm plane: x is forward distance, y is vertical distance. Optionally also sets the shoulder rotation and wrist roll.',
     input_schema: {
       type: 'object',
       properties: {
@@ -80,6 +117,14 @@ export const TOOL_DEFINITIONS = [
         y: {
           type: 'number',
           description: 'Vertical distance from shoulder (meters). Range approx 0.05-0.25'
+        },
+        rotation: {
+          type: 'number',
+          description: 'Optional shoulder rotation in radians (swings the arm plane sideways). Range -2.16 to 2.16'
+        },
+        wrist_roll: {
+          type: 'number',
+          description: 'Optional wrist roll in radians. Range approx -2.74 to 2.84'
         }
       },
       required: ['arm', 'x', 'y']
@@ -87,6 +132,7 @@ export const TOOL_DEFINITIONS = [
   },
   {
     name: 'set_gripper',
+    requires: 'grippers',
     description: 'Open or close a gripper on the robot arm.',
     input_schema: {
       type: 'object',
@@ -105,8 +151,80 @@ export const TOOL_DEFINITIONS = [
       required: ['arm', 'state']
     }
   },
+  {
+    name: 'move_end_effector',
+    requires: 'end_effector',
+    description:
+      'Move the arm end effector (fingertip point between the gripper fingers) to a world-frame pose using damped least squares IK. Blocks until the pose is reached or the move times out. Targets outside the workspace are clamped. Returns the achieved pose, remaining position/rotation error and any joints at their limits.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        x: { type: 'number', description: 'Target X in world coordinates (meters). Workspace -0.8 to 0.8' },
+        y: { type: 'number', description: 'Target Y in world coordinates (meters). Workspace -0.8 to 0.8' },
+        z: { type: 'number', description: 'Target Z in world coordinates (meters). Workspace 0.82 to 1.6' },
+        quaternion: {
+          type: 'array',
+          items: { type: 'number' },
+          minItems: 4,
+          maxItems: 4,
+          description: 'Optional hand orientation as [w, x, y, z]. Omit to keep the current orientation.'
+        },
+        rpy: {
+          type: 'array',
+          items: { type: 'number' },
+          minItems: 3,
+          maxItems: 3,
+          description: 'Optional hand orientation as [roll, pitch, yaw] in radians (used if quaternion is not given).'
+        }
+      },
+      required: ['x', 'y', 'z']
+    }
+  },
+  {
+    name: 'pick_object',
+    requires: 'end_effector',
+    description:
+      'Grasp a named object (from get_scene_objects) and lift it: opens the gripper, moves above the object, turns the hand to line the fingers up with the sides of the object, descends, closes the gripper and lifts in small steps. Only the Panda arm is supported; on the SO-ARM robots (XLeRobot, SO101) use move_arm and set_gripper instead. Verifies the grasp from MuJoCo contacts between the fingers and the object. Returns whether the object is held, which fingers touch it and how far it was lifted.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the object to pick up, e.g. "box"'
+        },
+        approach_height: {
+          type: 'number',
+          description: 'Height above the object to approach from (meters). Default 0.1'
+        },
+        lift_height: {
+          type: 'number',
+          description: 'How far to lift the object after grasping (meters). Default 0.1'
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'place_object',
+    requires: 'end_effector',
+    description:
+      'Put down the object held from pick_object: carries it above the target, lowers it, opens the gripper and backs off. Panda arm only, like pick_object. Returns whether the object was released and where it ended up.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        x: { type: 'number', description: 'Target X in world coordinates (meters)' },
+        y: { type: 'number', description: 'Target Y in world coordinates (meters)' },
+        z: {
+          type: 'number',
+          description: 'Hand height to release at (meters). Defaults to the height the object was picked from.'
+        }
+      },
+      required: ['x', 'y']
+    }
+  },
   {
     name: 'move_head',
+    requires: 'head',
     description:
       'Point the robot head camera by setting pan and tilt angles. Returns the new head camera image after moving. Pan rotates left/right, tilt angles up/down.',
     input_schema: {
@@ -124,8 +242,50 @@ export const TOOL_DEFINITIONS = [
       required: ['pan', 'tilt']
     }
   },
+  {
+    name: 'list_motions',
+    requires: 'motion_policy',
+    description:
+      'List the named motions the humanoid\'s whole-body policy can play, plus the current playback status. Loads the policy if it is not running yet.',
+    input_schema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'play_motion',
+    requires: 'motion_policy',
+    description:
+      'Play a named motion (from list_motions) with the humanoid\'s whole-body policy. A finished motion is first blended back to "default". By default blocks until the motion completes; returns the final playback status. Fails if another motion is still playing.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Motion name, e.g. "default"'
+        },
+        wait: {
+          type: 'boolean',
+          description: 'Wait for the motion to finish (default true). Use false for long motions and poll get_motion_status.'
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'get_motion_status',
+    read_only: true,
+    requires: 'motion_policy',
+    description:
+      'Get the humanoid\'s motion playback status: current motion, whether it is done, whether it is still blending in, and progress from 0 to 1. Fails if the policy is not running yet; list_motions or play_motion loads it.',
+    input_schema: {
+      type: 'object',
+      properties: {}
+    }
+  },
   {
     name: 'get_robot_state',
+    read_only: true,
     description:
       'Get the full robot state including all joint positions, joint velocities, actuator controls, and body positions. Useful for precise position checking.',
     input_schema: {
@@ -135,6 +295,7 @@ export const TOOL_DEFINITIONS = [
   },
   {
     name: 'get_scene_objects',
+    read_only: true,
     description:
       'Get a list of all named objects in the scene with their 3D positions, types, and sizes. Use this to understand the environment layout and find targets for navigation.',
     input_schema: {
@@ -142,10 +303,26 @@ export const TOOL_DEFINITIONS = [
       properties: {}
     }
   },
+  {
+    name: 'get_contacts',
+    read_only: true,
+    description:
+      'List the active physical contacts in the simulation: the two geoms and bodies in contact, contact position, normal, penetration depth (meters) and normal force (newtons). Filter by body to check e.g. whether the gripper is touching an object or an object is resting on the table.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        body: {
+          type: 'string',
+          description: 'Only return contacts involving this body (e.g. "box" or "left_finger"). Omit for all contacts.'
+        }
+      }
+    }
+  },
   {
     name: 'navigate_to',
+    requires: 'base',
     description:
-      'High-level navigation: move the robot base to a named object or XY coordinate. The robot will turn to face the target and drive toward it. Use this for tasks like "go to the table" or "move to position (1, 0.5)".',
+      'High-level navigation: move the robot base to a named object or XY coordinate. Plans a path around tables and walls and follows it waypoint by waypoint. If the target is inside an obstacle (e.g. a table), the robot stops at the closest reachable point (goal_adjusted). Returns the planned path. Use this for tasks like "go to the table" or "move to position (1, 0.5)".',
     input_schema: {
       type: 'object',
       properties: {
@@ -168,9 +345,99 @@ export const TOOL_DEFINITIONS = [
       type: 'object',
       properties: {}
     }
+  },
+  {
+    name: 'save_state',
+    description: 'Save a checkpoint of the whole simulation (robot, objects, controller targets) under a name. Save before a risky manipulation attempt so you can retry it with restore_state.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Checkpoint name. Default "checkpoint"; saving under an existing name replaces it.'
+        }
+      }
+    }
+  },
+  {
+    name: 'restore_state',
+    description: 'Restore a checkpoint saved with save_state (or by the user), putting the robot and all objects back exactly as they were. Use to retry a failed attempt from the same starting point.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Checkpoint name. Default "checkpoint".'
+        }
+      }
+    }
   }
 ];
 
+// Tool definitions as sent to the Claude API, without local flags
+const toApiDefinition = ({ read_only, requires, ...definition }) => definition;
+
+/**
+ * Check whether the robot described by a capability manifest supports a tool.
+ */
+function isToolAvailable(tool, capabilities) {
+  switch (tool.requires) {
+    case undefined:
+      return true;
+    case 'arms':
+    case 'grippers':
+      return (capabilities[tool.requires] ?? []).length > 0;
+    default:
+      return !!capabilities[tool.requires];
+  }
+}
+
+/**
+ * Build the tool list for the loaded robot.
+ * Without a manifest (older browser builds) every tool is offered.
+ * @param {object|null} capabilities - Manifest reported by the browser
+ * @returns {object[]} Tool definitions in Claude API format
+ */
+export function getToolDefinitions(capabilities = null) {
+  if (!capabilities) {
+    return TOOL_DEFINITIONS.map(toApiDefinition);
+  }
+
+  return TOOL_DEFINITIONS
+    .filter(tool => isToolAvailable(tool, capabilities))
+    .map((tool) => {
+      const definition = toApiDefinition(tool);
+
+      // Only offer the arms this robot actually has; with a single arm
+      // the parameter is dropped and the browser picks that arm
+      if (tool.requires === 'arms' || tool.requires === 'grippers') {
+        const arms = capabilities[tool.requires];
+        const { properties, required } = definition.input_schema;
+        const { arm, ...otherProperties } = properties;
+        return {
+          ...definition,
+          input_schema: arms.length === 1
+            ? { ...definition.input_schema, properties: otherProperties, required: required.filter(p => p !== 'arm') }
+            : { ...definition.input_schema, properties: { ...properties, arm: { ...arm, enum: arms } } }
+        };
+      }
+      return definition;
+    });
+}
+
+const READ_ONLY_TOOLS = new Set(
+  TOOL_DEFINITIONS.filter(tool => tool.read_only).map(tool => tool.name)
+);
+
+/**
+ * Check whether a tool only reads simulation state and is safe to run concurrently.
+ * @param {string} toolName
+ * @returns {boolean}
+ */
+export function isReadOnlyTool(toolName) {
+  return READ_ONLY_TOOLS.has(toolName);
+}
+
 /**
  * Execute a tool by sending a command to the browser simulation via WebSocket.
  *
@@ -178,9 +445,37 @@ export const TOOL_DEFINITIONS = [
  * @param {object} toolInput - The tool input parameters
  * @param {function} sendCommand - Async function that sends a command to the browser and returns a response
  * @param {object} dataSourceOverrides - Per-session overrides for data sources {head_camera, orbit_camera, state_data}
+ * @param {function} [onTrace] - Called with a trace entry once the tool has finished
  * @returns {Promise<object>} - Tool result to send back to Claude
  */
-export async function executeTool(toolName, toolInput, sendCommand, dataSourceOverrides = {}) {
+export async function executeTool(toolName, toolInput, sendCommand, dataSourceOverrides = {}, onTrace = null) {
+  if (!onTrace) {
+    return dispatchTool(toolName, toolInput, sendCommand, dataSourceOverrides);
+  }
+
+  // Record the browser commands the tool sends so the run can be replayed
+  const commands = [];
+  const tracedSendCommand = (action, params, timeout) => {
+    commands.push({ action, params, timeout });
+    return sendCommand(action, params, timeout);
+  };
+
+  const startedAt = Date.now();
+  const result = await dispatchTool(toolName, toolInput, tracedSendCommand, dataSourceOverrides);
+
+  onTrace({
+    timestamp: new Date(startedAt).toISOString(),
+    tool: toolName,
+    input: toolInput,
+    commands,
+    result: stripImages(result),
+    duration_ms: Date.now() - startedAt
+  });
+
+  return result;
+}
+
+async function dispatchTool(toolName, toolInput, sendCommand, dataSourceOverrides) {
   try {
     switch (toolName) {
       case 'observe_scene': {
@@ -195,14 +490,24 @@ export async function executeTool(toolName, toolInput, sendCommand, dataSourceOv
       case 'move_base':
         return await sendCommand('move_base', {
           direction: toolInput.direction,
-          amount: toolInput.amount
+          amount: toolInput.amount,
+          tolerance: toolInput.tolerance
+        }, COMMAND_TIMEOUT);
+
+      case 'set_base_velocity':
+        return await sendCommand('set_base_velocity', {
+          v: toolInput.v ?? 0,
+          omega: toolInput.omega ?? 0,
+          duration: Math.min(toolInput.duration, 20)
         }, COMMAND_TIMEOUT);
 
       case 'move_arm':
         return await sendCommand('move_arm', {
           arm: toolInput.arm,
           x: toolInput.x,
-          y: toolInput.y
+          y: toolInput.y,
+          rotation: toolInput.rotation,
+          wrist_roll: toolInput.wrist_roll
         }, COMMAND_TIMEOUT);
 
       case 'set_gripper':
@@ -211,18 +516,56 @@ export async function executeTool(toolName, toolInput, sendCommand, dataSourceOv
           state: toolInput.state
         }, COMMAND_TIMEOUT);
 
+      case 'move_end_effector':
+        return await sendCommand('move_end_effector', {
+          x: toolInput.x,
+          y: toolInput.y,
+          z: toolInput.z,
+          quaternion: toolInput.quaternion,
+          rpy: toolInput.rpy
+        }, COMMAND_TIMEOUT);
+
+      case 'pick_object':
+        return await sendCommand('pick_object', {
+          name: toolInput.name,
+          approach_height: toolInput.approach_height,
+          lift_height: toolInput.lift_height
+        }, COMMAND_TIMEOUT);
+
+      case 'place_object':
+        return await sendCommand('place_object', {
+          x: toolInput.x,
+          y: toolInput.y,
+          z: toolInput.z
+        }, COMMAND_TIMEOUT);
+
       case 'move_head':
         return await sendCommand('move_head', {
           pan: toolInput.pan,
           tilt: toolInput.tilt
         }, COMMAND_TIMEOUT);
 
+      case 'list_motions':
+        return await sendCommand('list_motions', {}, COMMAND_TIMEOUT);
+
+      case 'play_motion':
+        return await sendCommand('play_motion', {
+          name: toolInput.name,
+          wait: toolInput.wait ?? true
+        }, COMMAND_TIMEOUT * 2); // Motions may take longer
+
+      case 'get_motion_status':
+        return await sendCommand('get_motion_status', {}, COMMAND_TIMEOUT);
+
       case 'get_robot_state':
         return await sendCommand('get_robot_state', {}, COMMAND_TIMEOUT);
 
       case 'get_scene_objects':
         return await sendCommand('get_scene_objects', {}, COMMAND_TIMEOUT);
 
+      case 'get_contacts':
+        return await sendCommand('get_contacts', { body: toolInput.body }, COMMAND_TIMEOUT);
+
       case 'navigate_to':
         return await sendCommand('navigate_to', {
           target: toolInput.target,
@@ -232,6 +575,12 @@ export async function executeTool(toolName, toolInput, sendCommand, dataSourceOv
       case 'reset_robot':
         return await sendCommand('reset_robot', {}, COMMAND_TIMEOUT);
 
+      case 'save_state':
+        return await sendCommand('save_state', { name: toolInput.name }, COMMAND_TIMEOUT);
+
+      case 'restore_state':
+        return await sendCommand('restore_state', { name: toolInput.name }, COMMAND_TIMEOUT);
+
       default:
         return { error: `Unknown tool: ${toolName}` };
     }
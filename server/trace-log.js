@@ -0,0 +1,123 @@
+/**
+ * Tool Call Trace Log
+ *
+ * Keeps a structured record of every tool call the AI made against each
+ * simulation session: the tool input, the browser commands it sent, the
+ * result (without images), how long it took and the simulation time it
+ * finished at. The recorded commands can be replayed to reproduce a run.
+ */
+
+// Limits so a long-running server does not grow without bound
+const MAX_ENTRIES_PER_SESSION = 1000;
+const MAX_SESSIONS = 20;
+
+export class TraceLog {
+  constructor() {
+    this.traces = new Map(); // sessionId -> entry[] (insertion order = age)
+  }
+
+  /**
+   * Append an entry to a session's trace.
+   * @param {string} sessionId
+   * @param {object} entry
+   */
+  record(sessionId, entry) {
+    let entries = this.traces.get(sessionId);
+    if (!entries) {
+      entries = [];
+      this.traces.set(sessionId, entries);
+
+      // Drop the oldest session's trace once over the limit
+      if (this.traces.size > MAX_SESSIONS) {
+        this.traces.delete(this.traces.keys().next().value);
+      }
+    }
+
+    entries.push({ seq: entries.length ? entries[entries.length - 1].seq + 1 : 0, ...entry });
+    if (entries.length > MAX_ENTRIES_PER_SESSION) {
+      entries.shift();
+    }
+  }
+
+  /**
+   * Get a session's trace entries.
+   * @param {string} sessionId
+   * @returns {object[]|null} Entries, or null if the session has no trace
+   */
+  get(sessionId) {
+    return this.traces.get(sessionId) ?? null;
+  }
+
+  /**
+   * Remove a session's trace.
+   * @param {string} sessionId
+   * @returns {boolean} Whether a trace was removed
+   */
+  clear(sessionId) {
+    return this.traces.delete(sessionId);
+  }
+
+  /**
+   * Summaries of all recorded traces for the API.
+   * @returns {object[]}
+   */
+  list() {
+    return Array.from(this.traces.entries()).map(([sessionId, entries]) => ({
+      session_id: sessionId,
+      entries: entries.length,
+      last_at: entries.length ? entries[entries.length - 1].timestamp : null
+    }));
+  }
+}
+
+/**
+ * Copy a tool result without its base64 images, which would bloat the trace.
+ * @param {object} result
+ * @returns {object}
+ */
+export function stripImages(result) {
+  if (!result || typeof result !== 'object') return result;
+
+  const stripped = {};
+  for (const [key, value] of Object.entries(result)) {
+    if (key.endsWith('_image')) {
+      stripped[key] = '[image omitted]';
+    } else {
+      stripped[key] = value;
+    }
+  }
+  return stripped;
+}
+
+/**
+ * Re-send the commands of recorded trace entries, in order. A failing
+ * command is reported in its result and does not stop the replay.
+ * @param {object[]} entries - Trace entries (TraceLog.get)
+ * @param {function} sendCommand - (action, params, timeout) => Promise<object>
+ * @param {object} [options]
+ * @param {number} [options.from=0] - First entry seq to replay
+ * @param {number} [options.to] - Last entry seq to replay (inclusive)
+ * @param {boolean} [options.reset=false] - Reset the robot before replaying
+ * @returns {Promise<object[]>} One {seq, tool, action, result} per command
+ */
+export async function replayTrace(entries, sendCommand, { from = 0, to, reset = false } = {}) {
+  const selected = entries.filter(e => e.seq >= from && (to === undefined || e.seq <= to));
+  const results = [];
+
+  if (reset) {
+    await sendCommand('reset_robot', {});
+  }
+
+  for (const entry of selected) {
+    for (const { action, params, timeout } of entry.commands) {
+      let result;
+      try {
+        result = await sendCommand(action, params, timeout);
+      } catch (err) {
+        result = { error: err.message || String(err) };
+      }
+      results.push({ seq: entry.seq, tool: entry.tool, action, result: stripImages(result) });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,103 @@
+/**
+ * Capture Renderer
+ *
+ * Renders camera observations for the AI (head camera, orbit camera) into a
+ * render target of the main renderer, instead of reading back the visible
+ * canvas. Captures come out at a fixed size whatever the window size, keep
+ * working while the page is hidden, and leave the visible frame untouched.
+ * Sharing the main WebGL context means no second copy of the scene's
+ * geometry and textures on the GPU.
+ */
+
+import * as THREE from 'three';
+
+// Largest number of bytes passed to String.fromCharCode at once
+const BASE64_CHUNK = 0x8000;
+
+export class CaptureRenderer {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - The main Three.js renderer
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+
+    this.renderTarget = new THREE.WebGLRenderTarget(1, 1, {
+      format: THREE.RGBAFormat,
+      type: THREE.UnsignedByteType
+    });
+    this.pixelBuffer = new Uint8Array(4);
+
+    // 2D canvas the pixels are encoded from, created at the first capture
+    this.canvas = null;
+    this.context = null;
+
+    // Copy of the camera being captured, so its aspect can follow the image size
+    this.camera = new THREE.PerspectiveCamera();
+  }
+
+  /**
+   * Render a camera view and encode it as PNG.
+   * @param {THREE.Scene} scene
+   * @param {THREE.PerspectiveCamera} camera - Left untouched
+   * @param {number} width - Image width (px)
+   * @param {number} height - Image height (px)
+   * @returns {Promise<string>} Base64-encoded PNG (without data: prefix)
+   */
+  async capture(scene, camera, width, height) {
+    this._resize(width, height);
+
+    this.camera.copy(camera, false);
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+
+    const previousTarget = this.renderer.getRenderTarget();
+    this.renderer.setRenderTarget(this.renderTarget);
+    this.renderer.render(scene, this.camera);
+    this.renderer.readRenderTargetPixels(this.renderTarget, 0, 0, width, height, this.pixelBuffer);
+    this.renderer.setRenderTarget(previousTarget);
+
+    return this._encodePNG(width, height);
+  }
+
+  /**
+   * Free the render target.
+   */
+  dispose() {
+    this.renderTarget.dispose();
+  }
+
+  _resize(width, height) {
+    if (this.renderTarget.width === width && this.renderTarget.height === height) return;
+
+    this.renderTarget.setSize(width, height);
+    this.pixelBuffer = new Uint8Array(width * height * 4);
+
+    // Browsers without OffscreenCanvas get a detached canvas element
+    this.canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement('canvas'), { width, height });
+    this.context = this.canvas.getContext('2d');
+  }
+
+  async _encodePNG(width, height) {
+    // Render targets are read bottom row first
+    const image = this.context.createImageData(width, height);
+    const rowLength = width * 4;
+    for (let y = 0; y < height; y++) {
+      const source = (height - 1 - y) * rowLength;
+      image.data.set(this.pixelBuffer.subarray(source, source + rowLength), y * rowLength);
+    }
+    this.context.putImageData(image, 0, 0);
+
+    const blob = this.canvas.convertToBlob
+      ? await this.canvas.convertToBlob({ type: 'image/png' })
+      : await new Promise(resolve => this.canvas.toBlob(resolve, 'image/png'));
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_CHUNK));
+    }
+    return btoa(binary);
+  }
+}
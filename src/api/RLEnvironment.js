@@ -0,0 +1,372 @@
+/**
+ * RL Environment
+ *
+ * Gymnasium-style reset/step interface to the loaded scene, for evaluating
+ * policies trained offline against this exact simulation. The server relays
+ * the messages of a /ws/env client here as env_* commands (see
+ * server/env-socket.js for the wire protocol).
+ *
+ * While an episode runs the environment owns the physics: the live loop is
+ * paused, and every step() applies the action to the actuators and advances
+ * `frame_skip` physics steps itself. AI commands waiting on the live loop
+ * would never finish, so reset() fails them. Observations are built from
+ * the policy observation modules (observationHelpers.js) plus raw
+ * qpos/qvel, in the order given by `obs_config`.
+ */
+
+import { Observations } from '../policy/observationHelpers.js';
+import { physicsScheduler } from '../utils/PhysicsScheduler.js';
+import { baseVelocityController } from '../utils/controllers/BaseVelocityController.js';
+
+// Control period frame_skip defaults to, as for the policy decimation (s)
+const DEFAULT_CONTROL_DT = 0.02;
+const DEFAULT_MAX_EPISODE_STEPS = 1000;
+
+/**
+ * Full generalized position, as in the Gymnasium MuJoCo environments.
+ */
+class QPos {
+  constructor(env) {
+    this.env = env;
+  }
+
+  get size() {
+    return this.env.model.nq;
+  }
+
+  compute() {
+    return Float32Array.from(this.env.data.qpos);
+  }
+}
+
+/**
+ * Full generalized velocity.
+ */
+class QVel {
+  constructor(env) {
+    this.env = env;
+  }
+
+  get size() {
+    return this.env.model.nv;
+  }
+
+  compute() {
+    return Float32Array.from(this.env.data.qvel);
+  }
+}
+
+const ENV_OBSERVATIONS = { ...Observations, QPos, QVel };
+
+// Reward terms; the reward is their sum weighted by options.reward ({term: weight})
+const REWARD_TERMS = {
+  // 1 for every step the episode goes on
+  alive: () => 1,
+  // Squared norm of the applied action (give it a negative weight)
+  ctrl_cost: (env, action) => action.reduce((sum, a) => sum + a * a, 0),
+  // Root body velocity along world +X (m/s)
+  forward_velocity: (env, action, state) => state.rootLinVel[0],
+  // Root body height (m)
+  root_height: (env, action, state) => state.rootPos[2]
+};
+
+/**
+ * Small seedable PRNG (mulberry32), so resets are reproducible per seed.
+ * @param {number} seed
+ * @returns {function(): number} Uniform in [0, 1)
+ */
+function createRandom(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6D2B79F5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class RLEnvironment {
+  /**
+   * @param {object} demo - The MuJoCoDemo instance (or HeadlessSimulation)
+   */
+  constructor(demo) {
+    this.demo = demo;
+    this.active = false;
+    this.options = null;
+    this.random = createRandom(Date.now());
+
+    // Read by the policy observation modules, which expect a PolicyRunner
+    this.numActions = 0;
+    this.lastActions = new Float32Array(0);
+    this.tracking = null;
+
+    this.model = null;
+    this.obsModules = [];
+    this.steps = 0;
+    this.done = false;
+    this._wasPaused = false;
+  }
+
+  get data() {
+    return this.demo.data;
+  }
+
+  /**
+   * Describe the spaces for the given options (or the current ones).
+   * @param {object} [params]
+   * @param {object} [params.options] - Same as for reset()
+   */
+  getSpec({ options } = {}) {
+    this._configure(options);
+    const { model } = this;
+
+    const low = [];
+    const high = [];
+    for (let i = 0; i < model.nu; i++) {
+      const limited = model.actuator_ctrllimited[i];
+      low.push(limited ? model.actuator_ctrlrange[i * 2] : null);
+      high.push(limited ? model.actuator_ctrlrange[i * 2 + 1] : null);
+    }
+
+    return {
+      // null bounds are unbounded (JSON has no Infinity)
+      observation_space: { shape: [this._observationSize()], low: null, high: null },
+      action_space: { shape: [model.nu], low, high },
+      actuators: this._actuatorNames(),
+      observation_terms: this.options.obs_config.map((entry, i) => ({
+        name: entry.name,
+        size: this.obsModules[i].size
+      })),
+      reward_terms: Object.keys(REWARD_TERMS),
+      frame_skip: this.options.frame_skip,
+      dt: this.options.frame_skip * model.opt.timestep,
+      max_episode_steps: this.options.max_episode_steps
+    };
+  }
+
+  /**
+   * Start an episode.
+   * @param {object} [params]
+   * @param {number} [params.seed] - Reseeds the reset noise; omitted keeps the current sequence
+   * @param {object} [params.options]
+   * @param {object[]} [params.options.obs_config] - Observation modules [{name, ...kwargs}], default qpos + qvel
+   * @param {number} [params.options.frame_skip] - Physics steps per env step
+   * @param {number} [params.options.max_episode_steps] - Steps before the episode is truncated
+   * @param {number} [params.options.keyframe] - Keyframe to reset to instead of the model defaults
+   * @param {number} [params.options.reset_noise_scale] - Uniform noise added to qpos and qvel
+   * @param {object} [params.options.reward] - Reward term weights, e.g. {alive: 1, ctrl_cost: -0.01}
+   * @param {number} [params.options.terminate_below] - End the episode once the root is lower (m)
+   * @returns {{observation: number[], info: object}}
+   */
+  reset({ seed, options } = {}) {
+    if (seed !== undefined && seed !== null) {
+      this.random = createRandom(seed);
+    }
+    this._configure(options);
+
+    const { mujoco } = this.demo;
+    const { model, data } = this;
+    const { keyframe, reset_noise_scale: noise } = this.options;
+
+    if (keyframe !== undefined) {
+      if (!(keyframe >= 0 && keyframe < model.nkey)) {
+        throw new Error(`Keyframe ${keyframe} out of range (model has ${model.nkey})`);
+      }
+      mujoco.mj_resetDataKeyframe(model, data, keyframe);
+    } else {
+      mujoco.mj_resetData(model, data);
+    }
+    if (noise > 0) {
+      for (let i = 0; i < model.nq; i++) data.qpos[i] += noise * (2 * this.random() - 1);
+      for (let i = 0; i < model.nv; i++) data.qvel[i] += noise * (2 * this.random() - 1);
+    }
+    mujoco.mj_forward(model, data);
+
+    // Take over the physics from the live loop. Commands waiting on its
+    // steps (move_base, wait, ...) fail instead of hanging.
+    physicsScheduler.cancelAll('An RL environment episode took over the physics');
+    baseVelocityController.cancel('RL environment episode started');
+    if (!this.active) {
+      this._wasPaused = this.demo.params.paused;
+      this.active = true;
+    }
+    this.demo.params.paused = true;
+
+    this.steps = 0;
+    this.done = false;
+    this.lastActions.fill(0);
+    const state = this._readState();
+    for (const obs of this.obsModules) {
+      obs.reset?.(state);
+    }
+
+    return { observation: this._observe(state), info: this._info() };
+  }
+
+  /**
+   * Apply an action and advance one control period.
+   * @param {object} params
+   * @param {number[]} params.action - One ctrl value per actuator, clipped to the ctrl ranges
+   * @returns {{observation: number[], reward: number, terminated: boolean, truncated: boolean, info: object}}
+   */
+  step({ action } = {}) {
+    if (!this.active || this.demo.model !== this.model) {
+      throw new Error('Call reset before step');
+    }
+    if (this.done) {
+      throw new Error('The episode has ended; call reset');
+    }
+    if (!Array.isArray(action) || action.length !== this.numActions ||
+        !action.every(Number.isFinite)) {
+      throw new Error(`Action must be ${this.numActions} finite numbers`);
+    }
+
+    const { mujoco } = this.demo;
+    const { model, data } = this;
+    for (let i = 0; i < model.nu; i++) {
+      let value = action[i];
+      if (model.actuator_ctrllimited[i]) {
+        value = Math.min(Math.max(value, model.actuator_ctrlrange[i * 2]), model.actuator_ctrlrange[i * 2 + 1]);
+      }
+      data.ctrl[i] = value;
+      this.lastActions[i] = value;
+    }
+
+    for (let k = 0; k < this.options.frame_skip; k++) {
+      mujoco.mj_step(model, data);
+    }
+    this.steps++;
+
+    const state = this._readState();
+    const observation = this._observe(state);
+
+    const rewardTerms = {};
+    let reward = 0;
+    for (const [name, weight] of Object.entries(this.options.reward)) {
+      rewardTerms[name] = weight * REWARD_TERMS[name](this, this.lastActions, state);
+      reward += rewardTerms[name];
+    }
+
+    const unstable = !data.qpos.every(Number.isFinite);
+    const fell = this.options.terminate_below !== undefined && state.rootPos[2] < this.options.terminate_below;
+    const terminated = unstable || fell;
+    const truncated = !terminated && this.steps >= this.options.max_episode_steps;
+    this.done = terminated || truncated;
+
+    const info = { ...this._info(), reward_terms: rewardTerms };
+    if (unstable) {
+      info.unstable = true;
+    }
+    return { observation, reward, terminated, truncated, info };
+  }
+
+  /**
+   * End the episode and give the physics back to the live loop.
+   */
+  close() {
+    if (this.active) {
+      this.demo.params.paused = this._wasPaused;
+      this.active = false;
+    }
+    return { success: true };
+  }
+
+  /**
+   * Merge options over the current ones and rebuild the observation modules
+   * for the loaded model.
+   */
+  _configure(options) {
+    const model = this.demo.model;
+    if (!model) {
+      throw new Error('No scene loaded');
+    }
+
+    if (options || !this.options || model !== this.model) {
+      const next = {
+        obs_config: [{ name: 'QPos' }, { name: 'QVel' }],
+        frame_skip: Math.max(1, Math.round(DEFAULT_CONTROL_DT / model.opt.timestep)),
+        max_episode_steps: DEFAULT_MAX_EPISODE_STEPS,
+        reset_noise_scale: 0,
+        reward: {},
+        ...(model === this.model ? this.options : null),
+        ...options
+      };
+
+      for (const name of Object.keys(next.reward)) {
+        if (!REWARD_TERMS[name]) {
+          throw new Error(`Unknown reward term "${name}". Available: ${Object.keys(REWARD_TERMS).join(', ')}`);
+        }
+      }
+      if (!(Number.isInteger(next.frame_skip) && next.frame_skip > 0)) {
+        throw new Error('frame_skip must be a positive integer');
+      }
+
+      this.model = model;
+      this.numActions = model.nu;
+      this.lastActions = new Float32Array(model.nu);
+      this.obsModules = next.obs_config.map(({ name, ...kwargs }) => {
+        const ObsClass = ENV_OBSERVATIONS[name];
+        if (!ObsClass) {
+          throw new Error(`Unknown observation type "${name}". Available: ${Object.keys(ENV_OBSERVATIONS).join(', ')}`);
+        }
+        return new ObsClass(this, kwargs);
+      });
+      this.options = next;
+    }
+  }
+
+  /**
+   * Robot state in the shape the policy observation modules read. Joint
+   * position and velocity are per actuator (its joint or tendon); root
+   * values come from a free root joint, or are zero for fixed-base robots.
+   */
+  _readState() {
+    const { model, data } = this;
+    const free = model.njnt > 0 && model.jnt_type[0] === this.demo.mujoco.mjtJoint.mjJNT_FREE.value;
+    const q = free ? model.jnt_qposadr[0] : 0;
+    const v = free ? model.jnt_dofadr[0] : 0;
+
+    return {
+      jointPos: Float32Array.from(data.actuator_length),
+      jointVel: Float32Array.from(data.actuator_velocity),
+      rootPos: free ? Float32Array.of(data.qpos[q], data.qpos[q + 1], data.qpos[q + 2]) : new Float32Array(3),
+      rootQuat: free
+        ? Float32Array.of(data.qpos[q + 3], data.qpos[q + 4], data.qpos[q + 5], data.qpos[q + 6])
+        : Float32Array.of(1, 0, 0, 0),
+      rootLinVel: free ? Float32Array.of(data.qvel[v], data.qvel[v + 1], data.qvel[v + 2]) : new Float32Array(3),
+      rootAngVel: free ? Float32Array.of(data.qvel[v + 3], data.qvel[v + 4], data.qvel[v + 5]) : new Float32Array(3)
+    };
+  }
+
+  /**
+   * Update and concatenate the observation modules, as PolicyRunner.step does.
+   */
+  _observe(state) {
+    const observation = [];
+    for (const obs of this.obsModules) {
+      obs.update?.(state);
+      observation.push(...obs.compute(state));
+    }
+    return observation;
+  }
+
+  _observationSize() {
+    return this.obsModules.reduce((sum, obs) => sum + obs.size, 0);
+  }
+
+  _info() {
+    return { time: this.data.time, steps: this.steps };
+  }
+
+  _actuatorNames() {
+    const { model } = this;
+    const textDecoder = new TextDecoder('utf-8');
+    const names = [];
+    for (let i = 0; i < model.nu; i++) {
+      const start = model.name_actuatoradr[i];
+      names.push(textDecoder.decode(model.names.subarray(start, model.names.indexOf(0, start))));
+    }
+    return names;
+  }
+}
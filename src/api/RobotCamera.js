@@ -10,12 +10,14 @@ import { getPosition, getQuaternion } from '../mujocoUtils.js';
 
 export class RobotCamera {
   /**
-   * @param {THREE.WebGLRenderer} renderer - The main Three.js renderer
+   * @param {THREE.WebGLRenderer} renderer - The main Three.js renderer (PiP preview)
    * @param {THREE.Scene} scene - The main scene
+   * @param {CaptureRenderer} captureRenderer - Renders the AI captures off screen
    */
-  constructor(renderer, scene) {
+  constructor(renderer, scene, captureRenderer) {
     this.renderer = renderer;
     this.scene = scene;
+    this.captureRenderer = captureRenderer;
 
     // Camera settings (approximate a typical robot camera)
     this.fov = 60;
@@ -31,7 +33,7 @@ export class RobotCamera {
     );
     this.camera.name = 'RobotHeadCamera';
 
-    // Render target for offscreen capture
+    // Render target for the PiP preview
     this.renderTarget = new THREE.WebGLRenderTarget(this.width, this.height, {
       format: THREE.RGBAFormat,
       type: THREE.UnsignedByteType
@@ -58,9 +60,9 @@ export class RobotCamera {
   /**
    * Initialize by finding the head camera body index in the MuJoCo model.
    * @param {object} model - MuJoCo model
-   * @param {object} bodies - Three.js body groups keyed by index
    */
-  init(model, bodies) {
+  init(model) {
+    this.cameraBodyIndex = -1;
     const textDecoder = new TextDecoder('utf-8');
     const nullChar = textDecoder.decode(new ArrayBuffer(1));
 
@@ -225,54 +227,13 @@ export class RobotCamera {
 
   /**
    * Capture the current view as a base64-encoded PNG image.
-   * @returns {string} Base64-encoded PNG (without data: prefix)
+   * Renders offscreen, so it works while the page is hidden too.
+   * @returns {Promise<string|null>} Base64-encoded PNG (without data: prefix)
    */
-  capture() {
+  async capture() {
     if (this.cameraBodyIndex < 0) {
       return null;
     }
-
-    // Save current renderer state
-    const currentRenderTarget = this.renderer.getRenderTarget();
-    const currentSize = new THREE.Vector2();
-    this.renderer.getSize(currentSize);
-
-    // Render to our offscreen target
-    this.renderer.setRenderTarget(this.renderTarget);
-    this.renderer.setSize(this.width, this.height, false);
-    this.renderer.render(this.scene, this.camera);
-
-    // Read pixels
-    this.renderer.readRenderTargetPixels(
-      this.renderTarget,
-      0, 0,
-      this.width, this.height,
-      this.pixelBuffer
-    );
-
-    // Restore renderer state
-    this.renderer.setRenderTarget(currentRenderTarget);
-    this.renderer.setSize(currentSize.x, currentSize.y, false);
-
-    // Convert pixel buffer to PNG using canvas
-    const canvas = document.createElement('canvas');
-    canvas.width = this.width;
-    canvas.height = this.height;
-    const ctx = canvas.getContext('2d');
-    const imageData = ctx.createImageData(this.width, this.height);
-
-    // Flip vertically (WebGL reads bottom-up)
-    for (let y = 0; y < this.height; y++) {
-      const srcRow = (this.height - 1 - y) * this.width * 4;
-      const dstRow = y * this.width * 4;
-      for (let x = 0; x < this.width * 4; x++) {
-        imageData.data[dstRow + x] = this.pixelBuffer[srcRow + x];
-      }
-    }
-    ctx.putImageData(imageData, 0, 0);
-
-    // Convert to base64 PNG (strip the data:image/png;base64, prefix)
-    const dataUrl = canvas.toDataURL('image/png');
-    return dataUrl.split(',')[1];
+    return this.captureRenderer.capture(this.scene, this.camera, this.width, this.height);
   }
 }
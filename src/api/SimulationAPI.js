@@ -1,29 +1,106 @@
 /**
- * Simulation API - Browser-side Control Interface
+ * Simulation API - Robot Control Interface
  *
  * Provides high-level robot control methods that the WebSocket
  * command handler calls. Each method manipulates MuJoCo data
- * directly and returns results.
+ * directly and returns results. Runs in the browser and, without
+ * cameras or renderer, in the headless server simulation.
  *
  * Motor direction reference (from XLeRobotController keyboard mapping):
  *   ctrl[0]  forward tendon: W (visual forward) = -1,  S (visual backward) = +1
  *   ctrl[1]  turn tendon:    A (visual left)    = +1,  D (visual right)    = -1
  */
 
-import { getPosition, getQuaternion } from '../mujocoUtils.js';
 import { inverseKinematics2Link } from '../utils/math/inverseKinematics.js';
-import * as THREE from 'three';
+import { SceneManager } from '../utils/SceneManager.js';
+import { keyboardController } from '../utils/KeyboardControl.js';
+import { quatFromAxisAngle, quatMultiply, quatNormalize } from '../utils/math/quaternion.js';
+import { buildOccupancyGrid, planPath } from '../utils/math/pathPlanning.js';
+import { baseVelocityController } from '../utils/controllers/BaseVelocityController.js';
+import { physicsScheduler } from '../utils/PhysicsScheduler.js';
+import { RLEnvironment } from './RLEnvironment.js';
+import { captureState, applyState, stateSnapshots } from '../utils/StateSnapshots.js';
+
+// Actuators each capability needs. Arm actuators follow the SO-ARM naming
+// (Rotation, Pitch, Elbow, Wrist_Pitch, Wrist_Roll, Jaw) with a per-arm
+// suffix: _L / _R on XLeRobot, none on the single-arm SO101.
+const BASE_ACTUATORS = ['forward', 'turn'];
+const HEAD_ACTUATORS = ['head_pan', 'head_tilt'];
+const ARM_ACTUATORS = ['Pitch', 'Elbow', 'Wrist_Pitch'];
+// Name of the arm / gripper on single-arm robots
+const MAIN_ARM = 'main';
+const ARM_SIDES = { left: '_L', right: '_R', [MAIN_ARM]: '' };
+
+// SO-ARM jaw positions (XLeRobot and SO101)
+const GRIPPER_OPEN = 1.5;
+const GRIPPER_CLOSED = -0.25;
+
+// End-effector moves finish once the pose error is below these (m, rad)
+const EE_POS_TOLERANCE = 0.005;
+const EE_ROT_TOLERANCE = 0.05;
+
+// Pick and place: hand height above the grasp point when approaching and
+// lifting (m), the height of each lift step (m), and how long the fingers
+// get to close or open (simulated s)
+const PICK_APPROACH_HEIGHT = 0.1;
+const PICK_LIFT_HEIGHT = 0.1;
+const PICK_LIFT_STEP = 0.02;
+const GRIPPER_SETTLE_TIME = 0.8;
+
+// move_base acceptance tolerances (m, rad), and the time allowed on top of
+// the move at a cautious average speed (simulated s)
+const BASE_DISTANCE_TOLERANCE = 0.01;
+const BASE_ANGLE_TOLERANCE = 0.02;
+const BASE_TIMEOUT_MARGIN = 5;
+const BASE_AVERAGE_SPEED = 0.15;
+const BASE_AVERAGE_TURN_RATE = 0.5;
+
+// XLeRobot's front (head camera, W key) faces the chassis -X axis
+const BASE_HEADING_OFFSET = Math.PI;
+
+// navigate_to: robot footprint radius the obstacles are grown by and
+// waypoint acceptance radius (m), and the overall time budget (simulated s)
+const NAV_ROBOT_RADIUS = 0.22;
+const NAV_WAYPOINT_TOLERANCE = 0.1;
+const NAV_TIMEOUT = 50;
+
+// Longest play_motion waits for a motion to finish (simulated s)
+const MOTION_TIMEOUT = 45;
+
+// Time the head servos get to reach a new pose (simulated s)
+const HEAD_SETTLE_TIME = 0.5;
+
+// Longest move_end_effector waits for the IK to converge (simulated s)
+const EE_TIMEOUT = 5;
+
+// Orbit camera image size (px)
+const ORBIT_CAPTURE_WIDTH = 960;
+const ORBIT_CAPTURE_HEIGHT = 540;
+
+// Capability each command needs; commands not listed work on any robot
+const ACTION_REQUIREMENTS = {
+  move_base: 'base',
+  set_base_velocity: 'base',
+  navigate_to: 'base',
+  move_arm: 'arms',
+  set_gripper: 'grippers',
+  move_head: 'head',
+  move_end_effector: 'end_effector',
+  pick_object: 'end_effector',
+  place_object: 'end_effector',
+  list_motions: 'motion_policy',
+  play_motion: 'motion_policy',
+  get_motion_status: 'motion_policy'
+};
 
 // Motor direction constants (matching XLeRobotController)
 const MOTOR_FORWARD = -1;   // W key = visual forward = negative ctrl[0]
-const MOTOR_BACKWARD = 1;   // S key = visual backward = positive ctrl[0]
 const MOTOR_TURN_LEFT = 1;  // A key = visual left turn = positive ctrl[1]
-const MOTOR_TURN_RIGHT = -1; // D key = visual right turn = negative ctrl[1]
 
 export class SimulationAPI {
   /**
-   * @param {object} demo - The MuJoCoDemo instance
-   * @param {RobotCamera} robotCamera - The head-mounted camera
+   * @param {object} demo - The MuJoCoDemo instance (or HeadlessSimulation)
+   * @param {RobotCamera|null} robotCamera - The head-mounted camera, if rendering
    */
   constructor(demo, robotCamera) {
     this.demo = demo;
@@ -32,6 +109,12 @@ export class SimulationAPI {
     // Cache body name -> index mapping
     this._bodyNameMap = null;
     this._actuatorNameMap = null;
+
+    // Object grasped by pick_object, until placed or reset
+    this._heldObject = null;
+
+    // Reset/step episodes for /ws/env clients
+    this.rlEnvironment = new RLEnvironment(demo);
   }
 
   /**
@@ -40,6 +123,10 @@ export class SimulationAPI {
   rebuildCaches() {
     this._bodyNameMap = null;
     this._actuatorNameMap = null;
+    this._heldObject = null;
+    baseVelocityController.unbind();
+    physicsScheduler.cancelAll();
+    this.rlEnvironment.close();
   }
 
   _ensureBodyNameMap() {
@@ -125,31 +212,167 @@ export class SimulationAPI {
     return Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z));
   }
 
+  /**
+   * Describe the loaded robot for the AI server (from SceneManager.ROBOT_CONFIGS),
+   * including the capability manifest the server builds its tool list from.
+   */
+  getRobotInfo() {
+    const sceneManager = this.demo.sceneManager;
+    const robot = sceneManager?.currentRobot ?? null;
+    const config = SceneManager.ROBOT_CONFIGS[robot] ?? {};
+    return {
+      robot,
+      description: config.description ?? null,
+      type: config.type ?? null,
+      environment: sceneManager?.currentEnv ?? null,
+      capabilities: this.getCapabilities()
+    };
+  }
+
+  /**
+   * Work out what the loaded robot can do from its actuator names.
+   * @returns {{actuators: string[], base: boolean, arms: string[], grippers: string[],
+   *           head: boolean, end_effector: boolean, head_camera: boolean,
+   *           motion_policy: boolean, policy_motions: string[]}}
+   */
+  getCapabilities() {
+    this._ensureActuatorNameMap();
+    const has = (name) => name in this._actuatorNameMap;
+
+    const arms = Object.keys(ARM_SIDES).filter(
+      side => ARM_ACTUATORS.every(name => has(name + ARM_SIDES[side]))
+    );
+    const poseController = this._getPoseController();
+    const robot = this.demo.sceneManager?.currentRobot;
+
+    return {
+      actuators: Object.keys(this._actuatorNameMap),
+      base: BASE_ACTUATORS.every(has),
+      arms,
+      grippers: poseController ? [MAIN_ARM] : arms.filter(side => has('Jaw' + ARM_SIDES[side])),
+      head: HEAD_ACTUATORS.every(has),
+      end_effector: !!poseController,
+      head_camera: !!this.robotCamera && this.robotCamera.cameraBodyIndex >= 0,
+      // The policy is loaded on demand, so a configured one counts too where it can be loaded
+      motion_policy: this.demo.policyEnabled ||
+        (!!this.demo.loadPolicy && !!SceneManager.ROBOT_CONFIGS[robot]?.policyPath),
+      policy_motions: this.demo.policyEnabled ? this.demo.getAvailableMotions() : []
+    };
+  }
+
+  /**
+   * Check that the loaded robot supports a command.
+   * @returns {string|null} Error message, or null if supported
+   */
+  _checkCapability(action, params) {
+    const requirement = ACTION_REQUIREMENTS[action];
+    if (!requirement) return null;
+
+    const capabilities = this.getCapabilities();
+    const robot = this.demo.sceneManager?.currentRobot ?? 'this robot';
+    const supported = requirement === 'arms' || requirement === 'grippers'
+      ? capabilities[requirement].includes(this._resolveArm(params.arm, capabilities[requirement]))
+      : capabilities[requirement];
+
+    return supported ? null : `"${action}" is not supported by ${robot}`;
+  }
+
+  /**
+   * Arm named in a command; single-arm robots may leave it out.
+   */
+  _resolveArm(arm, available) {
+    if (arm === undefined && available.length === 1) {
+      return available[0];
+    }
+    return arm;
+  }
+
+  /**
+   * Closed-loop base controller, bound to this model's chassis and motors.
+   */
+  _getBaseController() {
+    if (!baseVelocityController.base) {
+      this._ensureActuatorNameMap();
+      baseVelocityController.bind(this.demo.model, {
+        chassis: this._getChassisIndex(),
+        forward: this._actuatorNameMap.forward,
+        turn: this._actuatorNameMap.turn,
+        forwardSign: MOTOR_FORWARD,
+        turnSign: MOTOR_TURN_LEFT,
+        headingOffset: BASE_HEADING_OFFSET
+      });
+    }
+    return baseVelocityController;
+  }
+
+  /**
+   * Controller with a settable end-effector pose (PandaController), if active.
+   */
+  _getPoseController() {
+    const controller = keyboardController.enabled ? keyboardController.customController : null;
+    return controller?.initialized && typeof controller.setTargetPose === 'function'
+      ? controller
+      : null;
+  }
+
   /**
    * Execute a command from the AI server.
    */
   async executeCommand(action, params) {
+    const unsupported = this._checkCapability(action, params ?? {});
+    if (unsupported) {
+      return { error: unsupported };
+    }
+
     switch (action) {
       case 'observe_scene':
         return this._observeScene(params);
       case 'move_base':
         return this._moveBase(params);
+      case 'set_base_velocity':
+        return this._setBaseVelocity(params);
       case 'move_arm':
         return this._moveArm(params);
       case 'set_gripper':
         return this._setGripper(params);
       case 'move_head':
         return this._moveHead(params);
+      case 'move_end_effector':
+        return this._moveEndEffector(params);
+      case 'pick_object':
+        return this._pickObject(params);
+      case 'place_object':
+        return this._placeObject(params);
+      case 'list_motions':
+        return this._listMotions();
+      case 'play_motion':
+        return this._playMotion(params);
+      case 'get_motion_status':
+        return this._getMotionStatus();
       case 'get_robot_state':
         return this._getRobotState();
       case 'get_scene_objects':
         return this._getSceneObjects();
+      case 'get_contacts':
+        return this._getContacts(params);
       case 'navigate_to':
         return this._navigateTo(params);
       case 'reset_robot':
         return this._resetRobot();
       case 'stop_motors':
         return this._stopMotors();
+      case 'save_state':
+        return this._saveState(params);
+      case 'restore_state':
+        return this._restoreState(params);
+      case 'env_spec':
+        return this.rlEnvironment.getSpec(params);
+      case 'env_reset':
+        return this.rlEnvironment.reset(params);
+      case 'env_step':
+        return this.rlEnvironment.step(params);
+      case 'env_close':
+        return this.rlEnvironment.close();
       default:
         return { error: `Unknown action: ${action}` };
     }
@@ -159,19 +382,34 @@ export class SimulationAPI {
   // Command Implementations
   // ==========================================
 
-  _observeScene(params) {
+  async _observeScene(params) {
     const sources = params.sources || {};
     const result = {};
+    const unavailable = [];
 
     if (sources.head_camera !== false) {
-      const img = this.robotCamera.capture();
+      const img = this.robotCamera ? await this.robotCamera.capture() : null;
       if (img) {
         result.head_camera_image = img;
+      } else {
+        unavailable.push(this.robotCamera ? 'this robot has no head camera' : 'no head camera renderer');
       }
     }
 
     if (sources.orbit_camera !== false) {
-      result.orbit_camera_image = this._captureOrbitCamera();
+      if (this.demo.captureRenderer) {
+        result.orbit_camera_image = await this._captureOrbitCamera();
+      } else {
+        unavailable.push('no orbit camera renderer');
+      }
+    }
+
+    // Headless simulations render nothing; say so rather than leave the images out
+    if (unavailable.length > 0) {
+      result.images_unavailable = true;
+      result.images_unavailable_reason = this.demo.captureRenderer
+        ? unavailable.join('; ')
+        : 'This simulation runs headless, without rendering; use the state data instead';
     }
 
     if (sources.state_data !== false) {
@@ -183,132 +421,171 @@ export class SimulationAPI {
     return result;
   }
 
+  /**
+   * Render the orbit camera's view offscreen, independent of the window size.
+   */
   _captureOrbitCamera() {
-    const renderer = this.demo.renderer;
-    const scene = this.demo.scene;
-    const camera = this.demo.camera;
-
-    // The renderer has preserveDrawingBuffer: true
-    renderer.render(scene, camera);
-
-    const canvas = renderer.domElement;
-    const dataUrl = canvas.toDataURL('image/png');
-    return dataUrl.split(',')[1];
+    return this.demo.captureRenderer.capture(
+      this.demo.scene, this.demo.camera, ORBIT_CAPTURE_WIDTH, ORBIT_CAPTURE_HEIGHT
+    );
   }
 
   async _moveBase(params) {
     const { direction, amount } = params;
-    const data = this.demo.data;
+    const linear = direction === 'forward' || direction === 'backward';
+    if (!linear && direction !== 'turn_left' && direction !== 'turn_right') {
+      return { error: `Unknown direction: ${direction}` };
+    }
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { error: 'amount must be a non-negative number of meters or radians' };
+    }
 
-    const startPos = this._getRobotBasePos();
-    const startYaw = this._getRobotYaw();
-
-    return new Promise((resolve) => {
-      let elapsed = 0;
-      const checkInterval = 50;
-
-      const step = () => {
-        if (direction === 'forward' || direction === 'backward') {
-          const currentPos = this._getRobotBasePos();
-          const dx = currentPos.x - startPos.x;
-          const dy = currentPos.y - startPos.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-
-          if (dist >= amount || elapsed > 15000) {
-            data.ctrl[0] = 0;
-            resolve({
-              success: dist >= amount * 0.7,
-              distance_moved: Math.round(dist * 1000) / 1000,
-              position: this._getRobotBasePos()
-            });
-            return;
-          }
-
-          data.ctrl[0] = direction === 'forward' ? MOTOR_FORWARD : MOTOR_BACKWARD;
-
-        } else if (direction === 'turn_left' || direction === 'turn_right') {
-          const currentYaw = this._getRobotYaw();
-          let angleMoved = currentYaw - startYaw;
-          // Normalize to [-pi, pi]
-          while (angleMoved > Math.PI) angleMoved -= 2 * Math.PI;
-          while (angleMoved < -Math.PI) angleMoved += 2 * Math.PI;
-
-          if (Math.abs(angleMoved) >= amount || elapsed > 10000) {
-            data.ctrl[1] = 0;
-            resolve({
-              success: Math.abs(angleMoved) >= amount * 0.7,
-              angle_turned: Math.round(Math.abs(angleMoved) * 100) / 100,
-              yaw: Math.round(currentYaw * 100) / 100,
-              position: this._getRobotBasePos()
-            });
-            return;
-          }
-
-          data.ctrl[1] = direction === 'turn_left' ? MOTOR_TURN_LEFT : MOTOR_TURN_RIGHT;
-        }
-
-        elapsed += checkInterval;
-        setTimeout(step, checkInterval);
-      };
+    const controller = this._getBaseController();
+    const sign = direction === 'backward' || direction === 'turn_right' ? -1 : 1;
+    const tolerance = params.tolerance ?? (linear ? BASE_DISTANCE_TOLERANCE : BASE_ANGLE_TOLERANCE);
+    const timeout = BASE_TIMEOUT_MARGIN + amount / (linear ? BASE_AVERAGE_SPEED : BASE_AVERAGE_TURN_RATE);
 
-      step();
-    });
+    const result = linear
+      ? await controller.driveDistance(sign * amount, tolerance, timeout)
+      : await controller.turnAngle(sign * amount, tolerance, timeout);
+
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const round = (v) => Math.round(v * 1000) / 1000;
+    const response = {
+      success: !!result.success,
+      error_remaining: round(Math.abs(result.remaining ?? amount)),
+      tolerance,
+      position: this._getRobotBasePos(),
+      yaw: Math.round(this._getRobotYaw() * 100) / 100
+    };
+    if (linear) {
+      response.distance_moved = round(Math.abs(result.distance ?? 0));
+    } else {
+      response.angle_turned = round(Math.abs(result.angle ?? 0));
+    }
+    if (result.timed_out) {
+      response.error = 'Timed out before reaching the tolerance';
+    } else if (result.cancelled) {
+      response.error = result.reason;
+    }
+    return response;
+  }
+
+  async _setBaseVelocity(params) {
+    const { v = 0, omega = 0, duration } = params;
+    if (!(duration > 0)) {
+      return { error: 'duration must be a positive number of seconds' };
+    }
+
+    const result = await this._getBaseController().setVelocity(v, omega, duration);
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const round = (x) => Math.round(x * 1000) / 1000;
+    const response = {
+      success: !!result.success,
+      distance_moved: round(result.distance ?? 0),
+      angle_turned: round(result.angle ?? 0),
+      position: this._getRobotBasePos(),
+      yaw: Math.round(this._getRobotYaw() * 100) / 100
+    };
+    if (result.cancelled) {
+      response.error = result.reason;
+    }
+    return response;
   }
 
   _moveArm(params) {
-    const { arm, x, y } = params;
-    const data = this.demo.data;
+    const { x, y, rotation, wrist_roll } = params;
+    const arm = this._resolveArm(params.arm, this.getCapabilities().arms);
 
     const [j2, j3] = inverseKinematics2Link(x, y);
     const wristPitch = j2 - j3;
 
-    if (arm === 'left') {
-      data.ctrl[3] = j2;   // Pitch_L
-      data.ctrl[4] = j3;   // Elbow_L
-      data.ctrl[5] = wristPitch; // Wrist_Pitch_L
-    } else {
-      data.ctrl[9] = j2;   // Pitch_R
-      data.ctrl[10] = j3;  // Elbow_R
-      data.ctrl[11] = wristPitch; // Wrist_Pitch_R
-    }
+    this._setArmActuator(arm, 'Pitch', j2);
+    this._setArmActuator(arm, 'Elbow', j3);
+    this._setArmActuator(arm, 'Wrist_Pitch', wristPitch);
 
-    return {
+    const result = {
       success: true,
       arm,
       target: { x, y },
       joint_angles: { shoulder_pitch: Math.round(j2 * 100) / 100, elbow: Math.round(j3 * 100) / 100 }
     };
+
+    if (rotation !== undefined) {
+      result.joint_angles.rotation = Math.round(this._setArmActuator(arm, 'Rotation', rotation) * 100) / 100;
+    }
+    if (wrist_roll !== undefined) {
+      result.joint_angles.wrist_roll = Math.round(this._setArmActuator(arm, 'Wrist_Roll', wrist_roll) * 100) / 100;
+    }
+
+    // Keep the keyboard controller's IK target in sync, or it would pull the arm back
+    keyboardController.customController?.setEndEffectorTarget?.(arm, x, y);
+
+    return result;
   }
 
   _setGripper(params) {
-    const { arm, state } = params;
+    const { state } = params;
     const data = this.demo.data;
 
-    const GRIPPER_OPEN = 1.5;
-    const GRIPPER_CLOSED = -0.25;
-    const value = state === 'open' ? GRIPPER_OPEN : GRIPPER_CLOSED;
-
-    if (arm === 'left') {
-      data.ctrl[7] = value;
-    } else {
-      data.ctrl[13] = value;
+    const poseController = this._getPoseController();
+    if (poseController) {
+      poseController.setGripper(state === 'open', data);
+      return { success: true, arm: MAIN_ARM, state };
     }
 
+    const arm = this._resolveArm(params.arm, this.getCapabilities().grippers);
+    this._setArmActuator(arm, 'Jaw', state === 'open' ? GRIPPER_OPEN : GRIPPER_CLOSED);
+
     return { success: true, arm, state };
   }
 
+  /**
+   * Write an arm actuator by name, clamped to its control range.
+   * @param {string} arm - 'left', 'right' or 'main'
+   * @param {string} joint - Actuator name without the arm suffix (e.g. 'Pitch')
+   * @param {number} value
+   * @returns {number} The value written
+   */
+  _setArmActuator(arm, joint, value) {
+    return this._setActuator(joint + ARM_SIDES[arm], value);
+  }
+
+  /**
+   * Write an actuator by name, clamped to its control range.
+   * @param {string} name - Actuator name
+   * @param {number} value
+   * @returns {number} The value written
+   */
+  _setActuator(name, value) {
+    this._ensureActuatorNameMap();
+    const idx = this._actuatorNameMap[name];
+    if (idx === undefined) {
+      throw new Error(`Actuator "${name}" not found`);
+    }
+
+    const model = this.demo.model;
+    if (model.actuator_ctrllimited[idx]) {
+      value = Math.max(model.actuator_ctrlrange[idx * 2], Math.min(model.actuator_ctrlrange[idx * 2 + 1], value));
+    }
+    this.demo.data.ctrl[idx] = value;
+    return value;
+  }
+
   async _moveHead(params) {
     const { pan, tilt } = params;
-    const data = this.demo.data;
-
-    const clampedPan = Math.max(-3.2, Math.min(3.2, pan));
-    const clampedTilt = Math.max(-0.76, Math.min(1.45, tilt));
 
-    data.ctrl[14] = clampedPan;
-    data.ctrl[15] = clampedTilt;
+    const clampedPan = this._setActuator('head_pan', Math.max(-3.2, Math.min(3.2, pan)));
+    const clampedTilt = this._setActuator('head_tilt', Math.max(-0.76, Math.min(1.45, tilt)));
 
     // Wait for the head to settle
-    await this._wait(500);
+    await physicsScheduler.wait(HEAD_SETTLE_TIME);
 
     const result = {
       success: true,
@@ -316,7 +593,7 @@ export class SimulationAPI {
       tilt: clampedTilt
     };
 
-    const img = this.robotCamera.capture();
+    const img = await this.robotCamera?.capture();
     if (img) {
       result.head_camera_image = img;
     }
@@ -324,6 +601,302 @@ export class SimulationAPI {
     return result;
   }
 
+  async _moveEndEffector(params) {
+    const controller = this._getPoseController();
+    const data = this.demo.data;
+    const { x, y, z, quaternion, rpy, timeout = EE_TIMEOUT } = params;
+
+    let quat = null;
+    if (quaternion) {
+      quat = quatNormalize(quaternion);
+    } else if (rpy) {
+      // Extrinsic X-Y-Z (roll, pitch, yaw) = Rz * Ry * Rx
+      const [roll, pitch, yaw] = rpy;
+      quat = quatMultiply(
+        quatFromAxisAngle([0, 0, 1], yaw),
+        quatMultiply(quatFromAxisAngle([0, 1, 0], pitch), quatFromAxisAngle([1, 0, 0], roll))
+      );
+    }
+
+    const { target, clamped } = controller.setTargetPose([x, y, z], quat);
+
+    // Wait for the IK to converge (or stall)
+    let pose = controller.getPoseError(data);
+    await physicsScheduler.waitFor(() => {
+      pose = controller.getPoseError(data);
+      return pose.position_error <= EE_POS_TOLERANCE && pose.rotation_error <= EE_ROT_TOLERANCE;
+    }, timeout);
+
+    const round = (v, digits = 1000) => Math.round(v * digits) / digits;
+    const converged = pose.position_error <= EE_POS_TOLERANCE && pose.rotation_error <= EE_ROT_TOLERANCE;
+    return {
+      success: converged,
+      target: { x: round(target[0]), y: round(target[1]), z: round(target[2]) },
+      clamped_to_workspace: clamped,
+      achieved: {
+        position: { x: round(pose.position[0]), y: round(pose.position[1]), z: round(pose.position[2]) },
+        quaternion: pose.quaternion.map(v => round(v))
+      },
+      position_error: round(pose.position_error, 10000),
+      rotation_error: round(pose.rotation_error),
+      joint_limits_hit: controller.getJointLimitsHit(data).map(hit => ({
+        joint: `joint${hit.joint}`,
+        position: round(hit.position),
+        limit: hit.limit
+      }))
+    };
+  }
+
+  /**
+   * Bodies touching a body, from the current MuJoCo contacts.
+   * @param {number} bodyIdx
+   * @returns {Set<number>} Indices of the touching bodies
+   */
+  _touchingBodies(bodyIdx) {
+    const { model, data } = this.demo;
+    const touching = new Set();
+
+    for (let i = 0; i < data.ncon; i++) {
+      const contact = data.contact.get(i);
+      const body1 = model.geom_bodyid[contact.geom1];
+      const body2 = model.geom_bodyid[contact.geom2];
+      contact.delete();
+
+      if (body1 === bodyIdx) touching.add(body2);
+      else if (body2 === bodyIdx) touching.add(body1);
+    }
+    return touching;
+  }
+
+  /**
+   * Names of the gripper fingers touching a body.
+   */
+  _fingersTouching(controller, bodyIdx) {
+    this._ensureBodyNameMap();
+    const touching = this._touchingBodies(bodyIdx);
+    return controller.FINGER_BODIES.filter(name => touching.has(this._bodyNameMap[name]));
+  }
+
+  /**
+   * Hand orientation for a top-down grasp of a body: pointing down, with the
+   * fingers closing across one pair of the body's vertical faces. Of the
+   * four such yaws, the one closest to the current hand yaw is used.
+   * @param {number} bodyIdx
+   * @param {number[]} handQuat - Current hand orientation [w, x, y, z]
+   * @returns {number[]} Quaternion [w, x, y, z]
+   */
+  _topDownGraspQuat(bodyIdx, handQuat) {
+    const { data } = this.demo;
+    // Heading of a frame's X axis in the world XY plane
+    const yawOf = ([w, x, y, z]) => Math.atan2(2 * (x * y + w * z), 1 - 2 * (y * y + z * z));
+
+    const objectYaw = yawOf(Array.from(data.xquat.subarray(bodyIdx * 4, bodyIdx * 4 + 4)));
+    const handYaw = yawOf(handQuat);
+    const quarter = Math.PI / 2;
+    const yaw = objectYaw + Math.round((handYaw - objectYaw) / quarter) * quarter;
+
+    // Rz(yaw) * Rx(pi): hand Z down, hand X along the yaw
+    return [0, Math.cos(yaw / 2), Math.sin(yaw / 2), 0];
+  }
+
+  async _pickObject(params) {
+    const { name, approach_height = PICK_APPROACH_HEIGHT, lift_height = PICK_LIFT_HEIGHT } = params;
+    const controller = this._getPoseController();
+    const data = this.demo.data;
+
+    const object = this._getSceneObjectsList().find(o => o.name === name);
+    if (!object) {
+      return { error: `Unknown object "${name}". Use get_scene_objects to list objects.` };
+    }
+    const bodyIdx = this._bodyNameMap[name];
+    const start = object.position;
+    const graspQuat = this._topDownGraspQuat(bodyIdx, controller.getPoseError(data).quaternion);
+    const preGrasp = { x: start.x, y: start.y, z: start.z + approach_height };
+
+    // Open, move above the object, turn the hand to the grasp yaw there, then
+    // descend around the object
+    controller.setGripper(true, data);
+    await this._moveEndEffector(preGrasp);
+    const approach = await this._moveEndEffector({ ...preGrasp, quaternion: graspQuat });
+    if (!approach.success) {
+      return {
+        success: false,
+        held: false,
+        error: 'Could not reach the approach pose above the object',
+        approach
+      };
+    }
+    await this._moveEndEffector({ x: start.x, y: start.y, z: start.z });
+
+    controller.setGripper(false, data);
+    await physicsScheduler.wait(GRIPPER_SETTLE_TIME);
+    const graspContacts = this._fingersTouching(controller, bodyIdx);
+
+    // Lift in small steps so the object is not jerked out of the fingers
+    for (let height = PICK_LIFT_STEP; height < lift_height; height += PICK_LIFT_STEP) {
+      await this._moveEndEffector({ x: start.x, y: start.y, z: start.z + height });
+    }
+    const lift = await this._moveEndEffector({ x: start.x, y: start.y, z: start.z + lift_height });
+    const contacts = this._fingersTouching(controller, bodyIdx);
+    const end = this._getBodyPosMJ(bodyIdx);
+    const lifted = Math.round((end.z - start.z) * 1000) / 1000;
+
+    // Held: every finger still touches the object and it rose with the hand
+    const held = contacts.length === controller.FINGER_BODIES.length && lifted > lift_height / 2;
+    this._heldObject = held ? { name, graspZ: start.z } : null;
+
+    return {
+      success: held,
+      held,
+      object: { name, start_position: start, position: end },
+      lifted,
+      finger_contacts: { after_grasp: graspContacts, after_lift: contacts },
+      hand_position: lift.achieved.position
+    };
+  }
+
+  async _placeObject(params) {
+    const held = this._heldObject;
+    const { x, y, z = held?.graspZ, lift_height = PICK_LIFT_HEIGHT } = params;
+    const controller = this._getPoseController();
+    const data = this.demo.data;
+
+    if (z === undefined) {
+      return { error: 'No z given and no object is held from pick_object' };
+    }
+
+    // Carry over the target at lift height, lower, release and back off
+    const carry = await this._moveEndEffector({ x, y, z: z + lift_height });
+    if (!carry.success) {
+      return {
+        success: false,
+        error: 'Could not reach the pose above the place position',
+        carry
+      };
+    }
+    await this._moveEndEffector({ x, y, z });
+
+    controller.setGripper(true, data);
+    await physicsScheduler.wait(GRIPPER_SETTLE_TIME);
+    const retreat = await this._moveEndEffector({ x, y, z: z + lift_height });
+    this._heldObject = null;
+
+    const result = {
+      success: true,
+      target: { x, y, z },
+      hand_position: retreat.achieved.position
+    };
+
+    if (held) {
+      const bodyIdx = this._bodyNameMap[held.name];
+      const position = this._getBodyPosMJ(bodyIdx);
+      const released = this._fingersTouching(controller, bodyIdx).length === 0;
+      result.success = released;
+      result.released = released;
+      result.object = { name: held.name, position };
+      result.placement_error = Math.round(Math.hypot(position.x - x, position.y - y) * 1000) / 1000;
+    }
+    return result;
+  }
+
+  /**
+   * Load the robot's motion policy if it is not running yet.
+   * @returns {Promise<string|null>} Error message, or null once the policy runs
+   */
+  async _ensurePolicy() {
+    if (this.demo.policyEnabled) return null;
+
+    const robot = this.demo.sceneManager?.currentRobot;
+    const policyPath = SceneManager.ROBOT_CONFIGS[robot]?.policyPath;
+    const loaded = await this.demo.loadPolicy(policyPath);
+    return loaded ? null : `Failed to load the motion policy (${policyPath})`;
+  }
+
+  _formatMotionStatus(state) {
+    const progress = state.refLen > 1 ? state.refIdx / (state.refLen - 1) : 1;
+    return {
+      motion: state.currentName,
+      done: state.currentDone,
+      in_transition: state.inTransition,
+      progress: Math.round(progress * 100) / 100,
+      frame: state.refIdx,
+      frames: state.refLen
+    };
+  }
+
+  async _listMotions() {
+    const error = await this._ensurePolicy();
+    if (error) return { error };
+
+    return {
+      motions: this.demo.getAvailableMotions(),
+      status: this._formatMotionStatus(this.demo.getPlaybackState())
+    };
+  }
+
+  _getMotionStatus() {
+    // Read-only: runs alongside other observations, so it must not load the policy
+    if (!this.demo.policyEnabled) {
+      return { error: 'The motion policy is not running. Call list_motions or play_motion first.' };
+    }
+
+    return this._formatMotionStatus(this.demo.getPlaybackState());
+  }
+
+  /**
+   * Wait until the current motion has played to the end.
+   * @returns {Promise<boolean>} Whether it finished before the timeout
+   */
+  _waitForMotion(timeout) {
+    return physicsScheduler.waitFor(() => this.demo.getPlaybackState().currentDone, timeout);
+  }
+
+  async _playMotion(params) {
+    const { name, wait = true, timeout = MOTION_TIMEOUT } = params;
+
+    const error = await this._ensurePolicy();
+    if (error) return { error };
+
+    const motions = this.demo.getAvailableMotions();
+    if (!motions.includes(name)) {
+      return { error: `Unknown motion "${name}". Available: ${motions.join(', ')}` };
+    }
+
+    const state = this.demo.getPlaybackState();
+    if (!state.currentDone && name !== 'default') {
+      return {
+        error: `Motion "${state.currentName}" is still playing; wait for it to finish`,
+        status: this._formatMotionStatus(state)
+      };
+    }
+
+    // The tracker only starts new motions from 'default', so go back to it first
+    if (!state.isDefault && name !== 'default') {
+      this.demo.requestMotion('default');
+      if (!await this._waitForMotion(timeout)) {
+        return {
+          error: 'Timed out returning to the default motion',
+          status: this._formatMotionStatus(this.demo.getPlaybackState())
+        };
+      }
+    }
+
+    if (!this.demo.requestMotion(name)) {
+      return {
+        error: `Could not start motion "${name}"`,
+        status: this._formatMotionStatus(this.demo.getPlaybackState())
+      };
+    }
+
+    const finished = wait ? await this._waitForMotion(timeout) : false;
+    return {
+      success: wait ? finished : true,
+      started: name,
+      timed_out: wait && !finished,
+      status: this._formatMotionStatus(this.demo.getPlaybackState())
+    };
+  }
+
   _getRobotState() {
     const model = this.demo.model;
     const data = this.demo.data;
@@ -363,8 +936,13 @@ export class SimulationAPI {
 
   _getSceneObjectsList() {
     this._ensureBodyNameMap();
+    const { model } = this.demo;
     const objects = [];
 
+    // The robot is included before the scene objects, so the first joint
+    // belongs to it; every body under that joint's root is part of the robot
+    const robotRoot = model.njnt > 0 ? model.body_rootid[model.jnt_bodyid[0]] : -1;
+
     // Known robot body names to exclude (exact matches and prefix patterns)
     const robotBodyNames = new Set([
       'chassis', 'left_wheel', 'right_wheel',
@@ -381,6 +959,7 @@ export class SimulationAPI {
     for (const [name, idx] of Object.entries(this._bodyNameMap)) {
       if (idx === 0) continue; // world body
       if (name === '') continue;
+      if (model.body_rootid[idx] === robotRoot) continue;
       if (robotBodyNames.has(name)) continue;
       if (robotPatterns.some(p => name.includes(p))) continue;
 
@@ -394,6 +973,64 @@ export class SimulationAPI {
     return objects;
   }
 
+  /**
+   * Active contacts with geom/body names, geometry and normal force.
+   * @param {object} params
+   * @param {string} [params.body] - Only contacts involving this body
+   */
+  _getContacts(params) {
+    const { model, data, mujoco } = this.demo;
+    this._ensureBodyNameMap();
+
+    let bodyFilter = null;
+    if (params.body !== undefined) {
+      bodyFilter = this._bodyNameMap[params.body];
+      if (bodyFilter === undefined) {
+        return { error: `Unknown body "${params.body}"` };
+      }
+    }
+
+    const round = (v) => Math.round(v * 1000) / 1000;
+    const nameOf = (adr, fallback) => {
+      const end = model.names.indexOf(0, adr);
+      const name = new TextDecoder('utf-8').decode(model.names.subarray(adr, end));
+      return name || fallback;
+    };
+
+    const contacts = [];
+    const force = new mujoco.DoubleBuffer(6); // Contact frame: normal first, then tangential
+    for (let i = 0; i < data.ncon; i++) {
+      const contact = data.contact.get(i);
+      const { geom1, geom2 } = contact;
+      const body1 = model.geom_bodyid[geom1];
+      const body2 = model.geom_bodyid[geom2];
+
+      // Contacts within the margin but excluded from the solver exert no force
+      if (contact.exclude || (bodyFilter !== null && body1 !== bodyFilter && body2 !== bodyFilter)) {
+        contact.delete();
+        continue;
+      }
+
+      mujoco.mj_contactForce(model, data, i, force);
+      const pos = contact.pos;
+      const frame = contact.frame;
+      contacts.push({
+        geom1: nameOf(model.name_geomadr[geom1], `geom ${geom1}`),
+        geom2: nameOf(model.name_geomadr[geom2], `geom ${geom2}`),
+        body1: nameOf(model.name_bodyadr[body1], `body ${body1}`),
+        body2: nameOf(model.name_bodyadr[body2], `body ${body2}`),
+        position: { x: round(pos[0]), y: round(pos[1]), z: round(pos[2]) },
+        normal: [round(frame[0]), round(frame[1]), round(frame[2])],
+        penetration: Math.round(Math.max(0, -contact.dist) * 1e6) / 1e6,
+        normal_force: round(force.GetView()[0])
+      });
+      contact.delete();
+    }
+    force.delete();
+
+    return { count: contacts.length, contacts };
+  }
+
   async _navigateTo(params) {
     const { target, stop_distance } = params;
     const stopDist = stop_distance || 0.3;
@@ -416,104 +1053,106 @@ export class SimulationAPI {
       targetY = pos.y;
     }
 
-    const data = this.demo.data;
-
-    // Phase 1: Turn to face target
-    await new Promise((resolve) => {
-      let elapsed = 0;
-      const checkInterval = 50;
-
-      const step = () => {
-        const pos = this._getRobotBasePos();
-        const yaw = this._getRobotYaw();
-        const dx = targetX - pos.x;
-        const dy = targetY - pos.y;
-        const targetAngle = Math.atan2(dy, dx);
-
-        let angleDiff = targetAngle - yaw;
-        while (angleDiff > Math.PI) angleDiff -= 2 * Math.PI;
-        while (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
-
-        if (Math.abs(angleDiff) < 0.15 || elapsed > 10000) {
-          data.ctrl[1] = 0;
-          resolve();
-          return;
-        }
-
-        // Proportional turn speed with min threshold
-        const turnSpeed = Math.min(1, Math.max(0.3, Math.abs(angleDiff)));
-        data.ctrl[1] = angleDiff > 0 ? turnSpeed * MOTOR_TURN_LEFT : turnSpeed * MOTOR_TURN_RIGHT;
-
-        elapsed += checkInterval;
-        setTimeout(step, checkInterval);
-      };
-
-      step();
-    });
-
-    // Phase 2: Drive toward target with steering correction
-    const driveResult = await new Promise((resolve) => {
-      let elapsed = 0;
-      const checkInterval = 50;
-
-      const step = () => {
-        const pos = this._getRobotBasePos();
-        const dx = targetX - pos.x;
-        const dy = targetY - pos.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        if (dist <= stopDist || elapsed > 20000) {
-          data.ctrl[0] = 0;
-          data.ctrl[1] = 0;
-          resolve({
-            distance_remaining: Math.round(dist * 1000) / 1000,
-            reached: dist <= stopDist * 1.5
-          });
-          return;
-        }
-
-        // Steer correction while driving
-        const yaw = this._getRobotYaw();
-        const targetAngle = Math.atan2(dy, dx);
-        let angleDiff = targetAngle - yaw;
-        while (angleDiff > Math.PI) angleDiff -= 2 * Math.PI;
-        while (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
-
-        data.ctrl[0] = MOTOR_FORWARD * 0.8;
-        // Proportional steering
-        const steer = Math.max(-0.4, Math.min(0.4, angleDiff * 1.5));
-        data.ctrl[1] = steer;
-
-        elapsed += checkInterval;
-        setTimeout(step, checkInterval);
+    // Plan around the static geometry (tables, walls)
+    const { model, data } = this.demo;
+    const start = this._getRobotBasePos();
+    const goal = { x: targetX, y: targetY };
+    const grid = buildOccupancyGrid(model, data, { inflation: NAV_ROBOT_RADIUS, include: [start, goal] });
+    const plan = planPath(grid, start, goal);
+
+    const round = (v) => Math.round(v * 1000) / 1000;
+    const targetInfo = { name: target, x: targetX, y: targetY };
+    if (!plan) {
+      return {
+        success: false,
+        error: 'No collision-free path to the target',
+        target: targetInfo,
+        final_position: start
       };
+    }
 
-      step();
-    });
+    // Follow the waypoints, stopping early once within stop distance of the target
+    const controller = this._getBaseController();
+    const distToTarget = () => {
+      const pos = this._getRobotBasePos();
+      return Math.hypot(targetX - pos.x, targetY - pos.y);
+    };
+    const nearTarget = (state) => Math.hypot(targetX - state.x, targetY - state.y) <= stopDist;
+
+    let elapsed = 0;
+    let waypointsReached = 0;
+    for (const waypoint of plan.path.slice(1)) {
+      if (distToTarget() <= stopDist || elapsed >= NAV_TIMEOUT) break;
+
+      const leg = await controller.driveTo(
+        waypoint.x, waypoint.y, NAV_WAYPOINT_TOLERANCE, NAV_TIMEOUT - elapsed, nearTarget
+      );
+      elapsed += leg.elapsed;
+      if (!leg.success) break;
+      waypointsReached++;
+    }
+    // Legs end while still moving; come to a stop
+    await controller.setVelocity(0, 0, 0);
 
+    const remaining = distToTarget();
+    const reachedGoal = waypointsReached === plan.path.length - 1;
     return {
-      success: driveResult.reached,
-      target: { name: target, x: targetX, y: targetY },
+      success: remaining <= stopDist * 1.5 || (plan.goalAdjusted && reachedGoal),
+      target: targetInfo,
+      path: plan.path.map(p => ({ x: round(p.x), y: round(p.y) })),
+      // The target itself was inside an obstacle (e.g. a table), so the
+      // path ends at the closest reachable point instead
+      goal_adjusted: plan.goalAdjusted,
+      waypoints_reached: waypointsReached,
       final_position: this._getRobotBasePos(),
-      distance_remaining: driveResult.distance_remaining
+      distance_remaining: round(remaining)
     };
   }
 
   _resetRobot() {
     const { model, data, mujoco } = this.demo;
+    baseVelocityController.cancel('Robot reset');
     mujoco.mj_resetData(model, data);
     mujoco.mj_forward(model, data);
+
+    // Move the IK target back too, or the arm would drive to the old pose
+    this._getPoseController()?.reset(model, data);
+    this._heldObject = null;
     return { success: true };
   }
 
+  _saveState({ name = 'checkpoint' } = {}) {
+    const { model, data, params } = this.demo;
+    const snapshot = captureState(model, data, {
+      controller: keyboardController.enabled ? keyboardController.customController : null,
+      scene: { robot: params.robot, environment: params.environment },
+      extra: { heldObject: this._heldObject }
+    });
+    stateSnapshots.save(name, snapshot);
+    return { success: true, name, sim_time: snapshot.time, snapshots: stateSnapshots.names() };
+  }
+
+  _restoreState({ name = 'checkpoint' } = {}) {
+    const { model, data, mujoco } = this.demo;
+    const snapshot = stateSnapshots.get(name);
+
+    baseVelocityController.cancel('State restored');
+    applyState(snapshot, model, data, mujoco, {
+      controller: keyboardController.enabled ? keyboardController.customController : null
+    });
+    this._heldObject = snapshot.extra?.heldObject ?? null;
+    return { success: true, name, sim_time: snapshot.time };
+  }
+
   _stopMotors() {
     const data = this.demo.data;
-    data.ctrl[0] = 0; // forward/backward
-    data.ctrl[1] = 0; // turn
+    baseVelocityController.cancel('Motors stopped');
+    this._ensureActuatorNameMap();
+    for (const name of BASE_ACTUATORS) {
+      const idx = this._actuatorNameMap[name];
+      if (idx !== undefined) data.ctrl[idx] = 0;
+    }
     return { success: true };
   }
 
-  _wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
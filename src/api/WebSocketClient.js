@@ -13,6 +13,7 @@ export class WebSocketClient {
     this.simApi = simApi;
     this.ws = null;
     this.connected = false;
+    this.sessionId = null;
     this.reconnectTimer = null;
     this.reconnectInterval = 3000;
   }
@@ -35,13 +36,18 @@ export class WebSocketClient {
         clearTimeout(this.reconnectTimer);
         this.reconnectTimer = null;
       }
+      this.sendRobotInfo();
     };
 
     this.ws.onmessage = async (event) => {
       try {
         const msg = JSON.parse(event.data);
 
-        if (msg.type === 'command') {
+        if (msg.type === 'session') {
+          // Server-assigned session ID for this tab
+          this.sessionId = msg.id;
+          console.log('WebSocketClient: Session', msg.id);
+        } else if (msg.type === 'command') {
           // Execute the command via SimulationAPI
           let result;
           try {
@@ -50,11 +56,12 @@ export class WebSocketClient {
             result = { error: err.message || String(err) };
           }
 
-          // Send result back
+          // Send result back, stamped with the simulation time it finished at
           this.ws.send(JSON.stringify({
             type: 'command_result',
             id: msg.id,
-            result
+            result,
+            sim_time: this.simApi.demo.data?.time
           }));
         }
       } catch (err) {
@@ -65,6 +72,7 @@ export class WebSocketClient {
     this.ws.onclose = () => {
       console.log('WebSocketClient: Disconnected');
       this.connected = false;
+      this.sessionId = null;
       this._scheduleReconnect();
     };
 
@@ -73,6 +81,18 @@ export class WebSocketClient {
     };
   }
 
+  /**
+   * Tell the server which robot is loaded so the AI can adapt its prompt.
+   * Called on connect and whenever the scene changes.
+   */
+  sendRobotInfo() {
+    if (!this.connected || this.ws?.readyState !== WebSocket.OPEN) return;
+    this.ws.send(JSON.stringify({
+      type: 'robot_info',
+      info: this.simApi.getRobotInfo()
+    }));
+  }
+
   _scheduleReconnect() {
     if (this.reconnectTimer) return;
     this.reconnectTimer = setTimeout(() => {
@@ -97,5 +117,6 @@ export class WebSocketClient {
       this.ws = null;
     }
     this.connected = false;
+    this.sessionId = null;
   }
 }
@@ -8,7 +8,13 @@ import { keyboardController } from './utils/KeyboardControl.js';
 import   load_mujoco        from '../node_modules/mujoco-js/dist/mujoco_wasm.js';
 import { getSceneManager } from './utils/SceneManager.js';
 import { policyController } from './policy/PolicyController.js';
+import { baseVelocityController } from './utils/controllers/BaseVelocityController.js';
+import { physicsScheduler } from './utils/PhysicsScheduler.js';
+import { episodeRecorder } from './utils/EpisodeRecorder.js';
+import { trajectoryPlayer } from './utils/TrajectoryPlayer.js';
 import { RobotCamera } from './api/RobotCamera.js';
+import { CaptureRenderer } from './api/CaptureRenderer.js';
+import { BackgroundClock } from './utils/BackgroundClock.js';
 import { SimulationAPI } from './api/SimulationAPI.js';
 import { WebSocketClient } from './api/WebSocketClient.js';
 import { ChatPanel } from './ui/ChatPanel.js';
@@ -116,6 +122,13 @@ export class MuJoCoDemo {
 
     this.renderer.setAnimationLoop( this.render.bind(this) );
 
+    // Hidden tabs get no animation frames; keep the simulation running from a worker clock
+    this.backgroundClock = new BackgroundClock(this.render.bind(this));
+    this.backgroundClock.attach();
+
+    // Renders the AI's camera captures off screen with the main renderer
+    this.captureRenderer = new CaptureRenderer(this.renderer);
+
     // Position canvas absolutely so it can layer above GS iframe
     // Will be modified when GS is enabled to use blend mode
     this.renderer.domElement.style.cssText = `
@@ -252,6 +265,16 @@ export class MuJoCoDemo {
 
   // ===== 策略控制方法 =====
   async loadPolicy(policyPath) {
+    // The GUI auto-load and an AI command may ask at the same time; share one load
+    if (!this._policyLoad) {
+      this._policyLoad = this._loadPolicy(policyPath).finally(() => {
+        this._policyLoad = null;
+      });
+    }
+    return this._policyLoad;
+  }
+
+  async _loadPolicy(policyPath) {
     if (!this.model || !this.data) {
       console.error('Cannot load policy: MuJoCo model not loaded');
       return false;
@@ -262,6 +285,7 @@ export class MuJoCoDemo {
       this.policyDecimation = policyController.decimation;
       this.policySubstep = this.policyDecimation; // Trigger first policy step
       console.log('Policy loaded and enabled');
+      this.wsClient?.sendRobotInfo(); // Motions are now available to the AI
       return true;
     } catch (err) {
       console.error('Failed to load policy:', err);
@@ -273,6 +297,7 @@ export class MuJoCoDemo {
     this.policyEnabled = false;
     policyController.disable();
     console.log('Policy disabled');
+    this.wsClient?.sendRobotInfo();
   }
 
   resetPolicy() {
@@ -372,7 +397,9 @@ export class MuJoCoDemo {
             this.mujoco.mj_applyFT(this.model, this.data, [force.x, force.y, force.z], [0, 0, 0], [point.x, point.y, point.z], bodyID, this.data.qfrc_applied);
           }
 
+          episodeRecorder.record(this.data);
           this.mujoco.mj_step(this.model, this.data);
+          physicsScheduler.step(timestep);
           this.policySubstep++;
           this.mujoco_time += timestep * 1000.0;
         }
@@ -414,7 +441,12 @@ export class MuJoCoDemo {
           // Update keyboard controls
           keyboardController.step();
 
+          // Closed-loop base commands from the AI override the base motors
+          baseVelocityController.step(this.model, this.data);
+
+          episodeRecorder.record(this.data);
           this.mujoco.mj_step(this.model, this.data);
+          physicsScheduler.step(timestep);
 
           this.mujoco_time += timestep * 1000.0;
         }
@@ -424,6 +456,9 @@ export class MuJoCoDemo {
       }
 
     } else if (this.params["paused"]) {
+      // Kinematic playback of a recorded trajectory
+      trajectoryPlayer.update(timeMS, this.data);
+
       this.dragStateManager.update();
       let dragged = this.dragStateManager.physicsObject;
       if (dragged && dragged.bodyID) {
@@ -475,15 +510,21 @@ export class MuJoCoDemo {
       this.robotCamera.update(this.data);
 
       // Update PiP preview (~10fps to save GPU)
-      if (!this._lastPipTime || timeMS - this._lastPipTime > 100) {
+      if (!document.hidden && (!this._lastPipTime || timeMS - this._lastPipTime > 100)) {
         this._lastPipTime = timeMS;
         this.robotCamera.updatePreview();
       }
+
+      // Head camera frames for the episode being recorded
+      episodeRecorder.captureFrame(this.data);
     }
 
     // Draw Tendons and Flex verts
     drawTendonsAndFlex(this.mujocoRoot, this.model, this.data);
 
+    // Nothing to draw while hidden; captures render offscreen on demand
+    if (document.hidden) return;
+
     // Render the scene
     if (this.gsController && this.gsController.enabled) {
       // When 3DGS is enabled, bypass post-processing and render directly
@@ -508,8 +549,8 @@ await demo.init();
 // ============================================================================
 
 // Initialize robot head camera
-const robotCamera = new RobotCamera(demo.renderer, demo.scene);
-robotCamera.init(demo.model, demo.bodies);
+const robotCamera = new RobotCamera(demo.renderer, demo.scene, demo.captureRenderer);
+robotCamera.init(demo.model);
 robotCamera.createPreview();
 demo.robotCamera = robotCamera;
 
@@ -527,13 +568,14 @@ if (window.location.port === '3000' || window.location.search.includes('ai=1'))
 }
 
 // Initialize Chat Panel UI
-const chatPanel = new ChatPanel();
+const chatPanel = new ChatPanel(wsClient);
 demo.chatPanel = chatPanel;
 
 // Re-init robot camera and caches when model changes
 demo.updateGUICallbacks.push((model, data, params) => {
-  robotCamera.init(model, demo.bodies);
+  robotCamera.init(model);
   simApi.rebuildCaches();
+  wsClient.sendRobotInfo();
 });
 
 // ============================================================================
@@ -2,8 +2,15 @@ import * as THREE from 'three';
 import { Reflector  } from './utils/Reflector.js';
 import { MuJoCoDemo } from './main.js';
 import { keyboardController } from './utils/KeyboardControl.js';
-import { getSceneManager } from './utils/SceneManager.js';
+import { gamepadController } from './utils/GamepadControl.js';
+import { getSceneManager, SceneManager } from './utils/SceneManager.js';
 import { policyController } from './policy/PolicyController.js';
+import { downloadRobotAssets } from './utils/AssetLoader.js';
+import { episodeRecorder } from './utils/EpisodeRecorder.js';
+import { exportLeRobotDataset } from './utils/LeRobotDataset.js';
+import { captureState, applyState, stateSnapshots } from './utils/StateSnapshots.js';
+import { keyframeEditor } from './utils/KeyframeEditor.js';
+import { trajectoryPlayer, TrajectoryPlayer, parseTrajectory, MIN_PLAYBACK_SPEED, MAX_PLAYBACK_SPEED } from './utils/TrajectoryPlayer.js';
 
 /**
  * Load a modular scene (environment + robot + objects)
@@ -480,6 +487,8 @@ export async function setupGUI(parentContext) {
       parentContext.container.appendChild(pausedText);
     } else {
       parentContext.container.removeChild(parentContext.container.lastChild);
+      // Resuming physics ends trajectory playback; the simulation goes on from the shown frame
+      trajectoryPlayer.unload();
     }
   });
   document.addEventListener('keydown', (event) => {
@@ -520,6 +529,68 @@ export async function setupGUI(parentContext) {
   actionInnerHTML += 'Reset simulation<br>';
   keyInnerHTML += 'Backspace<br>';
 
+  // Add snapshots folder.
+  // Saves the full state (including the keyboard controller's targets) into
+  // named slots, shared with the AI's save_state/restore_state commands.
+  let snapshotFolder = simulationFolder.addFolder("Snapshots");
+  parentContext.params.snapshotSlot = 'slot1';
+  const snapshotInfo = {
+    get saved() {
+      const names = stateSnapshots.names();
+      return names.length ? names.join(', ') : 'none';
+    }
+  };
+  const activeController = () => keyboardController.enabled ? keyboardController.customController : null;
+  const snapshotActions = {
+    saveSnapshot: () => {
+      stateSnapshots.save(parentContext.params.snapshotSlot, captureState(parentContext.model, parentContext.data, {
+        controller: activeController(),
+        scene: { robot: parentContext.params.robot, environment: parentContext.params.environment }
+      }));
+    },
+    restoreSnapshot: () => {
+      try {
+        const snapshot = stateSnapshots.get(parentContext.params.snapshotSlot);
+        applyState(snapshot, parentContext.model, parentContext.data, parentContext.mujoco, { controller: activeController() });
+      } catch (err) {
+        alert('Failed to restore snapshot: ' + err.message);
+      }
+    },
+    exportSnapshots: () => {
+      const blob = new Blob([stateSnapshots.exportJSON()], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${parentContext.params.robot}_snapshots.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    },
+    importSnapshots: () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json';
+      input.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+          const names = stateSnapshots.importJSON(await file.text());
+          console.log(`Imported snapshots: ${names.join(', ')}`);
+        } catch (err) {
+          console.error('Failed to import snapshots:', err);
+          alert('Failed to import snapshots: ' + err.message);
+        }
+      };
+      input.click();
+    }
+  };
+  snapshotFolder.add(parentContext.params, 'snapshotSlot').name('Slot');
+  snapshotFolder.add(snapshotActions, 'saveSnapshot').name('Save');
+  snapshotFolder.add(snapshotActions, 'restoreSnapshot').name('Restore');
+  snapshotFolder.add(snapshotInfo, 'saved').name('Saved').disable().listen();
+  snapshotFolder.add(snapshotActions, 'exportSnapshots').name('Export JSON');
+  snapshotFolder.add(snapshotActions, 'importSnapshots').name('Import JSON');
+  snapshotFolder.close();
+
   // Add keyframe slider.
   let nkeys = parentContext.model.nkey;
   let keyframeGUI = simulationFolder.add(parentContext.params, "keyframeNumber", 0, nkeys - 1, 1).name('Load Keyframe').listen();
@@ -540,6 +611,161 @@ export async function setupGUI(parentContext) {
     }
   });
 
+  // Add keyframe authoring folder.
+  // Captures the current pose as a named keyframe, applies and re-captures
+  // it to edit, and exports a <keyframe> block for the robot XML.
+  let keyframeFolder = simulationFolder.addFolder("Keyframe Editor");
+  parentContext.params.keyframeName = 'home';
+  parentContext.params.keyframeSelected = '';
+  parentContext.params.keyframeRobotOnly = true;
+  let keyframeSelectGUI = null;
+  const selectedKeyframe = () => keyframeEditor.names.indexOf(parentContext.params.keyframeSelected);
+  const refreshKeyframeOptions = (selected = parentContext.params.keyframeSelected) => {
+    const names = keyframeEditor.names;
+    parentContext.params.keyframeSelected = names.includes(selected) ? selected : (names[0] ?? '');
+    // options() rebuilds the dropdown at the end of the folder; move it back
+    keyframeSelectGUI = keyframeSelectGUI.options(names);
+    keyframeCaptureGUI.domElement.after(keyframeSelectGUI.domElement);
+  };
+  const keyframeActions = {
+    captureKeyframe: () => {
+      const index = keyframeEditor.capture(parentContext.data, parentContext.params.keyframeName);
+      refreshKeyframeOptions(keyframeEditor.names[index]);
+    },
+    applyKeyframe: () => {
+      if (selectedKeyframe() < 0) return;
+      try {
+        keyframeEditor.apply(selectedKeyframe(), parentContext.model, parentContext.data, parentContext.mujoco);
+      } catch (err) {
+        alert('Failed to apply keyframe: ' + err.message);
+      }
+    },
+    updateKeyframe: () => {
+      if (selectedKeyframe() < 0) return;
+      keyframeEditor.update(selectedKeyframe(), parentContext.data);
+    },
+    renameKeyframe: () => {
+      const index = selectedKeyframe();
+      if (index < 0) return;
+      keyframeEditor.rename(index, parentContext.params.keyframeName);
+      refreshKeyframeOptions(keyframeEditor.names[index]);
+    },
+    deleteKeyframe: () => {
+      if (selectedKeyframe() < 0) return;
+      keyframeEditor.remove(selectedKeyframe());
+      refreshKeyframeOptions();
+    },
+    importModelKeyframes: () => {
+      keyframeEditor.importModelKeyframes(parentContext.model);
+      refreshKeyframeOptions();
+    },
+    exportKeyframes: () => {
+      if (keyframeEditor.keyframes.length === 0) {
+        alert('No keyframes to export');
+        return;
+      }
+      const xml = keyframeEditor.toXML(parentContext.model, { robotOnly: parentContext.params.keyframeRobotOnly });
+      const blob = new Blob([xml], { type: 'application/xml' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${parentContext.params.robot}_keyframes.xml`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+      navigator.clipboard?.writeText(xml).catch(() => {});
+      console.log(xml);
+    }
+  };
+  keyframeFolder.add(parentContext.params, 'keyframeName').name('Name');
+  const keyframeCaptureGUI = keyframeFolder.add(keyframeActions, 'captureKeyframe').name('Capture Current Pose');
+  keyframeSelectGUI = keyframeFolder.add(parentContext.params, 'keyframeSelected', []).name('Keyframe');
+  keyframeFolder.add(keyframeActions, 'applyKeyframe').name('Apply');
+  keyframeFolder.add(keyframeActions, 'updateKeyframe').name('Update From Current Pose');
+  keyframeFolder.add(keyframeActions, 'renameKeyframe').name('Rename To Name');
+  keyframeFolder.add(keyframeActions, 'deleteKeyframe').name('Delete');
+  keyframeFolder.add(keyframeActions, 'importModelKeyframes').name('Import Model Keyframes');
+  keyframeFolder.add(parentContext.params, 'keyframeRobotOnly').name('Robot Joints Only');
+  keyframeFolder.add(keyframeActions, 'exportKeyframes').name('Export XML');
+  keyframeFolder.close();
+  parentContext.updateGUICallbacks.push(() => {
+    // Keyframes are captured for one model
+    keyframeEditor.clear();
+    refreshKeyframeOptions();
+  });
+
+  // Add trajectory playback folder.
+  // Plays a recorded qpos trajectory (.json, .npy or raw float32) or the
+  // last recorded episode with physics paused; the frame slider scrubs it.
+  let playbackFolder = simulationFolder.addFolder("Playback");
+  const playbackInfo = {
+    get status() {
+      return trajectoryPlayer.active
+        ? `${trajectoryPlayer.trajectory.name} (${trajectoryPlayer.frameCount} frames)`
+        : 'No trajectory';
+    }
+  };
+  let frameGUI = null;
+  const startPlayback = (trajectory) => {
+    trajectoryPlayer.load(trajectory, parentContext.model);
+    frameGUI.max(trajectoryPlayer.frameCount - 1);
+    pauseSimulation.setValue(true);
+  };
+  const playbackActions = {
+    loadTrajectory: () => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,.npy,.bin';
+      input.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+          startPlayback(parseTrajectory(file.name, await file.arrayBuffer(), parentContext.model));
+          console.log(`Loaded trajectory ${file.name} with ${trajectoryPlayer.frameCount} frames`);
+        } catch (err) {
+          console.error('Failed to load trajectory:', err);
+          alert('Failed to load trajectory: ' + err.message);
+        }
+      };
+      input.click();
+    },
+    loadLastEpisode: () => {
+      const episode = episodeRecorder.episodes[episodeRecorder.episodes.length - 1];
+      if (!episode) {
+        alert('No recorded episode yet');
+        return;
+      }
+      try {
+        startPlayback(TrajectoryPlayer.fromEpisode(episode));
+      } catch (err) {
+        alert('Failed to play episode: ' + err.message);
+      }
+    },
+    togglePlayback: () => {
+      if (trajectoryPlayer.playing) {
+        trajectoryPlayer.pause();
+      } else {
+        trajectoryPlayer.play();
+      }
+    },
+    closeTrajectory: () => {
+      trajectoryPlayer.unload();
+    }
+  };
+  playbackFolder.add(playbackActions, 'loadTrajectory').name('Load Trajectory');
+  playbackFolder.add(playbackActions, 'loadLastEpisode').name('Load Last Episode');
+  playbackFolder.add(playbackInfo, 'status').name('Trajectory').disable().listen();
+  frameGUI = playbackFolder.add(trajectoryPlayer, 'frame', 0, 0, 1).name('Frame').listen();
+  frameGUI.onChange((value) => { trajectoryPlayer.seek(value); });
+  playbackFolder.add(playbackActions, 'togglePlayback').name('Play / Pause');
+  playbackFolder.add(trajectoryPlayer, 'speed', MIN_PLAYBACK_SPEED, MAX_PLAYBACK_SPEED, 0.05).name('Speed');
+  playbackFolder.add(trajectoryPlayer, 'loop').name('Loop');
+  playbackFolder.add(playbackActions, 'closeTrajectory').name('Close Trajectory');
+  playbackFolder.close();
+  parentContext.updateGUICallbacks.push(() => {
+    // Trajectories are recorded for one model
+    trajectoryPlayer.unload();
+  });
+
   // Add sliders for ctrlnoiserate and ctrlnoisestd; min = 0, max = 2, step = 0.01.
   simulationFolder.add(parentContext.params, 'ctrlnoiserate', 0.0, 2.0, 0.01).name('Noise rate' );
   simulationFolder.add(parentContext.params, 'ctrlnoisestd' , 0.0, 2.0, 0.01).name('Noise scale');
@@ -633,11 +859,18 @@ export async function setupGUI(parentContext) {
           motionController.domElement.style.display = 'none';
         }
       } else {
-        // Load policy
+        // Load the policy configured for the current robot
+        const policyPath = SceneManager.ROBOT_CONFIGS[parentContext.params.robot]?.policyPath;
+        if (!policyPath) {
+          console.warn(`No policy configured for robot: ${parentContext.params.robot}`);
+          parentContext.params.policyStatus = 'No Policy For Robot';
+          policyStatusLabel.updateDisplay();
+          return;
+        }
         parentContext.params.policyStatus = 'Loading...';
         policyStatusLabel.updateDisplay();
         try {
-          const success = await parentContext.loadPolicy('./assets/policies/g1/policy.json');
+          const success = await parentContext.loadPolicy(policyPath);
           if (success) {
             parentContext.params.policyStatus = 'Running';
             policyStatusLabel.updateDisplay();
@@ -703,19 +936,19 @@ export async function setupGUI(parentContext) {
 
   policyFolder.close();
 
-  // Auto-load policy for G1 robot
+  // Auto-load the policy of robots that have one (G1)
   const autoLoadPolicyForRobot = async (robotName) => {
     // Disable existing policy first
     if (parentContext.policyEnabled) {
       parentContext.disablePolicy();
     }
 
-    // Auto-load policy for G1
-    if (robotName === 'g1') {
+    const policyPath = SceneManager.ROBOT_CONFIGS[robotName]?.policyPath;
+    if (policyPath) {
       parentContext.params.policyStatus = 'Loading...';
       policyStatusLabel.updateDisplay();
       try {
-        const success = await parentContext.loadPolicy('./assets/policies/g1/policy.json');
+        const success = await parentContext.loadPolicy(policyPath);
         if (success) {
           parentContext.params.policyStatus = 'Running';
           policyStatusLabel.updateDisplay();
@@ -734,7 +967,7 @@ export async function setupGUI(parentContext) {
         policyStatusLabel.updateDisplay();
       }
     } else {
-      // Reset status for non-G1 robots
+      // Reset status for robots without a policy
       parentContext.params.policyStatus = 'Not Loaded';
       policyStatusLabel.updateDisplay();
       if (motionController) {
@@ -748,6 +981,79 @@ export async function setupGUI(parentContext) {
     await autoLoadPolicyForRobot(params.robot);
   });
 
+  // Add Recording folder: episodes of qpos/qvel/ctrl (and head camera
+  // frames) exported as a LeRobot-style dataset
+  let recordingFolder = simulationFolder.addFolder("Recording");
+  parentContext.params.recordTask = 'teleop';
+  parentContext.params.recordCamera = false;
+  parentContext.params.recordStatus = 'Idle';
+
+  recordingFolder.add(parentContext.params, 'recordTask').name('Task');
+  recordingFolder.add(parentContext.params, 'recordCamera').name('Camera Frames');
+  const recordStatusLabel = recordingFolder.add(parentContext.params, 'recordStatus').name('Status').disable();
+
+  const updateRecordStatus = () => {
+    const count = episodeRecorder.episodes.length;
+    parentContext.params.recordStatus = episodeRecorder.recording
+      ? `Recording episode ${count}`
+      : `${count} episode${count === 1 ? '' : 's'}`;
+    recordStatusLabel.updateDisplay();
+  };
+
+  let recordToggleGUI = null;
+  const stopRecording = async () => {
+    recordToggleGUI.name('Start Recording');
+    await episodeRecorder.stop();
+    updateRecordStatus();
+  };
+  const recordToggle = {
+    toggleRecording: async () => {
+      if (episodeRecorder.recording) {
+        await stopRecording();
+      } else {
+        episodeRecorder.start(parentContext.model, parentContext.data, {
+          robot: parentContext.params.robot,
+          task: parentContext.params.recordTask,
+          robotCamera: parentContext.params.recordCamera ? parentContext.robotCamera : null
+        });
+        recordToggleGUI.name('Stop Recording');
+        updateRecordStatus();
+      }
+    }
+  };
+  recordToggleGUI = recordingFolder.add(recordToggle, 'toggleRecording').name('Start Recording');
+
+  const recordExport = {
+    exportDataset: () => {
+      try {
+        const blob = exportLeRobotDataset(episodeRecorder.episodes, { frameRate: episodeRecorder.frameRate });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${parentContext.params.robot}_dataset.tar`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+      } catch (err) {
+        console.error('Dataset export error:', err);
+        parentContext.params.recordStatus = err.message;
+        recordStatusLabel.updateDisplay();
+      }
+    },
+    clearEpisodes: () => {
+      episodeRecorder.clear();
+      updateRecordStatus();
+    }
+  };
+  recordingFolder.add(recordExport, 'exportDataset').name('Export Dataset');
+  recordingFolder.add(recordExport, 'clearEpisodes').name('Clear Episodes');
+  recordingFolder.close();
+
+  // An episode ends with the model it was recorded on
+  parentContext.updateGUICallbacks.push(async () => {
+    if (episodeRecorder.recording) {
+      await stopRecording();
+    }
+  });
+
   // Add Keyboard Controls folder (only shown for scenes with keyboard config)
   let keyboardFolder = null;
   let keyboardLabel = null;
@@ -768,6 +1074,10 @@ export async function setupGUI(parentContext) {
       // Add description labels - support multi-line descriptions
       const desc = keyboardController.getDescription();
       const lines = desc.split('\n');
+      // Gamepad mapping of the same robot, if any
+      if (gamepadController.enabled) {
+        lines.push(...gamepadController.getDescription().split('\n'));
+      }
       keyboardLabel = [];
       for (let i = 0; i < lines.length; i++) {
         const label = keyboardFolder.add({ info: lines[i] }, 'info').name('').disable();
@@ -778,6 +1088,14 @@ export async function setupGUI(parentContext) {
         if (valueDom) valueDom.style.width = '100%';
         keyboardLabel.push(label);
       }
+      if (gamepadController.enabled) {
+        const gamepadInfo = {
+          get status() {
+            return gamepadController.gamepadId ?? 'Not connected (press a button)';
+          }
+        };
+        keyboardFolder.add(gamepadInfo, 'status').name('Gamepad').disable().listen();
+      }
       keyboardFolder.open();
     } else {
       keyboardController.disable();
@@ -1203,103 +1521,6 @@ export function drawTendonsAndFlex(mujocoRoot, model, data) {
   }
 }
 
-// Track which robot directories have been downloaded
-const downloadedRobots = new Set();
-
-/**
- * Check if a robot directory has been downloaded
- * @param {string} robotDir - Robot directory name (e.g., 'xlerobot', 'panda')
- * @returns {boolean}
- */
-export function isRobotDownloaded(robotDir) {
-  return downloadedRobots.has(robotDir);
-}
-
-/**
- * Download assets for a specific robot directory (lazy loading)
- * @param {mujoco} mujoco - MuJoCo WASM module
- * @param {string} robotDir - Robot directory name (e.g., 'xlerobot', 'panda', 'humanoid')
- */
-export async function downloadRobotAssets(mujoco, robotDir) {
-  if (downloadedRobots.has(robotDir)) {
-    console.log(`Robot ${robotDir} already downloaded, skipping`);
-    return;
-  }
-
-  console.log(`Downloading robot assets: ${robotDir}...`);
-  const startTime = performance.now();
-
-  // Ensure base robots directory exists
-  if (!mujoco.FS.analyzePath('/working/robots').exists) {
-    mujoco.FS.mkdir('/working/robots');
-  }
-
-  // Load the robot's index.json
-  const indexResponse = await fetch(`./assets/robots/${robotDir}/index.json`);
-  if (!indexResponse.ok) {
-    throw new Error(`Failed to load index.json for robot: ${robotDir}`);
-  }
-  const files = await indexResponse.json();
-
-  // Normalize paths (Windows to Unix)
-  const normalizedFiles = files.map(file => file.replace(/\\/g, "/"));
-
-  // Fetch all files in parallel and fully download their bodies
-  const fileDataPromises = normalizedFiles.map(async (file) => {
-    const response = await fetch(`./assets/robots/${robotDir}/${file}`);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch ${file}: ${response.status}`);
-    }
-    const lowerFile = file.toLowerCase();
-    const isBinary = lowerFile.endsWith(".png") ||
-                     lowerFile.endsWith(".stl") ||
-                     lowerFile.endsWith(".skn") ||
-                     lowerFile.endsWith(".obj") ||
-                     lowerFile.endsWith(".ply");
-    const data = isBinary
-      ? new Uint8Array(await response.arrayBuffer())
-      : await response.text();
-    return { file, data, isBinary };
-  });
-
-  // Wait for ALL files to be fully downloaded (headers AND bodies)
-  const filesData = await Promise.all(fileDataPromises);
-  console.log(`All ${filesData.length} files downloaded for ${robotDir}, writing to VFS...`);
-
-  // Write files to VFS (now synchronous since all data is in memory)
-  for (const { file, data } of filesData) {
-    const filePath = `/working/robots/${robotDir}/${file}`;
-
-    // Ensure directories exist
-    const parts = file.split("/");
-    let working = `/working/robots/${robotDir}`;
-    if (!mujoco.FS.analyzePath(working).exists) {
-      mujoco.FS.mkdir(working);
-    }
-    for (let p = 0; p < parts.length - 1; p++) {
-      working += "/" + parts[p];
-      if (!mujoco.FS.analyzePath(working).exists) {
-        mujoco.FS.mkdir(working);
-      }
-    }
-
-    // Write file to VFS
-    mujoco.FS.writeFile(filePath, data);
-  }
-
-  downloadedRobots.add(robotDir);
-  const elapsed = (performance.now() - startTime).toFixed(0);
-  console.log(`Robot ${robotDir} downloaded (${normalizedFiles.length} files, ${elapsed}ms)`);
-
-  // Verify the assets directory exists if there are mesh files
-  const hasAssets = normalizedFiles.some(f => f.startsWith('assets/'));
-  if (hasAssets) {
-    const assetsPath = `/working/robots/${robotDir}/assets`;
-    const assetsExists = mujoco.FS.analyzePath(assetsPath).exists;
-    console.log(`Robot ${robotDir} assets directory exists: ${assetsExists} (${assetsPath})`);
-  }
-}
-
 /**
  * Download default robot assets on startup (for fast initial load)
  * @param {mujoco} mujoco - MuJoCo WASM module
@@ -3,10 +3,18 @@
  *
  * A collapsible side panel for interacting with the AI controller.
  * Displays message history, tool call status, and data source toggles.
+ * The chat ID is kept in sessionStorage: it survives reloads, and every
+ * tab gets its own chat instead of sharing one conversation.
  */
 
+const CHAT_ID_STORAGE_KEY = 'ai-chat-id';
+
 export class ChatPanel {
-  constructor() {
+  /**
+   * @param {WebSocketClient} [wsClient] - Connection whose session the chat addresses
+   */
+  constructor(wsClient = null) {
+    this.wsClient = wsClient;
     this.container = null;
     this.messagesEl = null;
     this.inputEl = null;
@@ -14,6 +22,7 @@ export class ChatPanel {
     this.statusEl = null;
     this.collapsed = false;
     this.sending = false;
+    this.chatId = this._loadChatId();
 
     // Data source toggles
     this.dataSources = {
@@ -23,6 +32,43 @@ export class ChatPanel {
     };
 
     this._build();
+    this._restoreHistory();
+  }
+
+  /**
+   * Read this tab's chat ID, creating one on first visit.
+   */
+  _loadChatId() {
+    try {
+      let id = sessionStorage.getItem(CHAT_ID_STORAGE_KEY);
+      if (!id) {
+        id = window.crypto?.randomUUID
+          ? window.crypto.randomUUID()
+          : Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+        sessionStorage.setItem(CHAT_ID_STORAGE_KEY, id);
+      }
+      return id;
+    } catch (e) {
+      // Storage unavailable (private mode); fall back to the session ID
+      return undefined;
+    }
+  }
+
+  /**
+   * Re-render the stored transcript of this chat from the server.
+   */
+  async _restoreHistory() {
+    if (!this.chatId) return;
+    try {
+      const response = await fetch(`/api/chat/history?id=${encodeURIComponent(this.chatId)}`);
+      if (!response.ok) return;
+      const { messages } = await response.json();
+      for (const msg of messages || []) {
+        this._addMessage(msg.type, msg.text);
+      }
+    } catch (e) {
+      // Server might not be available
+    }
   }
 
   _build() {
@@ -155,6 +201,10 @@ export class ChatPanel {
           font-style: italic;
           padding: 4px;
         }
+        .chat-msg.streaming::after {
+          content: '\u258d';
+          opacity: 0.6;
+        }
         .chat-msg.error {
           align-self: flex-start;
           background: rgba(239, 68, 68, 0.15);
@@ -340,7 +390,9 @@ export class ChatPanel {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           message: text,
-          dataSources: this.dataSources
+          dataSources: this.dataSources,
+          sessionId: this._getSessionId(),
+          chatId: this.chatId
         })
       });
 
@@ -354,7 +406,31 @@ export class ChatPanel {
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
       let buffer = '';
-      let assistantText = '';
+
+      // Messages being rendered from deltas, keyed by content block index.
+      // The complete `text` / `tool_call` update for a block finalizes it.
+      const streaming = new Map();
+
+      const streamingMessage = (index, type) => {
+        let entry = streaming.get(index);
+        if (!entry || entry.type !== type) {
+          entry = { type, text: '', el: this._addMessage(type, '') };
+          entry.el.classList.add('streaming');
+          streaming.set(index, entry);
+        }
+        return entry;
+      };
+
+      const finishMessage = (index, type, text) => {
+        const entry = streaming.get(index);
+        if (entry && entry.type === type) {
+          streaming.delete(index);
+          entry.el.classList.remove('streaming');
+          entry.el.textContent = text;
+        } else {
+          this._addMessage(type, text);
+        }
+      };
 
       while (true) {
         const { done, value } = await reader.read();
@@ -370,11 +446,24 @@ export class ChatPanel {
             const update = JSON.parse(line);
 
             switch (update.type) {
+              case 'text_delta': {
+                if (update.block === 'tool_use') {
+                  const entry = streamingMessage(update.index, 'tool-call');
+                  entry.text += update.text;
+                  entry.el.textContent = `${update.name}(${entry.text}`;
+                } else {
+                  const entry = streamingMessage(update.index, 'assistant');
+                  entry.text += update.text;
+                  entry.el.textContent = entry.text;
+                }
+                this.messagesEl.scrollTop = this.messagesEl.scrollHeight;
+                break;
+              }
               case 'text':
-                assistantText += update.text;
+                finishMessage(update.index, 'assistant', update.text);
                 break;
               case 'tool_call':
-                this._addMessage('tool-call', `${update.name}(${JSON.stringify(update.input)})`);
+                finishMessage(update.index, 'tool-call', `${update.name}(${JSON.stringify(update.input)})`);
                 break;
               case 'status':
                 this._setStatus(update.text);
@@ -395,8 +484,9 @@ export class ChatPanel {
         }
       }
 
-      if (assistantText) {
-        this._addMessage('assistant', assistantText);
+      // Leave partial output of an interrupted turn as it is
+      for (const entry of streaming.values()) {
+        entry.el.classList.remove('streaming');
       }
 
     } catch (err) {
@@ -414,19 +504,31 @@ export class ChatPanel {
 
   async _onStop() {
     try {
-      await fetch('/api/chat/abort', { method: 'POST' });
+      await fetch('/api/chat/abort', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: this._getSessionId(), chatId: this.chatId })
+      });
     } catch (e) {
       // Server might not be available
     }
     this._setStatus('Stopping...');
   }
 
+  /**
+   * Session ID of this tab's simulation, if the server has assigned one.
+   */
+  _getSessionId() {
+    return this.wsClient?.sessionId ?? undefined;
+  }
+
   _addMessage(type, text) {
     const el = document.createElement('div');
     el.className = `chat-msg ${type}`;
     el.textContent = text;
     this.messagesEl.appendChild(el);
     this.messagesEl.scrollTop = this.messagesEl.scrollHeight;
+    return el;
   }
 
   _setStatus(text) {
@@ -444,7 +546,11 @@ export class ChatPanel {
   async _clearHistory() {
     this.messagesEl.innerHTML = '';
     try {
-      await fetch('/api/chat/clear', { method: 'POST' });
+      await fetch('/api/chat/clear', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: this._getSessionId(), chatId: this.chatId })
+      });
     } catch (e) {
       // Server might not be available
     }
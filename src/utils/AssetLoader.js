@@ -0,0 +1,124 @@
+/**
+ * Asset Loader
+ *
+ * Fetches robot and environment files from the assets/ tree and writes
+ * robot folders into MuJoCo's virtual filesystem. Paths are relative to
+ * the page in the browser; other hosts (e.g. the headless server
+ * simulation) install their own fetch with setAssetFetch().
+ */
+
+let assetFetch = (path) => fetch(path);
+
+/**
+ * Replace the function used to fetch asset files.
+ * @param {function(string): Promise<Response>} fetchFn - Called with paths like './assets/...'
+ */
+export function setAssetFetch(fetchFn) {
+  assetFetch = fetchFn;
+}
+
+/**
+ * Fetch an asset file.
+ * @param {string} path - Path relative to the project root (e.g., './assets/robots/panda/panda.xml')
+ * @returns {Promise<Response>}
+ */
+export function fetchAsset(path) {
+  return assetFetch(path);
+}
+
+// Track which robot directories have been downloaded
+const downloadedRobots = new Set();
+
+/**
+ * Check if a robot directory has been downloaded
+ * @param {string} robotDir - Robot directory name (e.g., 'xlerobot', 'panda')
+ * @returns {boolean}
+ */
+export function isRobotDownloaded(robotDir) {
+  return downloadedRobots.has(robotDir);
+}
+
+/**
+ * Download assets for a specific robot directory (lazy loading)
+ * @param {mujoco} mujoco - MuJoCo WASM module
+ * @param {string} robotDir - Robot directory name (e.g., 'xlerobot', 'panda', 'humanoid')
+ */
+export async function downloadRobotAssets(mujoco, robotDir) {
+  if (downloadedRobots.has(robotDir)) {
+    console.log(`Robot ${robotDir} already downloaded, skipping`);
+    return;
+  }
+
+  console.log(`Downloading robot assets: ${robotDir}...`);
+  const startTime = performance.now();
+
+  // Ensure base robots directory exists
+  if (!mujoco.FS.analyzePath('/working/robots').exists) {
+    mujoco.FS.mkdir('/working/robots');
+  }
+
+  // Load the robot's index.json
+  const indexResponse = await fetchAsset(`./assets/robots/${robotDir}/index.json`);
+  if (!indexResponse.ok) {
+    throw new Error(`Failed to load index.json for robot: ${robotDir}`);
+  }
+  const files = await indexResponse.json();
+
+  // Normalize paths (Windows to Unix)
+  const normalizedFiles = files.map(file => file.replace(/\\/g, "/"));
+
+  // Fetch all files in parallel and fully download their bodies
+  const fileDataPromises = normalizedFiles.map(async (file) => {
+    const response = await fetchAsset(`./assets/robots/${robotDir}/${file}`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${file}: ${response.status}`);
+    }
+    const lowerFile = file.toLowerCase();
+    const isBinary = lowerFile.endsWith(".png") ||
+                     lowerFile.endsWith(".stl") ||
+                     lowerFile.endsWith(".skn") ||
+                     lowerFile.endsWith(".obj") ||
+                     lowerFile.endsWith(".ply");
+    const data = isBinary
+      ? new Uint8Array(await response.arrayBuffer())
+      : await response.text();
+    return { file, data, isBinary };
+  });
+
+  // Wait for ALL files to be fully downloaded (headers AND bodies)
+  const filesData = await Promise.all(fileDataPromises);
+  console.log(`All ${filesData.length} files downloaded for ${robotDir}, writing to VFS...`);
+
+  // Write files to VFS (now synchronous since all data is in memory)
+  for (const { file, data } of filesData) {
+    const filePath = `/working/robots/${robotDir}/${file}`;
+
+    // Ensure directories exist
+    const parts = file.split("/");
+    let working = `/working/robots/${robotDir}`;
+    if (!mujoco.FS.analyzePath(working).exists) {
+      mujoco.FS.mkdir(working);
+    }
+    for (let p = 0; p < parts.length - 1; p++) {
+      working += "/" + parts[p];
+      if (!mujoco.FS.analyzePath(working).exists) {
+        mujoco.FS.mkdir(working);
+      }
+    }
+
+    // Write file to VFS
+    mujoco.FS.writeFile(filePath, data);
+  }
+
+  downloadedRobots.add(robotDir);
+  const elapsed = (performance.now() - startTime).toFixed(0);
+  console.log(`Robot ${robotDir} downloaded (${normalizedFiles.length} files, ${elapsed}ms)`);
+
+  // Verify the assets directory exists if there are mesh files
+  const hasAssets = normalizedFiles.some(f => f.startsWith('assets/'));
+  if (hasAssets) {
+    const assetsPath = `/working/robots/${robotDir}/assets`;
+    const assetsExists = mujoco.FS.analyzePath(assetsPath).exists;
+    console.log(`Robot ${robotDir} assets directory exists: ${assetsExists} (${assetsPath})`);
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Background Clock
+ *
+ * Browsers stop delivering animation frames to hidden tabs, which freezes
+ * the physics loop and with it every AI command waiting on simulated time.
+ * While the page is hidden, this clock calls the frame callback from a Web
+ * Worker timer instead; worker timers are not throttled like the page's.
+ */
+
+export class BackgroundClock {
+  /**
+   * @param {function(number): void} callback - Called with performance.now() on every tick
+   * @param {number} [interval=1000 / 60] - Tick interval (ms)
+   */
+  constructor(callback, interval = 1000 / 60) {
+    this.callback = callback;
+    this.interval = interval;
+    this.worker = null;
+    this._workerUrl = null;
+    this._onVisibilityChange = this._onVisibilityChange.bind(this);
+  }
+
+  /**
+   * Tick whenever the page is hidden, from now on.
+   */
+  attach() {
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+    this._onVisibilityChange();
+  }
+
+  detach() {
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    this.stop();
+  }
+
+  start() {
+    if (this.worker) return;
+    const source = `setInterval(() => postMessage(0), ${this.interval});`;
+    this._workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    this.worker = new Worker(this._workerUrl);
+    this.worker.onmessage = () => this.callback(performance.now());
+  }
+
+  stop() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    URL.revokeObjectURL(this._workerUrl);
+    this.worker = null;
+    this._workerUrl = null;
+  }
+
+  get running() {
+    return this.worker !== null;
+  }
+
+  _onVisibilityChange() {
+    if (document.hidden) {
+      this.start();
+    } else {
+      this.stop();
+    }
+  }
+}
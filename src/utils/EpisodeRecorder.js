@@ -0,0 +1,214 @@
+/**
+ * Episode Recorder
+ *
+ * Records what happens in the simulation, so keyboard teleop sessions can
+ * become training data. MuJoCoDemo.render calls record() before every
+ * mj_step, which stores the simulated time, qpos, qvel and the ctrl applied
+ * over that step. While a camera is attached, head camera frames are
+ * captured at a fixed simulated rate as well. Finished episodes are kept
+ * until cleared and exported together by LeRobotDataset.js.
+ */
+
+// mjtJoint values of the joints with more than one qpos entry
+const JOINT_FREE = 0;
+const JOINT_BALL = 1;
+
+// Head camera frames per simulated second
+const DEFAULT_FRAME_RATE = 10;
+
+// Steps per buffer chunk (about 2 s at the usual 2 ms timestep)
+const CHUNK_STEPS = 1024;
+
+/**
+ * Append-only column of fixed-width float rows, grown in chunks so long
+ * episodes do not reallocate one huge array.
+ */
+class FloatColumn {
+  constructor(width, ArrayType = Float32Array) {
+    this.width = width;
+    this.ArrayType = ArrayType;
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  append(values) {
+    const row = this.length % CHUNK_STEPS;
+    if (row === 0) {
+      this.chunks.push(new this.ArrayType(CHUNK_STEPS * this.width));
+    }
+    this.chunks[this.chunks.length - 1].set(values, row * this.width);
+    this.length++;
+  }
+
+  /**
+   * All rows as one row-major array.
+   */
+  toArray() {
+    const out = new this.ArrayType(this.length * this.width);
+    this.chunks.forEach((chunk, i) => {
+      const rows = Math.min(CHUNK_STEPS, this.length - i * CHUNK_STEPS);
+      out.set(chunk.subarray(0, rows * this.width), i * CHUNK_STEPS * this.width);
+    });
+    return out;
+  }
+}
+
+function readName(model, address) {
+  const end = model.names.indexOf(0, address);
+  return new TextDecoder('utf-8').decode(model.names.subarray(address, end));
+}
+
+/**
+ * Names of the qpos and qvel entries, from the joint names. Free and ball
+ * joints get one name per component.
+ */
+function stateNames(model) {
+  const qpos = [];
+  const qvel = [];
+  for (let j = 0; j < model.njnt; j++) {
+    const name = readName(model, model.name_jntadr[j]) || `joint${j}`;
+    switch (model.jnt_type[j]) {
+      case JOINT_FREE:
+        qpos.push(...['x', 'y', 'z', 'qw', 'qx', 'qy', 'qz'].map(c => `${name}.${c}`));
+        qvel.push(...['vx', 'vy', 'vz', 'wx', 'wy', 'wz'].map(c => `${name}.${c}`));
+        break;
+      case JOINT_BALL:
+        qpos.push(...['qw', 'qx', 'qy', 'qz'].map(c => `${name}.${c}`));
+        qvel.push(...['wx', 'wy', 'wz'].map(c => `${name}.${c}`));
+        break;
+      default:
+        qpos.push(name);
+        qvel.push(name);
+    }
+  }
+  return { qpos, qvel };
+}
+
+export class EpisodeRecorder {
+  constructor() {
+    this.episodes = [];
+    this.current = null;
+    this.robotCamera = null;
+    this.frameRate = DEFAULT_FRAME_RATE;
+  }
+
+  get recording() {
+    return this.current !== null;
+  }
+
+  /**
+   * Start a new episode.
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data of that model
+   * @param {object} [options]
+   * @param {string} [options.robot] - Robot name for the dataset metadata
+   * @param {string} [options.task] - Task description for the episode
+   * @param {RobotCamera|null} [options.robotCamera] - Head camera to capture frames from
+   * @param {number} [options.frameRate=10] - Frames per simulated second
+   */
+  start(model, data, { robot = null, task = '', robotCamera = null, frameRate = DEFAULT_FRAME_RATE } = {}) {
+    if (this.recording) {
+      throw new Error('Already recording');
+    }
+
+    const names = stateNames(model);
+    const actuators = [];
+    for (let i = 0; i < model.nu; i++) {
+      actuators.push(readName(model, model.name_actuatoradr[i]) || `actuator${i}`);
+    }
+
+    this.robotCamera = robotCamera && robotCamera.cameraBodyIndex >= 0 ? robotCamera : null;
+    this.frameRate = frameRate;
+    this.current = {
+      robot,
+      task,
+      data,
+      timestep: model.opt.timestep,
+      names: { ...names, ctrl: actuators },
+      time: new FloatColumn(1, Float64Array),
+      qpos: new FloatColumn(model.nq),
+      qvel: new FloatColumn(model.nv),
+      ctrl: new FloatColumn(model.nu),
+      frames: [], // {index, timestamp, promise | png}
+      nextFrameTime: null
+    };
+  }
+
+  /**
+   * Record the state before a physics step and the ctrl applied over it.
+   * @param {object} data - MuJoCo data
+   */
+  record(data) {
+    // Steps of a newly loaded model are not part of the episode
+    const episode = this.current;
+    if (!episode || data !== episode.data) return;
+
+    episode.time.append([data.time]);
+    episode.qpos.append(data.qpos);
+    episode.qvel.append(data.qvel);
+    episode.ctrl.append(data.ctrl);
+  }
+
+  /**
+   * Capture a head camera frame if one is due. Called once per rendered
+   * frame, after the scene has been updated to the latest physics state.
+   * @param {object} data - MuJoCo data
+   */
+  captureFrame(data) {
+    const episode = this.current;
+    if (!episode || data !== episode.data || !this.robotCamera || episode.time.length === 0) return;
+
+    if (episode.nextFrameTime !== null && data.time < episode.nextFrameTime) return;
+    episode.nextFrameTime = data.time + 1 / this.frameRate;
+
+    // Aligned with the last recorded step
+    const frame = { index: episode.time.length - 1, timestamp: data.time, png: null };
+    frame.promise = this.robotCamera.capture()
+      .then(png => { frame.png = png; })
+      .catch(err => console.warn('EpisodeRecorder: frame capture failed:', err));
+    episode.frames.push(frame);
+  }
+
+  /**
+   * Finish the current episode and keep it for export.
+   * @returns {Promise<object|null>} The episode, or null if it had no steps
+   */
+  async stop() {
+    const episode = this.current;
+    if (!episode) return null;
+    this.current = null;
+
+    await Promise.all(episode.frames.map(frame => frame.promise));
+    if (episode.time.length === 0) return null;
+
+    const time = episode.time.toArray();
+    const finished = {
+      index: this.episodes.length,
+      robot: episode.robot,
+      task: episode.task,
+      length: time.length,
+      timestep: episode.timestep,
+      names: episode.names,
+      time,
+      qpos: episode.qpos.toArray(),
+      qvel: episode.qvel.toArray(),
+      ctrl: episode.ctrl.toArray(),
+      frames: episode.frames
+        .filter(frame => frame.png)
+        .map(({ index, timestamp, png }) => ({ index, timestamp, png }))
+    };
+    this.episodes.push(finished);
+    console.log(`EpisodeRecorder: episode ${finished.index} has ${finished.length} steps and ${finished.frames.length} frames`);
+    return finished;
+  }
+
+  /**
+   * Drop all finished episodes.
+   */
+  clear() {
+    this.episodes = [];
+  }
+}
+
+// Singleton instance
+export const episodeRecorder = new EpisodeRecorder();
@@ -0,0 +1,298 @@
+/**
+ * Gamepad Control Module
+ *
+ * Reads a gamepad through the Gamepad API and maps its sticks, triggers and
+ * buttons onto the key codes the robot controllers already understand. Each
+ * input yields a magnitude in [0, 1] (a stick pushed halfway drives its key
+ * at 0.5), which KeyboardController merges with the keyboard state before
+ * every controller step, so the controllers move proportionally to it.
+ *
+ * Indices follow the "standard" gamepad layout:
+ *   axes     0/1 left stick X/Y, 2/3 right stick X/Y (up and left are negative)
+ *   buttons  0 A, 1 B, 2 X, 3 Y, 4 LB, 5 RB, 6 LT, 7 RT, 8 Back, 9 Start,
+ *            10 LS, 11 RS, 12-15 D-pad up/down/left/right
+ */
+
+// Stick deflection below this is treated as rest
+const DEADZONE = 0.12;
+
+const AXIS = { LX: 0, LY: 1, RX: 2, RY: 3 };
+const BUTTON = {
+  A: 0, B: 1, X: 2, Y: 3, LB: 4, RB: 5, LT: 6, RT: 7, BACK: 8, START: 9,
+  LS: 10, RS: 11, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15
+};
+
+// ============================================================================
+// Robot Gamepad Mappings
+// ============================================================================
+
+// Per-robot mappings (keyed by robot name, as in KeyboardControl.js).
+// A mapping has one or more modes; the first mode whose `hold` button is
+// pressed is active, otherwise the mode without `hold`. Axis entries drive
+// `negative` when pushed up/left and `positive` when pushed down/right;
+// button entries drive `key` with the button value (analog for triggers).
+// `always` entries apply in every mode.
+const GAMEPAD_MAPPINGS = {
+  'xlerobot': {
+    modes: [
+      {
+        // Left arm while LB is held
+        hold: BUTTON.LB,
+        axes: [
+          { axis: AXIS.LX, negative: 'Digit7', positive: 'KeyY' },   // Rotation
+          { axis: AXIS.LY, negative: 'Digit9', positive: 'KeyI' },   // EE X
+          { axis: AXIS.RY, negative: 'Digit8', positive: 'KeyU' },   // EE Y
+          { axis: AXIS.RX, negative: 'Minus', positive: 'KeyP' }     // Wrist roll
+        ],
+        buttons: [
+          { button: BUTTON.RT, key: 'Digit0' },  // Pitch up
+          { button: BUTTON.LT, key: 'KeyO' }     // Pitch down
+        ]
+      },
+      {
+        // Right arm while RB is held
+        hold: BUTTON.RB,
+        axes: [
+          { axis: AXIS.LX, negative: 'KeyH', positive: 'KeyN' },      // Rotation
+          { axis: AXIS.LY, negative: 'KeyK', positive: 'Comma' },     // EE X
+          { axis: AXIS.RY, negative: 'KeyJ', positive: 'KeyM' },      // EE Y
+          { axis: AXIS.RX, negative: 'Semicolon', positive: 'Slash' } // Wrist roll
+        ],
+        buttons: [
+          { button: BUTTON.RT, key: 'KeyL' },    // Pitch up
+          { button: BUTTON.LT, key: 'Period' }   // Pitch down
+        ]
+      },
+      {
+        // Base and head otherwise
+        axes: [
+          { axis: AXIS.LY, negative: 'KeyW', positive: 'KeyS' },  // Forward/backward
+          { axis: AXIS.LX, negative: 'KeyA', positive: 'KeyD' },  // Turn
+          { axis: AXIS.RX, negative: 'KeyR', positive: 'KeyT' },  // Head pan
+          { axis: AXIS.RY, negative: 'KeyF', positive: 'KeyG' }   // Head tilt
+        ],
+        buttons: []
+      }
+    ],
+    always: [
+      { button: BUTTON.X, key: 'KeyV' },     // Left gripper
+      { button: BUTTON.B, key: 'KeyB' },     // Right gripper
+      { button: BUTTON.BACK, key: 'KeyX' }   // Reset
+    ],
+    description: [
+      'Pad: L Stick Base | R Stick Head',
+      'Pad: Hold LB/RB for Left/Right Arm: L Stick Rotate/X, R Stick Y/Roll, LT/RT Pitch',
+      'Pad: X/B Gripper L/R | Back Reset'
+    ]
+  },
+  'SO101': {
+    modes: [
+      {
+        axes: [
+          { axis: AXIS.LX, negative: 'KeyA', positive: 'KeyD' },  // Rotation
+          { axis: AXIS.LY, negative: 'KeyW', positive: 'KeyS' },  // Forward/backward
+          { axis: AXIS.RY, negative: 'KeyQ', positive: 'KeyE' },  // Up/down
+          { axis: AXIS.RX, negative: 'KeyZ', positive: 'KeyC' }   // Wrist roll
+        ],
+        buttons: [
+          { button: BUTTON.RT, key: 'KeyR' },  // Pitch up
+          { button: BUTTON.LT, key: 'KeyF' }   // Pitch down
+        ]
+      }
+    ],
+    always: [
+      { button: BUTTON.A, key: 'KeyV' },     // Gripper
+      { button: BUTTON.BACK, key: 'KeyX' }   // Reset
+    ],
+    description: [
+      'Pad: L Stick Rotate/Forward | R Stick Roll/Up',
+      'Pad: LT/RT Pitch | A Gripper | Back Reset'
+    ]
+  },
+  'panda': {
+    modes: [
+      {
+        axes: [
+          { axis: AXIS.LY, negative: 'KeyW', positive: 'KeyS' },  // Position X
+          { axis: AXIS.LX, negative: 'KeyA', positive: 'KeyD' },  // Position Y
+          { axis: AXIS.RY, negative: 'KeyQ', positive: 'KeyE' },  // Position Z
+          { axis: AXIS.RX, negative: 'KeyT', positive: 'KeyG' }   // Yaw
+        ],
+        buttons: [
+          { button: BUTTON.LT, key: 'KeyZ' },    // Roll
+          { button: BUTTON.RT, key: 'KeyC' },
+          { button: BUTTON.UP, key: 'KeyR' },    // Pitch
+          { button: BUTTON.DOWN, key: 'KeyF' }
+        ]
+      }
+    ],
+    always: [
+      { button: BUTTON.A, key: 'KeyV' },     // Gripper open
+      { button: BUTTON.B, key: 'KeyB' },     // Gripper close
+      { button: BUTTON.BACK, key: 'KeyX' }   // Reset
+    ],
+    description: [
+      'Pad: L Stick X/Y | R Stick Z/Yaw',
+      'Pad: LT/RT Roll | D-pad Pitch | A/B Gripper | Back Reset'
+    ]
+  }
+};
+
+/**
+ * Stick value with the deadzone removed, rescaled so full deflection stays 1.
+ */
+function applyDeadzone(value) {
+  const magnitude = Math.abs(value);
+  if (magnitude < DEADZONE) return 0;
+  return Math.sign(value) * Math.min(1, (magnitude - DEADZONE) / (1 - DEADZONE));
+}
+
+// ============================================================================
+// Gamepad Controller Class
+// ============================================================================
+
+export class GamepadController {
+  constructor() {
+    this.enabled = false;
+    this.mapping = null;
+    this.inputs = {};
+
+    this._onConnected = this._onConnected.bind(this);
+    this._onDisconnected = this._onDisconnected.bind(this);
+  }
+
+  /**
+   * Check if a robot has a gamepad mapping
+   * @param {string} robotName - The robot name
+   * @returns {boolean}
+   */
+  hasMapping(robotName) {
+    return robotName in GAMEPAD_MAPPINGS;
+  }
+
+  /**
+   * Whether the Gamepad API is available (not under Node)
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+  }
+
+  /**
+   * Enable the gamepad mapping of a robot
+   * @param {string} robotName - The robot name
+   * @returns {boolean} - Whether the robot has a mapping
+   */
+  enable(robotName) {
+    this.disable();
+
+    const mapping = GAMEPAD_MAPPINGS[robotName];
+    if (!mapping || !this.isSupported()) return false;
+
+    this.mapping = mapping;
+    this.inputs = {};
+    for (const key of this._mappedKeys()) {
+      this.inputs[key] = 0;
+    }
+
+    window.addEventListener('gamepadconnected', this._onConnected);
+    window.addEventListener('gamepaddisconnected', this._onDisconnected);
+
+    this.enabled = true;
+    return true;
+  }
+
+  /**
+   * Disable the gamepad mapping
+   */
+  disable() {
+    if (!this.enabled) return;
+
+    window.removeEventListener('gamepadconnected', this._onConnected);
+    window.removeEventListener('gamepaddisconnected', this._onDisconnected);
+
+    this.enabled = false;
+    this.mapping = null;
+    this.inputs = {};
+  }
+
+  /**
+   * Read the first connected gamepad into per-key magnitudes.
+   * @returns {object|null} - Key code -> magnitude in [0, 1], or null if no gamepad is connected
+   */
+  poll() {
+    if (!this.enabled) return null;
+
+    const gamepad = this._firstGamepad();
+    if (!gamepad) return null;
+
+    for (const key in this.inputs) {
+      this.inputs[key] = 0;
+    }
+
+    const pressed = (index) => gamepad.buttons[index]?.pressed ?? false;
+    const mode = this.mapping.modes.find(m => m.hold !== undefined && pressed(m.hold)) ??
+                 this.mapping.modes.find(m => m.hold === undefined);
+
+    if (mode) {
+      for (const { axis, negative, positive } of mode.axes) {
+        const value = applyDeadzone(gamepad.axes[axis] ?? 0);
+        if (value < 0) this.inputs[negative] = Math.max(this.inputs[negative], -value);
+        if (value > 0) this.inputs[positive] = Math.max(this.inputs[positive], value);
+      }
+    }
+    for (const { button, key } of [...(mode?.buttons ?? []), ...this.mapping.always]) {
+      const value = gamepad.buttons[button]?.value ?? 0;
+      this.inputs[key] = Math.max(this.inputs[key], value < DEADZONE ? 0 : value);
+    }
+
+    return this.inputs;
+  }
+
+  /**
+   * Name of the connected gamepad, for GUI display
+   * @returns {string|null}
+   */
+  get gamepadId() {
+    return this.enabled ? this._firstGamepad()?.id ?? null : null;
+  }
+
+  /**
+   * Get the mapping description for GUI display
+   * @returns {string}
+   */
+  getDescription() {
+    return this.mapping ? this.mapping.description.join('\n') : '';
+  }
+
+  _firstGamepad() {
+    return Array.from(navigator.getGamepads()).find(pad => pad && pad.connected) ?? null;
+  }
+
+  _mappedKeys() {
+    const keys = new Set();
+    for (const mode of this.mapping.modes) {
+      for (const { negative, positive } of mode.axes) {
+        keys.add(negative);
+        keys.add(positive);
+      }
+      for (const { key } of mode.buttons) keys.add(key);
+    }
+    for (const { key } of this.mapping.always) keys.add(key);
+    return keys;
+  }
+
+  _onConnected(event) {
+    console.log(`Gamepad connected: ${event.gamepad.id} (${event.gamepad.mapping || 'non-standard'} mapping)`);
+    if (event.gamepad.mapping !== 'standard') {
+      console.warn('Gamepad does not use the standard layout; sticks and buttons may be mapped differently');
+    }
+  }
+
+  _onDisconnected(event) {
+    console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+  }
+}
+
+// Singleton instance for easy access
+export const gamepadController = new GamepadController();
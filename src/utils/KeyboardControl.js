@@ -3,11 +3,19 @@
  *
  * Provides configurable keyboard controls for different robots.
  * 统一使用异步 step() 模式，每个控制周期调用一次。
+ *
+ * Key states are magnitudes in [0, 1]: a pressed key is 1, and a connected
+ * gamepad (GamepadControl.js) drives the same keys proportionally to its
+ * sticks and triggers.
  */
 
 import { XLeRobotController } from './controllers/XLeRobotController.js';
 import { PandaController } from './controllers/PandaController.js';
 import { SO101Controller } from './controllers/SO101Controller.js';
+import { gamepadController } from './GamepadControl.js';
+
+// Controllers also run under Node, without a document to listen on
+const HAS_DOM = typeof document !== 'undefined';
 
 // ============================================================================
 // Robot Control Configurations
@@ -42,6 +50,7 @@ export class KeyboardController {
     this.data = null;
     this.mujoco = null;
     this.keyStates = {};
+    this.inputStates = {};  // Keyboard merged with gamepad, passed to the controller
     this.customController = null;
 
     // Bind event handlers
@@ -100,17 +109,21 @@ export class KeyboardController {
       // Initialize key states for controller
       this.keyStates = {};
       for (const key of this.customController.getControlKeys()) {
-        this.keyStates[key] = false;
+        this.keyStates[key] = 0;
       }
+      this.inputStates = { ...this.keyStates };
     } else {
       console.warn(`No controller class for robot: ${robotName}`);
       return false;
     }
 
-    // Add event listeners
-    document.addEventListener('keydown', this._onKeyDown);
-    document.addEventListener('keyup', this._onKeyUp);
-    window.addEventListener('blur', this._onBlur);
+    // Add event listeners (there is no keyboard in the headless server simulation)
+    if (HAS_DOM) {
+      document.addEventListener('keydown', this._onKeyDown);
+      document.addEventListener('keyup', this._onKeyUp);
+      window.addEventListener('blur', this._onBlur);
+    }
+    gamepadController.enable(robotName);
 
     this.enabled = true;
     console.log(`Keyboard control enabled for robot: ${robotName}`);
@@ -123,9 +136,12 @@ export class KeyboardController {
   disable() {
     if (!this.enabled) return;
 
-    document.removeEventListener('keydown', this._onKeyDown);
-    document.removeEventListener('keyup', this._onKeyUp);
-    window.removeEventListener('blur', this._onBlur);
+    if (HAS_DOM) {
+      document.removeEventListener('keydown', this._onKeyDown);
+      document.removeEventListener('keyup', this._onKeyUp);
+      window.removeEventListener('blur', this._onBlur);
+    }
+    gamepadController.disable();
 
     this.enabled = false;
     this.config = null;
@@ -133,6 +149,7 @@ export class KeyboardController {
     this.data = null;
     this.mujoco = null;
     this.keyStates = {};
+    this.inputStates = {};
     this.customController = null;
   }
 
@@ -143,7 +160,17 @@ export class KeyboardController {
   async step() {
     if (!this.enabled || !this.customController || !this.data) return;
 
-    await this.customController.step(this.keyStates, this.model, this.data, this.mujoco);
+    // Without a gamepad the keyboard state is passed as is
+    const gamepadInputs = gamepadController.poll();
+    if (!gamepadInputs) {
+      await this.customController.step(this.keyStates, this.model, this.data, this.mujoco);
+      return;
+    }
+
+    for (const key in this.keyStates) {
+      this.inputStates[key] = Math.max(this.keyStates[key], gamepadInputs[key] ?? 0);
+    }
+    await this.customController.step(this.inputStates, this.model, this.data, this.mujoco);
   }
 
   /**
@@ -166,7 +193,7 @@ export class KeyboardController {
     }
 
     if (event.code in this.keyStates) {
-      this.keyStates[event.code] = true;
+      this.keyStates[event.code] = 1;
       event.preventDefault();
     }
   }
@@ -175,7 +202,7 @@ export class KeyboardController {
     if (!this.enabled) return;
 
     if (event.code in this.keyStates) {
-      this.keyStates[event.code] = false;
+      this.keyStates[event.code] = 0;
       event.preventDefault();
     }
   }
@@ -186,7 +213,7 @@ export class KeyboardController {
     // Reset all key states when window loses focus
     // This prevents stuck keys when user clicks outside the window
     for (const key in this.keyStates) {
-      this.keyStates[key] = false;
+      this.keyStates[key] = 0;
     }
   }
 }
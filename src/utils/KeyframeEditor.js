@@ -0,0 +1,157 @@
+/**
+ * Keyframe Editor
+ *
+ * Authors keyframes from the live pose. Compiled models cannot gain
+ * keyframes, so authored ones live here: capture the current qpos/ctrl,
+ * apply a keyframe to pose the robot, adjust it with the sliders or the
+ * keyboard and capture it again, then export a <keyframe> block to paste
+ * into the robot XML under assets/robots.
+ */
+
+// Decimals kept in exported values
+const XML_PRECISION = 6;
+
+/**
+ * Number of leading qpos entries that belong to the robot. SceneManager
+ * includes the robot before its objects and the environment, so the robot's
+ * joints come first, all under the root body of the first joint.
+ * @param {object} model - MuJoCo model
+ * @returns {number}
+ */
+export function robotQposSize(model) {
+  if (model.njnt === 0) return 0;
+  const root = model.body_rootid[model.jnt_bodyid[0]];
+  let j = 0;
+  while (j < model.njnt && model.body_rootid[model.jnt_bodyid[j]] === root) {
+    j++;
+  }
+  return j < model.njnt ? model.jnt_qposadr[j] : model.nq;
+}
+
+function formatValues(values) {
+  return Array.from(values, v => String(Number(v.toFixed(XML_PRECISION)))).join(' ');
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
+
+export class KeyframeEditor {
+  constructor() {
+    this.keyframes = []; // {name, qpos: number[], ctrl: number[]}
+  }
+
+  get names() {
+    return this.keyframes.map(keyframe => keyframe.name);
+  }
+
+  /**
+   * Add a keyframe from the current pose.
+   * @param {object} data - MuJoCo data
+   * @param {string} [name] - Made unique if taken; defaults to key<N>
+   * @returns {number} Index of the new keyframe
+   */
+  capture(data, name = '') {
+    this.keyframes.push({
+      name: this._uniqueName(name || `key${this.keyframes.length}`),
+      qpos: Array.from(data.qpos),
+      ctrl: Array.from(data.ctrl)
+    });
+    return this.keyframes.length - 1;
+  }
+
+  /**
+   * Overwrite a keyframe with the current pose.
+   */
+  update(index, data) {
+    const keyframe = this._get(index);
+    keyframe.qpos = Array.from(data.qpos);
+    keyframe.ctrl = Array.from(data.ctrl);
+  }
+
+  rename(index, name) {
+    const keyframe = this._get(index);
+    if (!name || name === keyframe.name) return;
+    keyframe.name = this._uniqueName(name);
+  }
+
+  remove(index) {
+    this._get(index);
+    this.keyframes.splice(index, 1);
+  }
+
+  clear() {
+    this.keyframes = [];
+  }
+
+  /**
+   * Pose the simulation at a keyframe, at rest.
+   * @param {number} index
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data
+   * @param {object} mujoco - MuJoCo WASM module
+   */
+  apply(index, model, data, mujoco) {
+    const keyframe = this._get(index);
+    if (keyframe.qpos.length !== model.nq || keyframe.ctrl.length !== model.nu) {
+      throw new Error(`Keyframe "${keyframe.name}" was captured on a different model`);
+    }
+    data.qpos.set(keyframe.qpos);
+    data.ctrl.set(keyframe.ctrl);
+    data.qvel.fill(0);
+    mujoco.mj_forward(model, data);
+  }
+
+  /**
+   * Copy the keyframes compiled into the model, to edit them.
+   * @param {object} model - MuJoCo model
+   * @returns {number} Number of keyframes added
+   */
+  importModelKeyframes(model) {
+    const textDecoder = new TextDecoder('utf-8');
+    for (let k = 0; k < model.nkey; k++) {
+      const start = model.name_keyadr[k];
+      const name = textDecoder.decode(model.names.subarray(start, model.names.indexOf(0, start)));
+      this.keyframes.push({
+        name: this._uniqueName(name || `key${k}`),
+        qpos: Array.from(model.key_qpos.subarray(k * model.nq, (k + 1) * model.nq)),
+        ctrl: Array.from(model.key_ctrl.subarray(k * model.nu, (k + 1) * model.nu))
+      });
+    }
+    return model.nkey;
+  }
+
+  /**
+   * The keyframes as a MuJoCo <keyframe> block.
+   * @param {object} model - MuJoCo model they were captured on
+   * @param {object} [options]
+   * @param {boolean} [options.robotOnly=true] - Only the robot's qpos, for the robot
+   *   XML; MuJoCo fills the rest of a short qpos from the model defaults
+   * @returns {string}
+   */
+  toXML(model, { robotOnly = true } = {}) {
+    const nq = robotOnly ? robotQposSize(model) : model.nq;
+    const keys = this.keyframes.map(({ name, qpos, ctrl }) =>
+      `    <key name="${escapeAttribute(name)}" qpos="${formatValues(qpos.slice(0, nq))}" ctrl="${formatValues(ctrl)}"/>`);
+    return `  <keyframe>\n${keys.join('\n')}\n  </keyframe>\n`;
+  }
+
+  _get(index) {
+    const keyframe = this.keyframes[index];
+    if (!keyframe) {
+      throw new Error(`No keyframe at index ${index}`);
+    }
+    return keyframe;
+  }
+
+  _uniqueName(name) {
+    const taken = new Set(this.names);
+    if (!taken.has(name)) return name;
+    let i = 2;
+    while (taken.has(`${name}_${i}`)) i++;
+    return `${name}_${i}`;
+  }
+}
+
+// Singleton instance
+export const keyframeEditor = new KeyframeEditor();
@@ -0,0 +1,246 @@
+/**
+ * LeRobot-style Dataset Export
+ *
+ * Packs episodes from the EpisodeRecorder into one tar archive laid out
+ * like a LeRobot dataset:
+ *
+ *   meta/info.json                 features, fps, path templates
+ *   meta/episodes.jsonl            one line per episode
+ *   meta/tasks.jsonl               one line per task
+ *   data/chunk-000/episode_000000.json          columns, length and frame index
+ *   data/chunk-000/episode_000000/<key>.npy     one array per column
+ *   images/chunk-000/observation.images.head/episode_000000/frame_000000.png
+ *
+ * Columns are NumPy .npy files (numpy.load reads them directly) instead of
+ * parquet, which would need a parquet writer in the page. Rows are physics
+ * steps, so fps is 1 / timestep; camera frames come at a lower rate and
+ * name the row they belong to.
+ */
+
+const CODEBASE_VERSION = 'v2.0';
+const CHUNKS_SIZE = 1000;
+const IMAGE_KEY = 'observation.images.head';
+
+// Head camera capture size (RobotCamera)
+const IMAGE_WIDTH = 640;
+const IMAGE_HEIGHT = 480;
+
+const TAR_BLOCK = 512;
+
+const pad = (value, width) => String(value).padStart(width, '0');
+
+function episodeChunk(index) {
+  return Math.floor(index / CHUNKS_SIZE);
+}
+
+function dataDir(index) {
+  return `data/chunk-${pad(episodeChunk(index), 3)}`;
+}
+
+function imageDir(index) {
+  return `images/chunk-${pad(episodeChunk(index), 3)}/${IMAGE_KEY}/episode_${pad(index, 6)}`;
+}
+
+/**
+ * Encode a 2-D float array in NumPy's .npy format (version 1.0).
+ * @param {Float32Array|Float64Array} array - Row-major values
+ * @param {number[]} shape - [rows, columns]
+ * @returns {Uint8Array[]} Parts of the file
+ */
+function encodeNpy(array, shape) {
+  const descr = array instanceof Float64Array ? '<f8' : '<f4';
+  let header = `{'descr': '${descr}', 'fortran_order': False, 'shape': (${shape.join(', ')}), }`;
+
+  // Magic, version and header length take 10 bytes; the whole header is padded to 64
+  const total = Math.ceil((10 + header.length + 1) / 64) * 64;
+  header = header.padEnd(total - 10 - 1, ' ') + '\n';
+
+  // "\x93NUMPY", version 1.0, header length
+  const prefix = new Uint8Array(10);
+  prefix.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]);
+  new DataView(prefix.buffer).setUint16(8, header.length, true);
+
+  // Typed arrays are little-endian on every platform browsers run on
+  return [prefix, new TextEncoder().encode(header), new Uint8Array(array.buffer, array.byteOffset, array.byteLength)];
+}
+
+function decodeBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Minimal ustar writer; regular files only.
+ */
+class TarWriter {
+  constructor() {
+    this.parts = [];
+    this.mtime = Math.floor(Date.now() / 1000);
+  }
+
+  /**
+   * @param {string} path
+   * @param {string|Uint8Array|Uint8Array[]} content
+   */
+  addFile(path, content) {
+    const parts = typeof content === 'string'
+      ? [new TextEncoder().encode(content)]
+      : Array.isArray(content) ? content : [content];
+    const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+
+    this.parts.push(this._header(path, size), ...parts);
+    const padding = (TAR_BLOCK - size % TAR_BLOCK) % TAR_BLOCK;
+    if (padding) {
+      this.parts.push(new Uint8Array(padding));
+    }
+  }
+
+  /**
+   * @returns {Blob}
+   */
+  toBlob() {
+    // Two zero blocks end the archive
+    return new Blob([...this.parts, new Uint8Array(TAR_BLOCK * 2)], { type: 'application/x-tar' });
+  }
+
+  _header(path, size) {
+    // Paths over 100 bytes are split into prefix/name at a slash
+    let name = path;
+    let prefix = '';
+    if (name.length > 100) {
+      const split = path.lastIndexOf('/', path.length - 2);
+      prefix = path.slice(0, split);
+      name = path.slice(split + 1);
+      if (name.length > 100 || prefix.length > 155) {
+        throw new Error(`Path too long for tar: ${path}`);
+      }
+    }
+
+    const header = new Uint8Array(TAR_BLOCK);
+    const write = (offset, text) => header.set(new TextEncoder().encode(text), offset);
+    const octal = (value, width) => pad(value.toString(8), width - 1) + '\0';
+
+    write(0, name);
+    write(100, octal(0o644, 8));
+    write(108, octal(0, 8));
+    write(116, octal(0, 8));
+    write(124, octal(size, 12));
+    write(136, octal(this.mtime, 12));
+    write(148, '        ');
+    write(156, '0');
+    write(257, 'ustar\0');
+    write(263, '00');
+    write(345, prefix);
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    write(148, pad(checksum.toString(8), 6) + '\0 ');
+    return header;
+  }
+}
+
+/**
+ * Build the dataset archive.
+ * @param {object[]} episodes - Finished episodes from EpisodeRecorder
+ * @param {object} [options]
+ * @param {number} [options.frameRate] - Camera frames per simulated second, for the metadata
+ * @returns {Blob} tar archive
+ */
+export function exportLeRobotDataset(episodes, { frameRate = null } = {}) {
+  if (episodes.length === 0) {
+    throw new Error('No episodes recorded');
+  }
+
+  // One dataset has one set of features
+  const [first] = episodes;
+  for (const episode of episodes) {
+    if (episode.robot !== first.robot || episode.timestep !== first.timestep ||
+        episode.names.qpos.length !== first.names.qpos.length ||
+        episode.names.ctrl.length !== first.names.ctrl.length) {
+      throw new Error('Episodes come from different robots or scenes; clear and record them separately');
+    }
+  }
+
+  const fps = Math.round(1 / first.timestep);
+  const tasks = [...new Set(episodes.map(episode => episode.task))];
+  const hasImages = episodes.some(episode => episode.frames.length > 0);
+  const tar = new TarWriter();
+
+  const features = {
+    timestamp: { dtype: 'float64', shape: [1], names: null },
+    'observation.state': { dtype: 'float32', shape: [first.names.qpos.length], names: first.names.qpos },
+    'observation.velocity': { dtype: 'float32', shape: [first.names.qvel.length], names: first.names.qvel },
+    action: { dtype: 'float32', shape: [first.names.ctrl.length], names: first.names.ctrl }
+  };
+  if (hasImages) {
+    features[IMAGE_KEY] = {
+      dtype: 'image',
+      shape: [IMAGE_HEIGHT, IMAGE_WIDTH, 3],
+      names: ['height', 'width', 'channel'],
+      fps: frameRate
+    };
+  }
+
+  const totalFrames = episodes.reduce((sum, episode) => sum + episode.length, 0);
+  tar.addFile('meta/info.json', JSON.stringify({
+    codebase_version: CODEBASE_VERSION,
+    robot_type: first.robot,
+    total_episodes: episodes.length,
+    total_frames: totalFrames,
+    total_tasks: tasks.length,
+    total_chunks: episodeChunk(episodes.length - 1) + 1,
+    chunks_size: CHUNKS_SIZE,
+    fps,
+    splits: { train: `0:${episodes.length}` },
+    data_path: 'data/chunk-{episode_chunk:03d}/episode_{episode_index:06d}/{key}.npy',
+    image_path: hasImages
+      ? 'images/chunk-{episode_chunk:03d}/{image_key}/episode_{episode_index:06d}/frame_{frame_index:06d}.png'
+      : null,
+    features
+  }, null, 2));
+
+  tar.addFile('meta/tasks.jsonl', tasks
+    .map((task, taskIndex) => JSON.stringify({ task_index: taskIndex, task })).join('\n') + '\n');
+
+  tar.addFile('meta/episodes.jsonl', episodes
+    .map((episode, episodeIndex) => JSON.stringify({ episode_index: episodeIndex, tasks: [episode.task], length: episode.length }))
+    .join('\n') + '\n');
+
+  episodes.forEach((episode, episodeIndex) => {
+    const base = `${dataDir(episodeIndex)}/episode_${pad(episodeIndex, 6)}`;
+    const columns = {
+      timestamp: [episode.time, 1],
+      'observation.state': [episode.qpos, episode.names.qpos.length],
+      'observation.velocity': [episode.qvel, episode.names.qvel.length],
+      action: [episode.ctrl, episode.names.ctrl.length]
+    };
+
+    const frames = episode.frames.map((frame, frameIndex) => {
+      const path = `${imageDir(episodeIndex)}/frame_${pad(frameIndex, 6)}.png`;
+      tar.addFile(path, decodeBase64(frame.png));
+      return { frame_index: frameIndex, index: frame.index, timestamp: frame.timestamp, path };
+    });
+
+    tar.addFile(`${base}.json`, JSON.stringify({
+      episode_index: episodeIndex,
+      task_index: tasks.indexOf(episode.task),
+      length: episode.length,
+      fps,
+      columns: Object.fromEntries(Object.entries(columns).map(([key, [, width]]) => [key, {
+        path: `${base}/${key}.npy`,
+        dtype: features[key].dtype,
+        shape: [episode.length, width]
+      }])),
+      frames
+    }, null, 2));
+
+    for (const [key, [array, width]] of Object.entries(columns)) {
+      tar.addFile(`${base}/${key}.npy`, encodeNpy(array, [episode.length, width]));
+    }
+  });
+
+  return tar.toBlob();
+}
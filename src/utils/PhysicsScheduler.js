@@ -0,0 +1,94 @@
+/**
+ * Physics-time Scheduler
+ *
+ * Lets blocking commands wait on simulated time instead of wall-clock
+ * timers. MuJoCoDemo.render calls step() after every mj_step; tasks run
+ * once per physics step and their timeouts count simulated seconds, so a
+ * command behaves the same whether the tab is throttled, the simulation
+ * runs slower than real time or it is paused (time simply stands still).
+ */
+
+export class PhysicsScheduler {
+  constructor() {
+    this.tasks = new Set();
+  }
+
+  /**
+   * Run a callback after every physics step until it returns true.
+   * @param {function(number): boolean} callback - Called with the simulated seconds since registration
+   * @param {number} [timeout=Infinity] - Simulated seconds before giving up
+   * @returns {Promise<boolean>} true once the callback finished, false on timeout or cancel
+   */
+  onStep(callback, timeout = Infinity) {
+    return new Promise((resolve, reject) => {
+      this.tasks.add({ callback, timeout, elapsed: 0, resolve, reject });
+    });
+  }
+
+  /**
+   * Wait until a condition holds, checking it after every physics step.
+   * @param {function(): boolean} condition
+   * @param {number} [timeout=Infinity] - Simulated seconds
+   * @returns {Promise<boolean>} Whether the condition was met in time
+   */
+  waitFor(condition, timeout = Infinity) {
+    if (condition()) {
+      return Promise.resolve(true);
+    }
+    return this.onStep(() => condition(), timeout);
+  }
+
+  /**
+   * Wait for a span of simulated time.
+   * @param {number} seconds
+   * @returns {Promise<boolean>}
+   */
+  wait(seconds) {
+    return this.onStep((elapsed) => elapsed >= seconds);
+  }
+
+  /**
+   * Advance all tasks by one physics step.
+   * @param {number} dt - Physics timestep (s)
+   */
+  step(dt) {
+    for (const task of this.tasks) {
+      task.elapsed += dt;
+
+      let done;
+      try {
+        done = task.callback(task.elapsed);
+      } catch (err) {
+        this.tasks.delete(task);
+        task.reject(err);
+        continue;
+      }
+
+      if (done) {
+        this.tasks.delete(task);
+        task.resolve(true);
+      } else if (task.elapsed >= task.timeout) {
+        this.tasks.delete(task);
+        task.resolve(false);
+      }
+    }
+  }
+
+  /**
+   * End every pending task as not finished, e.g. when the model is reloaded.
+   * @param {string} [reason] - Reject the tasks with this error instead
+   */
+  cancelAll(reason) {
+    for (const task of this.tasks) {
+      if (reason) {
+        task.reject(new Error(reason));
+      } else {
+        task.resolve(false);
+      }
+    }
+    this.tasks.clear();
+  }
+}
+
+// Singleton instance, stepped by MuJoCoDemo.render
+export const physicsScheduler = new PhysicsScheduler();
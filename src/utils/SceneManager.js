@@ -6,12 +6,39 @@
  */
 
 import { RobotLoader, SceneConfigManager } from './RobotLoader.js';
-import { downloadRobotAssets, isRobotDownloaded } from '../mujocoUtils.js';
+import { downloadRobotAssets, fetchAsset, isRobotDownloaded } from './AssetLoader.js';
+
+/**
+ * Rename an environment XML and insert <include> elements at the top of its
+ * <mujoco> root. Plain string edits rather than DOMParser, so scenes compose
+ * the same way in the browser and under Node.
+ * @param {string} envXml - Environment XML
+ * @param {string[]} includeFiles - Files to include, in order
+ * @param {string} sceneName - Value for the model attribute
+ * @returns {string} - Scene XML
+ */
+function composeSceneXml(envXml, includeFiles, sceneName) {
+  const root = /<mujoco\b([^>]*?)(\/?)>/.exec(envXml);
+  if (!root) {
+    throw new Error('Failed to parse environment XML');
+  }
+
+  // Drop the old model name and any namespace declarations
+  const attributes = root[1]
+    .replace(/\s+model\s*=\s*("[^"]*"|'[^']*')/, '')
+    .replace(/\s+xmlns(:[a-z]+)?\s*=\s*("[^"]*"|'[^']*')/g, '');
+  const includes = includeFiles.map(file => `\n  <include file="${file}"/>`).join('');
+  const body = root[2] ? '\n</mujoco>' : envXml.slice(root.index + root[0].length);
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<mujoco model="${sceneName}"${attributes}>${includes}${body}`.trim();
+}
 
 export class SceneManager {
   /**
    * Robot configurations - centralized robot metadata
    * All robots are in assets/robots/{robotDir}/
+   * `type` tells the AI server which kind of robot it is controlling.
    */
   static ROBOT_CONFIGS = {
     'xlerobot': {
@@ -19,35 +46,41 @@ export class SceneManager {
       objectsPath: './assets/robots/xlerobot/objects.xml',
       robotDir: 'xlerobot',
       meshDir: 'assets',
-      description: 'XLeRobot Dual-Arm Mobile Robot'
+      description: 'XLeRobot Dual-Arm Mobile Robot',
+      type: 'mobile_manipulator'
     },
     'SO101': {
       xmlPath: './assets/robots/xlerobot/SO101.xml',
       objectsPath: './assets/robots/xlerobot/objects_SO101.xml',
       robotDir: 'xlerobot',  // shares assets with xlerobot
       meshDir: 'assets',
-      description: 'SO101 Single Arm'
+      description: 'SO101 Single Arm',
+      type: 'arm'
     },
     'panda': {
       xmlPath: './assets/robots/panda/panda.xml',
       objectsPath: './assets/robots/panda/objects.xml',
       robotDir: 'panda',
       meshDir: 'assets',
-      description: 'Franka Emika Panda'
+      description: 'Franka Emika Panda',
+      type: 'arm'
     },
     'humanoid': {
       xmlPath: './assets/robots/humanoid/humanoid.xml',
       objectsPath: null,  // humanoid has no objects
       robotDir: 'humanoid',
       meshDir: null,  // humanoid uses primitive shapes, no assets
-      description: 'DeepMind Humanoid'
+      description: 'DeepMind Humanoid',
+      type: 'humanoid'
     },
     'g1': {
       xmlPath: './assets/robots/g1/g1.xml',
       objectsPath: null,
       robotDir: 'g1',
       meshDir: 'assets',
-      description: 'Unitree G1 Humanoid'
+      description: 'Unitree G1 Humanoid',
+      type: 'humanoid',
+      policyPath: './assets/policies/g1/policy.json'  // Auto-loaded whole-body tracking policy
     }
   };
 
@@ -113,7 +146,7 @@ export class SceneManager {
       const hasObjects = await this._copyRobotToDir(robotName, vfsSceneDir);
 
       // Load environment XML and create scene
-      const envResponse = await fetch(envConfig.xmlPath);
+      const envResponse = await fetchAsset(envConfig.xmlPath);
       if (!envResponse.ok) {
         throw new Error(`Environment XML not found: ${envConfig.xmlPath}`);
       }
@@ -140,44 +173,12 @@ export class SceneManager {
    * Create scene XML by inserting include statements into environment XML
    */
   _createSceneXml(envXml, robotName, hasObjects, sceneName) {
-    // Parse environment XML
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(envXml, 'text/xml');
-
-    if (doc.querySelector('parsererror')) {
-      throw new Error('Failed to parse environment XML');
-    }
-
-    // Update model name
-    const mujoco = doc.documentElement;
-    mujoco.setAttribute('model', sceneName);
-
-    // Create include element for robot
-    const robotInclude = doc.createElement('include');
-    robotInclude.setAttribute('file', `${robotName}.xml`);
-
-    // Insert include at the beginning (after mujoco tag)
-    mujoco.insertBefore(robotInclude, mujoco.firstChild);
-
-    // Add objects include if exists
+    // Robot first, then its objects
+    const includes = [`${robotName}.xml`];
     if (hasObjects) {
-      const objectsInclude = doc.createElement('include');
-      objectsInclude.setAttribute('file', 'objects.xml');
-      // Insert after robot include
-      mujoco.insertBefore(objectsInclude, robotInclude.nextSibling);
+      includes.push('objects.xml');
     }
-
-    // Serialize back to string
-    const serializer = new XMLSerializer();
-    let result = serializer.serializeToString(doc);
-
-    // Clean up XML
-    result = result.replace(/(<\?xml[^?]*\?>)/g, '');
-    result = result.replace(/\s+xmlns="[^"]*"/g, '');
-    result = result.replace(/\s+xmlns:[a-z]+="[^"]*"/g, '');
-    result = '<?xml version="1.0" encoding="UTF-8"?>\n' + result.trim();
-
-    return result;
+    return composeSceneXml(envXml, includes, sceneName);
   }
 
   /**
@@ -254,7 +255,7 @@ export class SceneManager {
     // If in custom_spz mode, use 'basic' environment for the XML
     const effectiveEnv = (envName === 'custom_spz') ? 'basic' : envName;
     const envConfig = SceneManager.ENV_CONFIGS[effectiveEnv];
-    const envResponse = await fetch(envConfig.xmlPath);
+    const envResponse = await fetchAsset(envConfig.xmlPath);
     const envXml = await envResponse.text();
 
     // Create scene XML with include
@@ -383,7 +384,7 @@ export class SceneManager {
   async _setupCustomSpzScene(robotName) {
     // Load basic environment XML
     const envConfig = SceneManager.ENV_CONFIGS['basic'];
-    const envResponse = await fetch(envConfig.xmlPath);
+    const envResponse = await fetchAsset(envConfig.xmlPath);
     const envXml = await envResponse.text();
 
     // Handle uploaded robots - use their existing scene directory
@@ -466,56 +467,18 @@ export class SceneManager {
    * @returns {string} - Generated scene XML
    */
   _createSceneXmlWithCollision(envXml, robotName, hasObjects, sceneName, hasCollision) {
-    // Parse environment XML
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(envXml, 'text/xml');
-
-    if (doc.querySelector('parsererror')) {
-      throw new Error('Failed to parse environment XML');
-    }
-
-    // Update model name
-    const mujoco = doc.documentElement;
-    mujoco.setAttribute('model', sceneName);
-
-    // Insert includes at the beginning (after mujoco tag)
     // Order: collision -> robot -> objects
-    let insertPoint = mujoco.firstChild;
-
-    // Add collision include if available
+    const includes = [];
     if (hasCollision) {
-      const collisionInclude = doc.createElement('include');
-      collisionInclude.setAttribute('file', 'collision.xml');
-      mujoco.insertBefore(collisionInclude, insertPoint);
-      insertPoint = collisionInclude.nextSibling;
+      includes.push('collision.xml');
     }
-
-    // Add robot include if specified
     if (robotName) {
-      const robotInclude = doc.createElement('include');
-      robotInclude.setAttribute('file', `${robotName}.xml`);
-      mujoco.insertBefore(robotInclude, insertPoint);
-      insertPoint = robotInclude.nextSibling;
-
-      // Add objects include if exists
+      includes.push(`${robotName}.xml`);
       if (hasObjects) {
-        const objectsInclude = doc.createElement('include');
-        objectsInclude.setAttribute('file', 'objects.xml');
-        mujoco.insertBefore(objectsInclude, insertPoint);
+        includes.push('objects.xml');
       }
     }
-
-    // Serialize back to string
-    const serializer = new XMLSerializer();
-    let result = serializer.serializeToString(doc);
-
-    // Clean up XML
-    result = result.replace(/(<\?xml[^?]*\?>)/g, '');
-    result = result.replace(/\s+xmlns="[^"]*"/g, '');
-    result = result.replace(/\s+xmlns:[a-z]+="[^"]*"/g, '');
-    result = '<?xml version="1.0" encoding="UTF-8"?>\n' + result.trim();
-
-    return result;
+    return composeSceneXml(envXml, includes, sceneName);
   }
 
   /**
@@ -545,7 +508,7 @@ export class SceneManager {
 
     // Copy robot XML
     console.log(`Fetching robot XML from: ${robotConfig.xmlPath}`);
-    const robotXmlResponse = await fetch(robotConfig.xmlPath);
+    const robotXmlResponse = await fetchAsset(robotConfig.xmlPath);
     let robotXml = await robotXmlResponse.text();
     if (robotConfig.meshDir) {
       robotXml = robotXml.replace(/meshdir="[^"]*"/g, `meshdir="./assets/"`);
@@ -556,7 +519,7 @@ export class SceneManager {
     let hasObjects = false;
     if (robotConfig.objectsPath) {
       try {
-        const objectsResponse = await fetch(robotConfig.objectsPath);
+        const objectsResponse = await fetchAsset(robotConfig.objectsPath);
         if (objectsResponse.ok) {
           const objectsXml = await objectsResponse.text();
           this._writeToFS(`${targetDir}/objects.xml`, objectsXml);
@@ -664,7 +627,7 @@ export class SceneManager {
       throw new Error(`Unknown environment: ${envName}`);
     }
 
-    const envResponse = await fetch(envConfig.xmlPath);
+    const envResponse = await fetchAsset(envConfig.xmlPath);
     const envXml = await envResponse.text();
 
     // Check if objects.xml exists
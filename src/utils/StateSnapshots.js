@@ -0,0 +1,167 @@
+/**
+ * Simulation State Snapshots
+ *
+ * Captures the full simulation state into named slots and restores it, so
+ * a manipulation attempt can be retried from a checkpoint. A snapshot holds
+ * everything mj_step integrates from (the fields of mjSTATE_INTEGRATION)
+ * plus the keyboard controller's internal targets; without those the arm
+ * controllers would drive straight back to where they were before the
+ * restore. Snapshots are plain JSON data and export and import as such.
+ * The GUI and the AI's save_state/restore_state commands share the slots.
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+// mjData fields restored by applyState, in the order MuJoCo lists them
+const STATE_FIELDS = [
+  'qpos', 'qvel', 'act', 'qacc_warmstart', 'ctrl', 'qfrc_applied', 'xfrc_applied',
+  'eq_active', 'mocap_pos', 'mocap_quat', 'userdata'
+];
+
+/**
+ * Capture the current state.
+ * @param {object} model - MuJoCo model
+ * @param {object} data - MuJoCo data
+ * @param {object} [options]
+ * @param {object|null} [options.controller] - Keyboard controller whose targets to include
+ * @param {object} [options.scene] - {robot, environment} the state belongs to
+ * @param {object} [options.extra] - Additional JSON data restored along with the state
+ * @returns {object} Snapshot
+ */
+export function captureState(model, data, { controller = null, scene = {}, extra = {} } = {}) {
+  const fields = {};
+  for (const field of STATE_FIELDS) {
+    if (data[field]) {
+      fields[field] = Array.from(data[field]);
+    }
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    robot: scene.robot ?? null,
+    environment: scene.environment ?? null,
+    created_at: new Date().toISOString(),
+    time: data.time,
+    sizes: { nq: model.nq, nv: model.nv, na: model.na, nu: model.nu, nmocap: model.nmocap },
+    fields,
+    controller: controller?.getState?.() ?? null,
+    extra
+  };
+}
+
+/**
+ * Restore a snapshot into the data of the same model.
+ * @param {object} snapshot - From captureState
+ * @param {object} model - MuJoCo model
+ * @param {object} data - MuJoCo data
+ * @param {object} mujoco - MuJoCo WASM module
+ * @param {object} [options]
+ * @param {object|null} [options.controller] - Keyboard controller to restore the targets of
+ */
+export function applyState(snapshot, model, data, mujoco, { controller = null } = {}) {
+  const { sizes } = snapshot;
+  if (!sizes || sizes.nq !== model.nq || sizes.nv !== model.nv || sizes.na !== model.na ||
+      sizes.nu !== model.nu || sizes.nmocap !== model.nmocap) {
+    throw new Error(`Snapshot was taken on a different model (robot ${snapshot.robot ?? 'unknown'}, nq ${sizes?.nq})`);
+  }
+
+  for (const [field, values] of Object.entries(snapshot.fields)) {
+    if (data[field] && data[field].length === values.length) {
+      data[field].set(values);
+    }
+  }
+  data.time = snapshot.time;
+  mujoco.mj_forward(model, data);
+
+  if (snapshot.controller && controller?.setState) {
+    controller.setState(snapshot.controller);
+  }
+}
+
+export class StateSnapshotStore {
+  constructor() {
+    this.slots = new Map(); // name -> snapshot
+  }
+
+  /**
+   * @param {string} name
+   * @param {object} snapshot
+   */
+  save(name, snapshot) {
+    if (!name) {
+      throw new Error('Snapshot name is required');
+    }
+    this.slots.set(name, snapshot);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {object}
+   */
+  get(name) {
+    const snapshot = this.slots.get(name);
+    if (!snapshot) {
+      const names = this.names();
+      throw new Error(`No snapshot named "${name}". Saved: ${names.length ? names.join(', ') : 'none'}`);
+    }
+    return snapshot;
+  }
+
+  delete(name) {
+    return this.slots.delete(name);
+  }
+
+  names() {
+    return Array.from(this.slots.keys());
+  }
+
+  /**
+   * Short description of every slot.
+   * @returns {object[]}
+   */
+  list() {
+    return Array.from(this.slots, ([name, snapshot]) => ({
+      name,
+      robot: snapshot.robot,
+      environment: snapshot.environment,
+      time: Math.round(snapshot.time * 1000) / 1000,
+      created_at: snapshot.created_at
+    }));
+  }
+
+  /**
+   * All slots as a JSON string.
+   */
+  exportJSON() {
+    return JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      snapshots: Object.fromEntries(this.slots)
+    });
+  }
+
+  /**
+   * Add the slots of an exported JSON string, replacing slots of the same name.
+   * Nothing is imported if any snapshot is malformed.
+   * @param {string} json
+   * @returns {string[]} Imported slot names
+   */
+  importJSON(json) {
+    const parsed = JSON.parse(json);
+    if (parsed?.version !== SNAPSHOT_VERSION || !parsed.snapshots || typeof parsed.snapshots !== 'object') {
+      throw new Error('Not a snapshot export');
+    }
+    const entries = Object.entries(parsed.snapshots);
+    for (const [name, snapshot] of entries) {
+      if (!snapshot?.fields || !snapshot.sizes) {
+        throw new Error(`Snapshot "${name}" is malformed`);
+      }
+    }
+    for (const [name, snapshot] of entries) {
+      this.slots.set(name, snapshot);
+    }
+    return entries.map(([name]) => name);
+  }
+}
+
+// Singleton instance
+export const stateSnapshots = new StateSnapshotStore();
@@ -0,0 +1,250 @@
+/**
+ * Trajectory Player
+ *
+ * Plays back a recorded qpos trajectory kinematically, to review teleop
+ * demonstrations and failed AI runs frame by frame. While a trajectory is
+ * loaded the physics stays paused; MuJoCoDemo.render calls update() every
+ * frame, which moves the playhead along the recorded timestamps and writes
+ * that frame's qpos into the data before mj_forward. Playback is driven by
+ * the recorded time, not by the render rate, so it is the same on every
+ * machine.
+ */
+
+// Bounds of the playback speed factor
+export const MIN_PLAYBACK_SPEED = 0.05;
+export const MAX_PLAYBACK_SPEED = 8;
+
+/**
+ * Read a NumPy .npy file holding a 2-D float array.
+ * @param {ArrayBuffer} buffer
+ * @returns {{values: Float32Array|Float64Array, rows: number, columns: number}}
+ */
+function parseNpy(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] !== 0x93 || String.fromCharCode(...bytes.subarray(1, 6)) !== 'NUMPY') {
+    throw new Error('Not a .npy file');
+  }
+
+  // Version 1.x has a 2-byte header length, 2.x and 3.x a 4-byte one
+  const view = new DataView(buffer);
+  const major = bytes[6];
+  const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const headerStart = major === 1 ? 10 : 12;
+  const header = new TextDecoder('latin1').decode(bytes.subarray(headerStart, headerStart + headerLength));
+
+  const descr = header.match(/'descr':\s*'([^']+)'/)?.[1];
+  const fortran = /'fortran_order':\s*True/.test(header);
+  const shape = header.match(/'shape':\s*\(([^)]*)\)/)?.[1]
+    .split(',').map(s => s.trim()).filter(Boolean).map(Number);
+
+  const ArrayType = { '<f4': Float32Array, '<f8': Float64Array }[descr];
+  if (!ArrayType) {
+    throw new Error(`Unsupported .npy dtype ${descr} (expected little-endian float32 or float64)`);
+  }
+  if (fortran || !shape || shape.length !== 2) {
+    throw new Error('Expected a 2-D C-order array of shape (frames, nq)');
+  }
+
+  const offset = headerStart + headerLength;
+  const values = new ArrayType(buffer.slice(offset, offset + shape[0] * shape[1] * ArrayType.BYTES_PER_ELEMENT));
+  return { values, rows: shape[0], columns: shape[1] };
+}
+
+/**
+ * Read a trajectory file. Supported formats:
+ *   .json  [[qpos...], ...] or {qpos: [[...], ...], time?: [...]}
+ *   .npy   (frames, nq) float array, e.g. observation.state.npy of an
+ *          exported dataset
+ *   other  raw little-endian float32, nq values per frame
+ * Without recorded times, frames are one physics timestep apart.
+ * @param {string} fileName
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {object} model - MuJoCo model the trajectory is for
+ * @returns {object} Trajectory for TrajectoryPlayer.load
+ */
+export function parseTrajectory(fileName, buffer, model) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  let qpos;
+  let time = null;
+  let nq;
+
+  if (extension === 'json') {
+    const json = JSON.parse(new TextDecoder('utf-8').decode(buffer));
+    const rows = Array.isArray(json) ? json : json.qpos;
+    if (!Array.isArray(rows) || rows.length === 0 || !Array.isArray(rows[0])) {
+      throw new Error('JSON trajectory must be a list of qpos rows or {qpos: [[...]], time?: [...]}');
+    }
+    nq = rows[0].length;
+    qpos = new Float64Array(rows.length * nq);
+    rows.forEach((row, i) => {
+      if (row.length !== nq) {
+        throw new Error(`Row ${i} has ${row.length} values, expected ${nq}`);
+      }
+      qpos.set(row, i * nq);
+    });
+    if (Array.isArray(json.time)) {
+      if (json.time.length !== rows.length) {
+        throw new Error(`time has ${json.time.length} entries for ${rows.length} qpos rows`);
+      }
+      time = Float64Array.from(json.time);
+    }
+  } else if (extension === 'npy') {
+    const { values, columns } = parseNpy(buffer);
+    qpos = values;
+    nq = columns;
+  } else {
+    qpos = new Float32Array(buffer.slice(0, buffer.byteLength - buffer.byteLength % 4));
+    nq = model.nq;
+    if (qpos.length % nq !== 0) {
+      throw new Error(`Raw trajectory has ${qpos.length} values, not a multiple of nq = ${nq}`);
+    }
+  }
+
+  const length = qpos.length / nq;
+  if (!time) {
+    time = Float64Array.from({ length }, (_, i) => i * model.opt.timestep);
+  }
+  return { name: fileName, time, qpos, nq, length };
+}
+
+export class TrajectoryPlayer {
+  constructor() {
+    this.trajectory = null;
+    this.frame = 0;
+    this.playing = false;
+    this.speed = 1;
+    this.loop = false;
+
+    // Seconds of recorded time since the first frame
+    this.playhead = 0;
+    this._lastTimeMS = null;
+  }
+
+  get active() {
+    return this.trajectory !== null;
+  }
+
+  get frameCount() {
+    return this.trajectory?.length ?? 0;
+  }
+
+  get duration() {
+    const { time, length } = this.trajectory ?? {};
+    return length ? time[length - 1] - time[0] : 0;
+  }
+
+  /**
+   * Load a trajectory for the given model and show its first frame.
+   * @param {object} trajectory - {name, time, qpos, nq, length}
+   * @param {object} model - MuJoCo model
+   */
+  load(trajectory, model) {
+    if (trajectory.nq !== model.nq) {
+      throw new Error(`Trajectory has ${trajectory.nq} qpos values per frame, the model has ${model.nq}`);
+    }
+    if (trajectory.length === 0) {
+      throw new Error('Trajectory is empty');
+    }
+    this.trajectory = trajectory;
+    this.playing = false;
+    this.seek(0);
+  }
+
+  /**
+   * Trajectory of an episode from the EpisodeRecorder.
+   */
+  static fromEpisode(episode) {
+    return {
+      name: `episode ${episode.index}`,
+      time: episode.time,
+      qpos: episode.qpos,
+      nq: episode.names.qpos.length,
+      length: episode.length
+    };
+  }
+
+  unload() {
+    this.trajectory = null;
+    this.playing = false;
+    this.frame = 0;
+    this.playhead = 0;
+  }
+
+  play() {
+    if (!this.active) return;
+    // Start over when play is pressed on the last frame
+    if (this.frame >= this.frameCount - 1) {
+      this.seek(0);
+    }
+    this.playing = true;
+    this._lastTimeMS = null;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  /**
+   * Jump to a frame.
+   * @param {number} frame - Frame index, clamped to the trajectory
+   */
+  seek(frame) {
+    if (!this.active) return;
+    this.frame = Math.min(Math.max(Math.round(frame), 0), this.frameCount - 1);
+    this.playhead = this.trajectory.time[this.frame] - this.trajectory.time[0];
+  }
+
+  /**
+   * Advance the playhead and write the current frame into the data. Call
+   * once per rendered frame, before mj_forward.
+   * @param {number} timeMS - Render timestamp
+   * @param {object} data - MuJoCo data
+   */
+  update(timeMS, data) {
+    if (!this.active) return;
+
+    if (this.playing) {
+      const elapsed = this._lastTimeMS === null ? 0 : (timeMS - this._lastTimeMS) / 1000;
+      this.playhead += elapsed * this.speed;
+
+      if (this.playhead > this.duration) {
+        if (this.loop && this.duration > 0) {
+          this.playhead %= this.duration;
+        } else {
+          this.playhead = this.duration;
+          this.playing = false;
+        }
+      }
+
+      this.frame = this._frameAt(this.playhead);
+    }
+    this._lastTimeMS = timeMS;
+
+    // Always rewrite qpos: dragging bodies in the paused view moves them
+    const { qpos, nq } = this.trajectory;
+    data.qpos.set(qpos.subarray(this.frame * nq, (this.frame + 1) * nq));
+    data.qvel.fill(0);
+  }
+
+  /**
+   * Last frame recorded at or before a playhead position.
+   */
+  _frameAt(playhead) {
+    const { time } = this.trajectory;
+    const target = time[0] + playhead;
+    let lo = 0;
+    let hi = this.frameCount - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (time[mid] <= target) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return lo;
+  }
+}
+
+// Singleton instance
+export const trajectoryPlayer = new TrajectoryPlayer();
@@ -9,6 +9,39 @@
  * - 控制器在 step() 中设置目标，物理引擎通过 actuator 执行
  */
 
+/**
+ * Copy controller state into plain JSON data (typed arrays become arrays).
+ */
+function toPlainState(value) {
+  if (ArrayBuffer.isView(value)) {
+    return Array.from(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainState);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toPlainState(v)]));
+  }
+  return value;
+}
+
+/**
+ * Write plain state back into the existing state structure, keeping its
+ * array types.
+ */
+function assignState(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    const current = target[key];
+    if (ArrayBuffer.isView(current) && Array.isArray(value)) {
+      current.set(value);
+    } else if (current && typeof current === 'object' && !Array.isArray(current) && value && typeof value === 'object') {
+      assignState(current, value);
+    } else {
+      target[key] = toPlainState(value);
+    }
+  }
+}
+
 export class BaseController {
   constructor() {
     this.initialized = false;
@@ -37,7 +70,9 @@ export class BaseController {
   /**
    * 异步控制步进 - 每个控制周期调用一次
    * 在这里读取键盘状态、计算控制量、设置 data.ctrl
-   * @param {object} keyStates - Current keyboard states
+   * @param {object} keyStates - Input magnitude per key code in [0, 1]; keys
+   *   are 1 while pressed, gamepad sticks and triggers give values in between.
+   *   Scale velocities by it.
    * @param {object} model - MuJoCo model
    * @param {object} data - MuJoCo data
    * @param {object} mujoco - MuJoCo WASM module
@@ -46,6 +81,25 @@ export class BaseController {
     throw new Error('step() must be implemented by subclass');
   }
 
+  /**
+   * Internal state (targets, toggles) as plain JSON data, for snapshots.
+   * Controllers keep it in `this.state`.
+   * @returns {object|null}
+   */
+  getState() {
+    return this.state ? toPlainState(this.state) : null;
+  }
+
+  /**
+   * Restore state from getState().
+   * @param {object} state
+   */
+  setState(state) {
+    if (this.state && state) {
+      assignState(this.state, state);
+    }
+  }
+
   /**
    * Get the list of keys this controller uses
    * @returns {string[]}
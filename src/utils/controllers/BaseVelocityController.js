@@ -0,0 +1,377 @@
+/**
+ * Base Velocity Controller
+ *
+ * Closed-loop control of a differential-drive base whose wheels are driven
+ * by two motor actuators, one for driving and one for turning (XLeRobot's
+ * `forward` and `turn` tendons). The controller is stepped once per physics
+ * step from MuJoCoDemo.render, so results do not depend on the frame rate.
+ *
+ * Velocities are tracked by PID loops (with feed-forward) on the measured
+ * chassis velocity. On top of that, goals set the velocity targets:
+ * - velocity: hold (v, omega) for a duration, then brake
+ * - distance / angle: drive straight or turn in place by a set amount,
+ *   slowing down near the end, until within tolerance and settled
+ * - point: pure-pursuit style tracking of a world point (navigation legs)
+ *
+ * Every goal returns a promise that resolves from inside the physics loop
+ * once the goal is done, timed out (in simulated seconds) or cancelled.
+ */
+
+// Speed limits (m/s, rad/s) and acceleration limits (m/s², rad/s²). The
+// accelerations stay well below what full ctrl achieves (about 0.25 m/s²
+// and 2 rad/s² on XLeRobot) so the PIDs have headroom to track them.
+const MAX_LINEAR_SPEED = 0.4;
+const MAX_ANGULAR_SPEED = 1.2;
+const MAX_LINEAR_ACCEL = 0.15;
+const MAX_ANGULAR_ACCEL = 1.2;
+
+// Position loop gains: velocity target per unit of remaining error. Near
+// the goal the target is also capped so the base can brake in time.
+const DISTANCE_GAIN = 1.5;
+const ANGLE_GAIN = 2.5;
+const HEADING_GAIN = 2.0;
+
+// A goal is settled when below these speeds (m/s, rad/s) ...
+const SETTLE_LINEAR_SPEED = 0.02;
+const SETTLE_ANGULAR_SPEED = 0.05;
+// ... for this long (s)
+const SETTLE_TIME = 0.1;
+
+// Time allowed to brake to a stop after a velocity goal (s)
+const BRAKE_TIME = 1.5;
+
+/**
+ * PID loop with integral clamping.
+ */
+class PID {
+  constructor(kp, ki, kd, integralLimit) {
+    this.kp = kp;
+    this.ki = ki;
+    this.kd = kd;
+    this.integralLimit = integralLimit;
+    this.reset();
+  }
+
+  reset() {
+    this.integral = 0;
+    this.prevError = null;
+  }
+
+  update(error, dt) {
+    this.integral = Math.max(-this.integralLimit,
+      Math.min(this.integralLimit, this.integral + error * dt));
+    const derivative = this.prevError === null ? 0 : (error - this.prevError) / dt;
+    this.prevError = error;
+    return this.kp * error + this.ki * this.integral + this.kd * derivative;
+  }
+}
+
+const wrapAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+const clamp = (v, limit) => Math.max(-limit, Math.min(limit, v));
+
+/**
+ * Speed toward a goal `remaining` away: proportional, capped by the speed
+ * limit and by the speed the base can still brake from in time.
+ */
+const approachSpeed = (remaining, gain, maxSpeed, maxAccel) =>
+  Math.sign(remaining) * Math.min(
+    gain * Math.abs(remaining),
+    maxSpeed,
+    Math.sqrt(2 * maxAccel * Math.abs(remaining))
+  );
+
+export class BaseVelocityController {
+  constructor() {
+    // Feed-forward (ctrl per m/s and per m/s², ctrl per rad/s and per rad/s²)
+    this.LINEAR_FF = 0.3;
+    this.LINEAR_ACCEL_FF = 4.0;
+    this.ANGULAR_FF = 0.1;
+    this.ANGULAR_ACCEL_FF = 0.5;
+    // Velocity PIDs on the tracking error
+    this.linearPID = new PID(10.0, 4.0, 0, 0.25);
+    this.angularPID = new PID(2.0, 1.0, 0, 0.5);
+
+    this.base = null;
+    this.goal = null;
+    this.command = { v: 0, omega: 0 }; // Rate-limited velocity targets
+  }
+
+  /**
+   * Bind to the base of a loaded model.
+   * @param {object} model - MuJoCo model
+   * @param {object} base
+   * @param {number} base.chassis - Chassis body index (must have a free joint)
+   * @param {number} base.forward - Drive actuator index
+   * @param {number} base.turn - Turn actuator index
+   * @param {number} [base.forwardSign=1] - Sign of the drive ctrl that moves the robot forward
+   * @param {number} [base.turnSign=1] - Sign of the turn ctrl that turns it left (counter-clockwise)
+   * @param {number} [base.headingOffset=0] - Robot front relative to the chassis +X axis (rad)
+   */
+  bind(model, base) {
+    this.cancel('Base controller rebound');
+    this.base = {
+      forwardSign: 1,
+      turnSign: 1,
+      headingOffset: 0,
+      ...base,
+      dof: model.jnt_dofadr[model.body_jntadr[base.chassis]]
+    };
+  }
+
+  /**
+   * Drop the binding, e.g. when the model is reloaded.
+   */
+  unbind() {
+    this.cancel('Model reloaded');
+    this.base = null;
+  }
+
+  /**
+   * Current planar pose and velocity of the robot.
+   * @param {object} data - MuJoCo data
+   * @returns {{x: number, y: number, heading: number, v: number, omega: number}}
+   */
+  getState(data) {
+    const { chassis, dof, headingOffset } = this.base;
+    const q = data.xquat.subarray(chassis * 4, chassis * 4 + 4);
+    const yaw = Math.atan2(2 * (q[0] * q[3] + q[1] * q[2]), 1 - 2 * (q[2] * q[2] + q[3] * q[3]));
+    const heading = wrapAngle(yaw + headingOffset);
+
+    // Free joint velocity: linear in the world frame, angular in the body frame
+    const vx = data.qvel[dof];
+    const vy = data.qvel[dof + 1];
+    return {
+      x: data.xpos[chassis * 3],
+      y: data.xpos[chassis * 3 + 1],
+      heading,
+      v: vx * Math.cos(heading) + vy * Math.sin(heading),
+      omega: data.qvel[dof + 5]
+    };
+  }
+
+  /**
+   * Hold a velocity for a duration, then brake to a stop.
+   * @param {number} v - Forward velocity (m/s, negative = backward)
+   * @param {number} omega - Angular velocity (rad/s, positive = left)
+   * @param {number} duration - Simulated seconds
+   * @returns {Promise<object>} Result once stopped
+   */
+  setVelocity(v, omega, duration) {
+    return this._start({
+      type: 'velocity',
+      v: clamp(v, MAX_LINEAR_SPEED),
+      omega: clamp(omega, MAX_ANGULAR_SPEED),
+      duration,
+      timeout: duration + BRAKE_TIME
+    });
+  }
+
+  /**
+   * Drive straight by a distance, holding the current heading.
+   * @param {number} distance - Meters (negative = backward)
+   * @param {number} tolerance - Acceptance error (m)
+   * @param {number} timeout - Simulated seconds
+   */
+  driveDistance(distance, tolerance, timeout) {
+    return this._start({ type: 'distance', distance, tolerance, timeout });
+  }
+
+  /**
+   * Turn in place by an angle.
+   * @param {number} angle - Radians (positive = left)
+   * @param {number} tolerance - Acceptance error (rad)
+   * @param {number} timeout - Simulated seconds
+   */
+  turnAngle(angle, tolerance, timeout) {
+    return this._start({ type: 'angle', angle, tolerance, timeout });
+  }
+
+  /**
+   * Drive to a world point, turning toward it first when facing away.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} tolerance - Acceptance distance (m)
+   * @param {number} timeout - Simulated seconds
+   * @param {function} [shouldStop] - Called with the state each step; ends the goal when true
+   */
+  driveTo(x, y, tolerance, timeout, shouldStop = null) {
+    return this._start({ type: 'point', x, y, tolerance, timeout, shouldStop });
+  }
+
+  /**
+   * Abandon the current goal; its promise resolves with `cancelled: true`.
+   */
+  cancel(reason = 'Cancelled') {
+    if (this.goal) {
+      this._finish({ cancelled: true, reason });
+    }
+  }
+
+  get active() {
+    return this.goal !== null;
+  }
+
+  _start(goal) {
+    if (!this.base) {
+      return Promise.resolve({ success: false, error: 'No drivable base' });
+    }
+    this.cancel('Superseded by a new base command');
+
+    return new Promise((resolve) => {
+      this.goal = { ...goal, resolve, start: null, elapsed: 0, settled: 0 };
+      this.linearPID.reset();
+      this.angularPID.reset();
+    });
+  }
+
+  _finish(extra = {}) {
+    const goal = this.goal;
+    this.goal = null;
+    this.command = { v: 0, omega: 0 };
+    goal.resolve({ ...this._progress(goal), ...extra });
+  }
+
+  /**
+   * How far the goal got, for the result.
+   */
+  _progress(goal) {
+    const end = goal.last ?? goal.start;
+    if (!end) return { elapsed: 0 };
+
+    const distance = Math.hypot(end.x - goal.start.x, end.y - goal.start.y);
+    const forward = (end.x - goal.start.x) * Math.cos(goal.start.heading) +
+                    (end.y - goal.start.y) * Math.sin(goal.start.heading);
+    return {
+      elapsed: goal.elapsed,
+      distance: forward < 0 ? -distance : distance,
+      angle: goal.turned ?? 0,
+      remaining: goal.remaining ?? null
+    };
+  }
+
+  /**
+   * Advance the current goal by one physics step. Call before mj_step.
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data
+   */
+  step(model, data) {
+    const goal = this.goal;
+    if (!goal || !this.base) return;
+
+    const dt = model.opt.timestep;
+    const state = this.getState(data);
+    if (!goal.start) {
+      goal.start = state;
+      goal.prevHeading = state.heading;
+      goal.turned = 0;
+    }
+    goal.turned += wrapAngle(state.heading - goal.prevHeading);
+    goal.prevHeading = state.heading;
+    goal.last = state;
+    goal.dt = dt;
+    goal.elapsed += dt;
+
+    const target = this._targetVelocity(goal, state);
+    if (target.done) {
+      this._applyCtrl(data, 0, 0);
+      this._finish({ success: true });
+      return;
+    }
+    if (goal.elapsed >= goal.timeout) {
+      this._applyCtrl(data, 0, 0);
+      this._finish({ success: false, timed_out: true });
+      return;
+    }
+
+    // Rate-limit the targets, then track them
+    const accel = clamp(target.v - this.command.v, MAX_LINEAR_ACCEL * dt) / dt;
+    const angularAccel = clamp(target.omega - this.command.omega, MAX_ANGULAR_ACCEL * dt) / dt;
+    this.command.v += accel * dt;
+    this.command.omega += angularAccel * dt;
+
+    const u = this.LINEAR_FF * this.command.v + this.LINEAR_ACCEL_FF * accel +
+              this.linearPID.update(this.command.v - state.v, dt);
+    const w = this.ANGULAR_FF * this.command.omega + this.ANGULAR_ACCEL_FF * angularAccel +
+              this.angularPID.update(this.command.omega - state.omega, dt);
+    this._applyCtrl(data, u, w);
+  }
+
+  /**
+   * Velocity targets for a goal, or `done` once it is complete.
+   */
+  _targetVelocity(goal, state) {
+    const settledFor = (isStill) => {
+      goal.settled = isStill ? goal.settled + goal.dt : 0;
+      return goal.settled >= SETTLE_TIME;
+    };
+    const still = Math.abs(state.v) < SETTLE_LINEAR_SPEED && Math.abs(state.omega) < SETTLE_ANGULAR_SPEED;
+
+    switch (goal.type) {
+      case 'velocity': {
+        if (goal.elapsed < goal.duration) {
+          return { v: goal.v, omega: goal.omega };
+        }
+        return settledFor(still) ? { done: true } : { v: 0, omega: 0 };
+      }
+
+      case 'distance': {
+        const { start } = goal;
+        const travelled = (state.x - start.x) * Math.cos(start.heading) +
+                          (state.y - start.y) * Math.sin(start.heading);
+        const remaining = goal.distance - travelled;
+        goal.remaining = remaining;
+        if (settledFor(still && Math.abs(remaining) <= goal.tolerance)) {
+          return { done: true };
+        }
+        return {
+          v: approachSpeed(remaining, DISTANCE_GAIN, MAX_LINEAR_SPEED, MAX_LINEAR_ACCEL),
+          omega: clamp(HEADING_GAIN * wrapAngle(start.heading - state.heading), MAX_ANGULAR_SPEED)
+        };
+      }
+
+      case 'angle': {
+        const remaining = goal.angle - goal.turned;
+        goal.remaining = remaining;
+        if (settledFor(still && Math.abs(remaining) <= goal.tolerance)) {
+          return { done: true };
+        }
+        return { v: 0, omega: approachSpeed(remaining, ANGLE_GAIN, MAX_ANGULAR_SPEED, MAX_ANGULAR_ACCEL) };
+      }
+
+      case 'point': {
+        const dx = goal.x - state.x;
+        const dy = goal.y - state.y;
+        const dist = Math.hypot(dx, dy);
+        const bearing = wrapAngle(Math.atan2(dy, dx) - state.heading);
+        goal.remaining = dist;
+        if (dist <= goal.tolerance || goal.shouldStop?.(state)) {
+          return { done: true };
+        }
+
+        // Back up to points that start out behind the robot: turning around
+        // in place needs room the base often does not have next to a table
+        goal.reverse ??= Math.abs(bearing) > Math.PI / 2;
+        const steer = goal.reverse ? wrapAngle(bearing + Math.PI) : bearing;
+        const direction = goal.reverse ? -1 : 1;
+
+        // Turn in place while facing well away, otherwise drive and steer
+        const speed = Math.abs(steer) > 0.5
+          ? 0
+          : approachSpeed(dist, DISTANCE_GAIN, MAX_LINEAR_SPEED, MAX_LINEAR_ACCEL) * Math.cos(steer);
+        return { v: direction * speed, omega: clamp(ANGLE_GAIN * steer, MAX_ANGULAR_SPEED) };
+      }
+
+      default:
+        return { done: true };
+    }
+  }
+
+  _applyCtrl(data, linear, angular) {
+    const { forward, turn, forwardSign, turnSign } = this.base;
+    data.ctrl[forward] = clamp(linear, 1) * forwardSign;
+    data.ctrl[turn] = clamp(angular, 1) * turnSign;
+  }
+}
+
+// Singleton instance, stepped by MuJoCoDemo.render
+export const baseVelocityController = new BaseVelocityController();
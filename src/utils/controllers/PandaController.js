@@ -8,6 +8,9 @@
  * - Orientation: Z/C (Roll), R/F (Pitch), T/G (Yaw)
  * - Gripper: V (Open), B (Close)
  * - Reset: X
+ *
+ * The same target pose can be set programmatically (setTargetPose /
+ * setGripper), which is how the AI tools drive the arm.
  */
 
 import { BaseController } from './BaseController.js';
@@ -47,6 +50,8 @@ export class PandaController extends BaseController {
     // Two separate finger actuators (indices 7 and 8)
     this.GRIPPER_ACTUATOR_IDX_1 = 7;
     this.GRIPPER_ACTUATOR_IDX_2 = 8;
+    // Finger bodies (checked for contact with a grasped object)
+    this.FINGER_BODIES = ['left_finger', 'right_finger'];
 
     // Panda joint limits (radians) - from URDF
     this.JOINT_LIMITS_MIN = [-2.8973, -1.7628, -2.8973, -3.0718, -2.8973, -0.0175, -2.8973];
@@ -432,6 +437,14 @@ export class PandaController extends BaseController {
       return;
     }
 
+    // Start the arm in the home keyframe: the all-zero pose stretches it
+    // straight up against the joint4 limit, where the IK cannot make
+    // progress. Only the arm joints are copied so scene objects stay put.
+    if (model.nkey > 0) {
+      for (const jointIdx of this.ARM_JOINT_INDICES) {
+        data.qpos[jointIdx] = model.key_qpos[jointIdx];
+      }
+    }
     // Do forward kinematics to get initial EE position
     mujoco.mj_forward(model, data);
 
@@ -531,38 +544,38 @@ export class PandaController extends BaseController {
     // ========================================
     // Position Control
     // ========================================
-    if (keyStates['KeyA']) this.state.targetPos[0] += this.POS_STEP;
-    if (keyStates['KeyD']) this.state.targetPos[0] -= this.POS_STEP;
-    if (keyStates['KeyS']) this.state.targetPos[1] += this.POS_STEP;
-    if (keyStates['KeyW']) this.state.targetPos[1] -= this.POS_STEP;
-    if (keyStates['KeyQ']) this.state.targetPos[2] += this.POS_STEP;
-    if (keyStates['KeyE']) this.state.targetPos[2] -= this.POS_STEP;
+    if (keyStates['KeyA']) this.state.targetPos[0] += this.POS_STEP * keyStates['KeyA'];
+    if (keyStates['KeyD']) this.state.targetPos[0] -= this.POS_STEP * keyStates['KeyD'];
+    if (keyStates['KeyS']) this.state.targetPos[1] += this.POS_STEP * keyStates['KeyS'];
+    if (keyStates['KeyW']) this.state.targetPos[1] -= this.POS_STEP * keyStates['KeyW'];
+    if (keyStates['KeyQ']) this.state.targetPos[2] += this.POS_STEP * keyStates['KeyQ'];
+    if (keyStates['KeyE']) this.state.targetPos[2] -= this.POS_STEP * keyStates['KeyE'];
 
     // ========================================
     // Orientation Control
     // ========================================
     if (keyStates['KeyZ']) {
-      const dq = quatFromAxisAngle([1, 0, 0], this.ROT_STEP);
+      const dq = quatFromAxisAngle([1, 0, 0], this.ROT_STEP * keyStates['KeyZ']);
       this.state.targetQuat = quatNormalize(quatMultiply(this.state.targetQuat, dq));
     }
     if (keyStates['KeyC']) {
-      const dq = quatFromAxisAngle([1, 0, 0], -this.ROT_STEP);
+      const dq = quatFromAxisAngle([1, 0, 0], -this.ROT_STEP * keyStates['KeyC']);
       this.state.targetQuat = quatNormalize(quatMultiply(this.state.targetQuat, dq));
     }
     if (keyStates['KeyR']) {
-      const dq = quatFromAxisAngle([0, 1, 0], this.ROT_STEP);
+      const dq = quatFromAxisAngle([0, 1, 0], this.ROT_STEP * keyStates['KeyR']);
       this.state.targetQuat = quatNormalize(quatMultiply(this.state.targetQuat, dq));
     }
     if (keyStates['KeyF']) {
-      const dq = quatFromAxisAngle([0, 1, 0], -this.ROT_STEP);
+      const dq = quatFromAxisAngle([0, 1, 0], -this.ROT_STEP * keyStates['KeyF']);
       this.state.targetQuat = quatNormalize(quatMultiply(this.state.targetQuat, dq));
     }
     if (keyStates['KeyT']) {
-      const dq = quatFromAxisAngle([0, 0, 1], this.ROT_STEP);
+      const dq = quatFromAxisAngle([0, 0, 1], this.ROT_STEP * keyStates['KeyT']);
       this.state.targetQuat = quatNormalize(quatMultiply(this.state.targetQuat, dq));
     }
     if (keyStates['KeyG']) {
-      const dq = quatFromAxisAngle([0, 0, 1], -this.ROT_STEP);
+      const dq = quatFromAxisAngle([0, 0, 1], -this.ROT_STEP * keyStates['KeyG']);
       this.state.targetQuat = quatNormalize(quatMultiply(this.state.targetQuat, dq));
     }
 
@@ -597,6 +610,7 @@ export class PandaController extends BaseController {
       this._clampPosition();
 
       // Solve IK with position and orientation (expensive: ~40 mj_forward calls)
+      const savedQpos = Float64Array.from(data.qpos);
       this._solveIK(this.state.targetPos, this.state.targetQuat, model, data);
 
       // Cache control values
@@ -604,6 +618,12 @@ export class PandaController extends BaseController {
         const jointIdx = this.ARM_JOINT_INDICES[i];
         this.cachedCtrl[i] = data.qpos[jointIdx];
       }
+
+      // The IK works on qpos, so put the arm back and let the actuators
+      // drive it to the solution. Teleporting the arm leaves it without
+      // velocity, and a grasped object then slides out of the fingers.
+      data.qpos.set(savedQpos);
+      this.mujoco.mj_forward(model, data);
     }
 
     // Apply cached control values every frame
@@ -627,6 +647,81 @@ export class PandaController extends BaseController {
     data.ctrl[this.GRIPPER_ACTUATOR_IDX_2] = gripperValue;
   }
 
+  // ========================================
+  // Programmatic control (used by SimulationAPI)
+  // ========================================
+
+  /**
+   * Set the end-effector target pose. The IK in step() tracks it.
+   * @param {number[]} pos - Fingertip position [x, y, z] in world coordinates
+   * @param {number[]} [quat] - Hand orientation [w, x, y, z]; keeps the current target if omitted
+   * @returns {{target: number[], clamped: boolean}} - Target after workspace clamping
+   */
+  setTargetPose(pos, quat = null) {
+    if (!this.state) {
+      throw new Error('PandaController not initialized');
+    }
+
+    this.state.targetPos = [...pos];
+    this._clampPosition();
+    if (quat) {
+      this.state.targetQuat = quatNormalize(quat);
+    }
+
+    const clamped = this.state.targetPos.some((v, i) => Math.abs(v - pos[i]) > 1e-9);
+    return { target: [...this.state.targetPos], clamped };
+  }
+
+  /**
+   * Open or close the gripper.
+   * step() syncs the gripper state from ctrl, so the fingers are set directly.
+   * @param {boolean} open
+   * @param {object} data - MuJoCo data
+   */
+  setGripper(open, data) {
+    if (this.state) {
+      this.state.gripperOpen = open;
+    }
+    const value = open ? this.GRIPPER_OPEN : this.GRIPPER_CLOSED;
+    data.ctrl[this.GRIPPER_ACTUATOR_IDX_1] = value;
+    data.ctrl[this.GRIPPER_ACTUATOR_IDX_2] = value;
+  }
+
+  /**
+   * Current end-effector pose and its error to the target.
+   * @param {object} data - MuJoCo data
+   * @returns {{position: number[], quaternion: number[], position_error: number, rotation_error: number}}
+   */
+  getPoseError(data) {
+    const posError = this._posError(this.state.targetPos, data);
+    const rotError = this._rotError(this.state.targetQuat, data);
+    return {
+      position: this._getEEPosition(data),
+      quaternion: this._getEEQuaternion(data),
+      position_error: Math.sqrt(posError[0]**2 + posError[1]**2 + posError[2]**2),
+      rotation_error: Math.sqrt(rotError[0]**2 + rotError[1]**2 + rotError[2]**2)
+    };
+  }
+
+  /**
+   * Arm joints that are at (or within `tolerance` of) their limits.
+   * @param {object} data - MuJoCo data
+   * @param {number} [tolerance] - Radians
+   * @returns {{joint: number, position: number, limit: number}[]} - 1-based joint numbers, as in joint1..joint7
+   */
+  getJointLimitsHit(data, tolerance = 0.01) {
+    const hits = [];
+    for (let i = 0; i < this.ARM_JOINT_INDICES.length; i++) {
+      const q = data.qpos[this.ARM_JOINT_INDICES[i]];
+      if (q <= this.JOINT_LIMITS_MIN[i] + tolerance) {
+        hits.push({ joint: i + 1, position: q, limit: this.JOINT_LIMITS_MIN[i] });
+      } else if (q >= this.JOINT_LIMITS_MAX[i] - tolerance) {
+        hits.push({ joint: i + 1, position: q, limit: this.JOINT_LIMITS_MAX[i] });
+      }
+    }
+    return hits;
+  }
+
   /**
    * Get the list of keys this controller uses
    */
@@ -152,42 +152,42 @@ export class SO101Controller extends BaseController {
 
     // Shoulder rotation (A/D) - A: left, D: right
     if (keyStates['KeyA']) {
-      this.state.targetJoints[0] -= this.JOINT_STEP;
+      this.state.targetJoints[0] -= this.JOINT_STEP * keyStates['KeyA'];
     }
     if (keyStates['KeyD']) {
-      this.state.targetJoints[0] += this.JOINT_STEP;
+      this.state.targetJoints[0] += this.JOINT_STEP * keyStates['KeyD'];
     }
 
     // End effector X position (W/S) - W: forward, S: backward
     if (keyStates['KeyW']) {
-      this.state.eePos[0] += this.EE_STEP;
+      this.state.eePos[0] += this.EE_STEP * keyStates['KeyW'];
     }
     if (keyStates['KeyS']) {
-      this.state.eePos[0] -= this.EE_STEP;
+      this.state.eePos[0] -= this.EE_STEP * keyStates['KeyS'];
     }
 
     // End effector Y position (Q/E) - Q: up, E: down
     if (keyStates['KeyQ']) {
-      this.state.eePos[1] += this.EE_STEP;
+      this.state.eePos[1] += this.EE_STEP * keyStates['KeyQ'];
     }
     if (keyStates['KeyE']) {
-      this.state.eePos[1] -= this.EE_STEP;
+      this.state.eePos[1] -= this.EE_STEP * keyStates['KeyE'];
     }
 
     // Pitch adjustment (R/F)
     if (keyStates['KeyR']) {
-      this.state.pitch += this.PITCH_STEP;
+      this.state.pitch += this.PITCH_STEP * keyStates['KeyR'];
     }
     if (keyStates['KeyF']) {
-      this.state.pitch -= this.PITCH_STEP;
+      this.state.pitch -= this.PITCH_STEP * keyStates['KeyF'];
     }
 
     // Wrist roll (Z/C)
     if (keyStates['KeyZ']) {
-      this.state.targetJoints[4] += this.JOINT_STEP * 3;
+      this.state.targetJoints[4] += this.JOINT_STEP * 3 * keyStates['KeyZ'];
     }
     if (keyStates['KeyC']) {
-      this.state.targetJoints[4] -= this.JOINT_STEP * 3;
+      this.state.targetJoints[4] -= this.JOINT_STEP * 3 * keyStates['KeyC'];
     }
 
     // Calculate IK with pitch compensation
@@ -226,6 +226,19 @@ export class SO101Controller extends BaseController {
     }
   }
 
+  /**
+   * Set the end effector target; the IK in step() tracks it.
+   * Used by SimulationAPI so AI arm moves are not overwritten by the keyboard IK.
+   * @param {string} _arm - Ignored (single arm), kept for XLeRobotController parity
+   * @param {number} x - Forward distance from the shoulder (m)
+   * @param {number} y - Vertical distance from the shoulder (m)
+   */
+  setEndEffectorTarget(_arm, x, y) {
+    if (!this.state) return;
+    this.state.eePos = [x, y];
+    this.state.pitch = 0;
+  }
+
   /**
    * Get the list of keys this controller uses
    * @returns {string[]}
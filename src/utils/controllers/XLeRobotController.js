@@ -194,10 +194,10 @@ export class XLeRobotController extends BaseController {
     // Forward/Backward (W/S)
     const forwardKeyActive = keyStates['KeyS'] || keyStates['KeyW'];
     if (keyStates['KeyS']) {
-      data.ctrl[0] = this.BASE_SPEED;
+      data.ctrl[0] = this.BASE_SPEED * keyStates['KeyS'];
       this.state.prevKeyboardActive[0] = true;
     } else if (keyStates['KeyW']) {
-      data.ctrl[0] = -this.BASE_SPEED;
+      data.ctrl[0] = -this.BASE_SPEED * keyStates['KeyW'];
       this.state.prevKeyboardActive[0] = true;
     } else {
       // If keyboard was just released, reset to 0
@@ -211,10 +211,10 @@ export class XLeRobotController extends BaseController {
     // Turn Left/Right (A/D)
     const turnKeyActive = keyStates['KeyA'] || keyStates['KeyD'];
     if (keyStates['KeyA']) {
-      data.ctrl[1] = this.BASE_SPEED;
+      data.ctrl[1] = this.BASE_SPEED * keyStates['KeyA'];
       this.state.prevKeyboardActive[1] = true;
     } else if (keyStates['KeyD']) {
-      data.ctrl[1] = -this.BASE_SPEED;
+      data.ctrl[1] = -this.BASE_SPEED * keyStates['KeyD'];
       this.state.prevKeyboardActive[1] = true;
     } else {
       // If keyboard was just released, reset to 0
@@ -231,42 +231,42 @@ export class XLeRobotController extends BaseController {
 
     // Shoulder rotation (7/Y)
     if (keyStates['Digit7']) {
-      this.state.targetJoints[2] += this.JOINT_STEP;
+      this.state.targetJoints[2] += this.JOINT_STEP * keyStates['Digit7'];
     }
     if (keyStates['KeyY']) {
-      this.state.targetJoints[2] -= this.JOINT_STEP;
+      this.state.targetJoints[2] -= this.JOINT_STEP * keyStates['KeyY'];
     }
 
     // End effector Y position (8/U)
     if (keyStates['Digit8']) {
-      this.state.eePos1[1] += this.EE_STEP;
+      this.state.eePos1[1] += this.EE_STEP * keyStates['Digit8'];
     }
     if (keyStates['KeyU']) {
-      this.state.eePos1[1] -= this.EE_STEP;
+      this.state.eePos1[1] -= this.EE_STEP * keyStates['KeyU'];
     }
 
     // End effector X position (9/I)
     if (keyStates['Digit9']) {
-      this.state.eePos1[0] += this.EE_STEP;
+      this.state.eePos1[0] += this.EE_STEP * keyStates['Digit9'];
     }
     if (keyStates['KeyI']) {
-      this.state.eePos1[0] -= this.EE_STEP;
+      this.state.eePos1[0] -= this.EE_STEP * keyStates['KeyI'];
     }
 
     // Pitch adjustment (0/O)
     if (keyStates['Digit0']) {
-      this.state.pitch1 += this.PITCH_STEP;
+      this.state.pitch1 += this.PITCH_STEP * keyStates['Digit0'];
     }
     if (keyStates['KeyO']) {
-      this.state.pitch1 -= this.PITCH_STEP;
+      this.state.pitch1 -= this.PITCH_STEP * keyStates['KeyO'];
     }
 
     // Wrist roll (Minus/P)
     if (keyStates['Minus']) {
-      this.state.targetJoints[6] += this.JOINT_STEP * 3;
+      this.state.targetJoints[6] += this.JOINT_STEP * 3 * keyStates['Minus'];
     }
     if (keyStates['KeyP']) {
-      this.state.targetJoints[6] -= this.JOINT_STEP * 3;
+      this.state.targetJoints[6] -= this.JOINT_STEP * 3 * keyStates['KeyP'];
     }
 
     // Calculate IK for left arm with pitch compensation
@@ -284,42 +284,42 @@ export class XLeRobotController extends BaseController {
 
     // Shoulder rotation (H/N)
     if (keyStates['KeyH']) {
-      this.state.targetJoints[8] += this.JOINT_STEP;
+      this.state.targetJoints[8] += this.JOINT_STEP * keyStates['KeyH'];
     }
     if (keyStates['KeyN']) {
-      this.state.targetJoints[8] -= this.JOINT_STEP;
+      this.state.targetJoints[8] -= this.JOINT_STEP * keyStates['KeyN'];
     }
 
     // End effector Y position (J/M)
     if (keyStates['KeyJ']) {
-      this.state.eePos2[1] += this.EE_STEP;
+      this.state.eePos2[1] += this.EE_STEP * keyStates['KeyJ'];
     }
     if (keyStates['KeyM']) {
-      this.state.eePos2[1] -= this.EE_STEP;
+      this.state.eePos2[1] -= this.EE_STEP * keyStates['KeyM'];
     }
 
     // End effector X position (K/Comma)
     if (keyStates['KeyK']) {
-      this.state.eePos2[0] += this.EE_STEP;
+      this.state.eePos2[0] += this.EE_STEP * keyStates['KeyK'];
     }
     if (keyStates['Comma']) {
-      this.state.eePos2[0] -= this.EE_STEP;
+      this.state.eePos2[0] -= this.EE_STEP * keyStates['Comma'];
     }
 
     // Pitch adjustment (L/Period)
     if (keyStates['KeyL']) {
-      this.state.pitch2 += this.PITCH_STEP;
+      this.state.pitch2 += this.PITCH_STEP * keyStates['KeyL'];
     }
     if (keyStates['Period']) {
-      this.state.pitch2 -= this.PITCH_STEP;
+      this.state.pitch2 -= this.PITCH_STEP * keyStates['Period'];
     }
 
     // Wrist roll (Semicolon/Slash)
     if (keyStates['Semicolon']) {
-      this.state.targetJoints[12] += this.JOINT_STEP * 3;
+      this.state.targetJoints[12] += this.JOINT_STEP * 3 * keyStates['Semicolon'];
     }
     if (keyStates['Slash']) {
-      this.state.targetJoints[12] -= this.JOINT_STEP * 3;
+      this.state.targetJoints[12] -= this.JOINT_STEP * 3 * keyStates['Slash'];
     }
 
     // Calculate IK for right arm with pitch compensation
@@ -355,18 +355,18 @@ export class XLeRobotController extends BaseController {
 
     // Head pan (R/T)
     if (keyStates['KeyR']) {
-      this.state.targetJoints[14] += this.JOINT_STEP * 2;
+      this.state.targetJoints[14] += this.JOINT_STEP * 2 * keyStates['KeyR'];
     }
     if (keyStates['KeyT']) {
-      this.state.targetJoints[14] -= this.JOINT_STEP * 2;
+      this.state.targetJoints[14] -= this.JOINT_STEP * 2 * keyStates['KeyT'];
     }
 
     // Head tilt (F/G)
     if (keyStates['KeyF']) {
-      this.state.targetJoints[15] += this.JOINT_STEP * 2;
+      this.state.targetJoints[15] += this.JOINT_STEP * 2 * keyStates['KeyF'];
     }
     if (keyStates['KeyG']) {
-      this.state.targetJoints[15] -= this.JOINT_STEP * 2;
+      this.state.targetJoints[15] -= this.JOINT_STEP * 2 * keyStates['KeyG'];
     }
 
     // ========================================
@@ -385,6 +385,24 @@ export class XLeRobotController extends BaseController {
     }
   }
 
+  /**
+   * Set an arm's end effector target; the IK in step() tracks it.
+   * Used by SimulationAPI so AI arm moves are not overwritten by the keyboard IK.
+   * @param {string} arm - 'left' or 'right'
+   * @param {number} x - Forward distance from the shoulder (m)
+   * @param {number} y - Vertical distance from the shoulder (m)
+   */
+  setEndEffectorTarget(arm, x, y) {
+    if (!this.state) return;
+    if (arm === 'left') {
+      this.state.eePos1 = [x, y];
+      this.state.pitch1 = 0;
+    } else {
+      this.state.eePos2 = [x, y];
+      this.state.pitch2 = 0;
+    }
+  }
+
   /**
    * Get the list of keys this controller uses
    * @returns {string[]}
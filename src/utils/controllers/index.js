@@ -8,3 +8,4 @@ export { BaseController } from './BaseController.js';
 export { XLeRobotController } from './XLeRobotController.js';
 export { SO101Controller } from './SO101Controller.js';
 export { PandaController } from './PandaController.js';
+export { BaseVelocityController, baseVelocityController } from './BaseVelocityController.js';
@@ -0,0 +1,360 @@
+/**
+ * 2D Path Planning Utilities
+ *
+ * An occupancy grid built from the footprints of a MuJoCo model's static
+ * geoms, and an any-angle (Theta*) planner over it. Positions are MuJoCo
+ * world X/Y in meters.
+ */
+
+// MuJoCo geom types (mjtGeom) that are never obstacles
+const GEOM_PLANE = 0;
+const GEOM_HFIELD = 1;
+
+// Largest grid built; the cells get coarser beyond this
+const MAX_GRID_CELLS = 250000;
+
+// Free space around the obstacles and requested points (m)
+const GRID_PADDING = 1.0;
+
+/**
+ * Occupancy grid over the X/Y plane. Cells outside the grid are occupied.
+ */
+export class OccupancyGrid {
+  /**
+   * @param {number} originX - World X of the lower-left corner of cell (0, 0)
+   * @param {number} originY - World Y of the lower-left corner of cell (0, 0)
+   * @param {number} width - Cells along X
+   * @param {number} height - Cells along Y
+   * @param {number} resolution - Cell size (m)
+   */
+  constructor(originX, originY, width, height, resolution) {
+    this.originX = originX;
+    this.originY = originY;
+    this.width = width;
+    this.height = height;
+    this.resolution = resolution;
+    this.cells = new Uint8Array(width * height); // 1 = occupied
+  }
+
+  /**
+   * Cell containing a world position (may lie outside the grid).
+   * @returns {{i: number, j: number}}
+   */
+  toCell(x, y) {
+    return {
+      i: Math.floor((x - this.originX) / this.resolution),
+      j: Math.floor((y - this.originY) / this.resolution)
+    };
+  }
+
+  /**
+   * World position of a cell center.
+   * @returns {{x: number, y: number}}
+   */
+  toWorld(i, j) {
+    return {
+      x: this.originX + (i + 0.5) * this.resolution,
+      y: this.originY + (j + 0.5) * this.resolution
+    };
+  }
+
+  isFree(i, j) {
+    return i >= 0 && j >= 0 && i < this.width && j < this.height && !this.cells[j * this.width + i];
+  }
+
+  /**
+   * Mark the cells whose centers lie inside a world-space rectangle.
+   */
+  fillRect(minX, minY, maxX, maxY) {
+    const i0 = Math.max(0, Math.ceil((minX - this.originX) / this.resolution - 0.5));
+    const i1 = Math.min(this.width - 1, Math.floor((maxX - this.originX) / this.resolution - 0.5));
+    const j0 = Math.max(0, Math.ceil((minY - this.originY) / this.resolution - 0.5));
+    const j1 = Math.min(this.height - 1, Math.floor((maxY - this.originY) / this.resolution - 0.5));
+
+    for (let j = j0; j <= j1; j++) {
+      this.cells.fill(1, j * this.width + i0, j * this.width + i1 + 1);
+    }
+  }
+
+  /**
+   * Closest free cell to a cell, searching outward ring by ring.
+   * @returns {{i: number, j: number}|null}
+   */
+  nearestFree(i, j) {
+    if (this.isFree(i, j)) return { i, j };
+
+    const maxRing = Math.max(this.width, this.height);
+    for (let r = 1; r <= maxRing; r++) {
+      let best = null;
+      let bestDist = Infinity;
+      for (let dj = -r; dj <= r; dj++) {
+        for (let di = -r; di <= r; di++) {
+          if (Math.max(Math.abs(di), Math.abs(dj)) !== r) continue;
+          const d = di * di + dj * dj;
+          if (d < bestDist && this.isFree(i + di, j + dj)) {
+            best = { i: i + di, j: j + dj };
+            bestDist = d;
+          }
+        }
+      }
+      if (best) return best;
+    }
+    return null;
+  }
+
+  /**
+   * Whether the straight segment between two cell centers stays in free cells.
+   */
+  lineOfSight(i0, j0, i1, j1) {
+    const steps = Math.ceil(Math.max(Math.abs(i1 - i0), Math.abs(j1 - j0)) * 4);
+    for (let s = 1; s < steps; s++) {
+      const t = s / steps;
+      if (!this.isFree(Math.round(i0 + (i1 - i0) * t), Math.round(j0 + (j1 - j0) * t))) {
+        return false;
+      }
+    }
+    return true;
+  }
+}
+
+/**
+ * World-space bounding box of a geom, from its local AABB and pose.
+ * @returns {{minX: number, minY: number, minZ: number, maxX: number, maxY: number, maxZ: number}}
+ */
+function geomWorldBounds(model, data, geom) {
+  const aabb = model.geom_aabb.subarray(geom * 6, geom * 6 + 6); // center xyz, half size xyz
+  const xpos = data.geom_xpos.subarray(geom * 3, geom * 3 + 3);
+  const xmat = data.geom_xmat.subarray(geom * 9, geom * 9 + 9); // row-major
+
+  const bounds = {};
+  ['X', 'Y', 'Z'].forEach((axis, row) => {
+    let center = xpos[row];
+    let half = 0;
+    for (let col = 0; col < 3; col++) {
+      const r = xmat[row * 3 + col];
+      center += r * aabb[col];
+      half += Math.abs(r) * aabb[3 + col];
+    }
+    bounds['min' + axis] = center - half;
+    bounds['max' + axis] = center + half;
+  });
+  return bounds;
+}
+
+/**
+ * Build an occupancy grid from the static collision geoms of a model.
+ * Geoms of bodies welded to the world are projected onto the floor as
+ * bounding rectangles; planes and geoms outside the height band are skipped.
+ * @param {object} model - MuJoCo model
+ * @param {object} data - MuJoCo data (for geom poses)
+ * @param {object} [options]
+ * @param {number} [options.resolution=0.05] - Cell size (m)
+ * @param {number} [options.inflation=0] - Obstacle growth, usually the robot radius (m)
+ * @param {number} [options.minHeight=0.02] - Geoms entirely below this are ignored (m)
+ * @param {number} [options.maxHeight=1.5] - Geoms entirely above this are ignored (m)
+ * @param {{x: number, y: number}[]} [options.include] - Points the grid must cover
+ * @returns {OccupancyGrid}
+ */
+export function buildOccupancyGrid(model, data, options = {}) {
+  const { inflation = 0, minHeight = 0.02, maxHeight = 1.5, include = [] } = options;
+  let resolution = options.resolution ?? 0.05;
+
+  const obstacles = [];
+  for (let g = 0; g < model.ngeom; g++) {
+    const type = model.geom_type[g];
+    if (type === GEOM_PLANE || type === GEOM_HFIELD) continue;
+    if (model.body_weldid[model.geom_bodyid[g]] !== 0) continue; // Moves, not static
+    if (!model.geom_contype[g] && !model.geom_conaffinity[g]) continue; // Visual only
+
+    const bounds = geomWorldBounds(model, data, g);
+    if (bounds.maxZ < minHeight || bounds.minZ > maxHeight) continue;
+    obstacles.push(bounds);
+  }
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const b of obstacles) {
+    minX = Math.min(minX, b.minX); maxX = Math.max(maxX, b.maxX);
+    minY = Math.min(minY, b.minY); maxY = Math.max(maxY, b.maxY);
+  }
+  for (const p of include) {
+    minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+    minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+  }
+  if (!isFinite(minX)) {
+    minX = minY = maxX = maxY = 0;
+  }
+  minX -= GRID_PADDING; minY -= GRID_PADDING;
+  maxX += GRID_PADDING; maxY += GRID_PADDING;
+
+  const area = (maxX - minX) * (maxY - minY);
+  resolution = Math.max(resolution, Math.sqrt(area / MAX_GRID_CELLS));
+
+  const grid = new OccupancyGrid(
+    minX, minY,
+    Math.ceil((maxX - minX) / resolution),
+    Math.ceil((maxY - minY) / resolution),
+    resolution
+  );
+  for (const b of obstacles) {
+    grid.fillRect(b.minX - inflation, b.minY - inflation, b.maxX + inflation, b.maxY + inflation);
+  }
+  return grid;
+}
+
+/**
+ * Plan an any-angle path with Theta*.
+ * A start inside an obstacle first steps to the nearest free cell; a goal
+ * inside an obstacle (e.g. the center of a table) is moved to the nearest
+ * free cell.
+ * @param {OccupancyGrid} grid
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} goal
+ * @returns {{path: {x: number, y: number}[], goal: {x: number, y: number}, goalAdjusted: boolean}|null}
+ *   Waypoints from start to goal, or null if the goal cannot be reached
+ */
+export function planPath(grid, start, goal) {
+  const startCell = grid.toCell(start.x, start.y);
+  const goalCell = grid.toCell(goal.x, goal.y);
+  const from = grid.nearestFree(startCell.i, startCell.j);
+  const to = grid.nearestFree(goalCell.i, goalCell.j);
+  if (!from || !to) return null;
+
+  const goalAdjusted = to.i !== goalCell.i || to.j !== goalCell.j;
+  const cells = thetaStar(grid, from, to);
+  if (!cells) return null;
+
+  const path = cells.map(({ i, j }) => grid.toWorld(i, j));
+  path[0] = { x: start.x, y: start.y };
+  if (cells.length === 1 || (from.i !== startCell.i || from.j !== startCell.j)) {
+    // Keep the escape step out of the obstacle as its own waypoint
+    path.splice(1, 0, grid.toWorld(from.i, from.j));
+  }
+  const end = goalAdjusted ? grid.toWorld(to.i, to.j) : { x: goal.x, y: goal.y };
+  path[path.length - 1] = end;
+
+  return { path, goal: end, goalAdjusted };
+}
+
+/**
+ * Theta* search between two free cells.
+ * @returns {{i: number, j: number}[]|null} Cells from start to goal
+ */
+function thetaStar(grid, start, goal) {
+  const { width } = grid;
+  const n = width * grid.height;
+  const index = (i, j) => j * width + i;
+  const cellOf = (idx) => ({ i: idx % width, j: Math.floor(idx / width) });
+  const dist = (a, b) => Math.hypot(a.i - b.i, a.j - b.j);
+
+  const gScore = new Float64Array(n).fill(Infinity);
+  const parent = new Int32Array(n).fill(-1);
+  const closed = new Uint8Array(n);
+  const open = new MinHeap();
+
+  const startIdx = index(start.i, start.j);
+  const goalIdx = index(goal.i, goal.j);
+  gScore[startIdx] = 0;
+  parent[startIdx] = startIdx;
+  open.push(dist(start, goal), startIdx);
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (current === goalIdx) break;
+    if (closed[current]) continue;
+    closed[current] = 1;
+
+    const c = cellOf(current);
+    const p = cellOf(parent[current]);
+
+    for (let dj = -1; dj <= 1; dj++) {
+      for (let di = -1; di <= 1; di++) {
+        if (!di && !dj) continue;
+        const ni = c.i + di;
+        const nj = c.j + dj;
+        if (!grid.isFree(ni, nj)) continue;
+        // No squeezing diagonally between two occupied cells
+        if (di && dj && (!grid.isFree(c.i + di, c.j) || !grid.isFree(c.i, c.j + dj))) continue;
+
+        const next = index(ni, nj);
+        if (closed[next]) continue;
+        const neighbor = { i: ni, j: nj };
+
+        // Theta*: link straight to the grandparent when it is visible
+        let via = current;
+        let cost = gScore[current] + dist(c, neighbor);
+        if (grid.lineOfSight(p.i, p.j, ni, nj)) {
+          via = parent[current];
+          cost = gScore[via] + dist(p, neighbor);
+        }
+
+        if (cost < gScore[next]) {
+          gScore[next] = cost;
+          parent[next] = via;
+          open.push(cost + dist(neighbor, goal), next);
+        }
+      }
+    }
+  }
+
+  if (gScore[goalIdx] === Infinity) return null;
+
+  const cells = [];
+  for (let idx = goalIdx; ; idx = parent[idx]) {
+    cells.push(cellOf(idx));
+    if (idx === startIdx) break;
+  }
+  return cells.reverse();
+}
+
+/**
+ * Binary min-heap of indices keyed by priority.
+ */
+class MinHeap {
+  constructor() {
+    this.keys = [];
+    this.values = [];
+  }
+
+  get size() {
+    return this.values.length;
+  }
+
+  push(key, value) {
+    const { keys, values } = this;
+    let i = values.length;
+    keys.push(key);
+    values.push(value);
+    while (i > 0) {
+      const up = (i - 1) >> 1;
+      if (keys[up] <= key) break;
+      keys[i] = keys[up];
+      values[i] = values[up];
+      i = up;
+    }
+    keys[i] = key;
+    values[i] = value;
+  }
+
+  pop() {
+    const { keys, values } = this;
+    const top = values[0];
+    const lastKey = keys.pop();
+    const lastValue = values.pop();
+    const n = values.length;
+    if (n > 0) {
+      let i = 0;
+      while (true) {
+        let child = 2 * i + 1;
+        if (child >= n) break;
+        if (child + 1 < n && keys[child + 1] < keys[child]) child++;
+        if (keys[child] >= lastKey) break;
+        keys[i] = keys[child];
+        values[i] = values[child];
+        i = child;
+      }
+      keys[i] = lastKey;
+      values[i] = lastValue;
+    }
+    return top;
+  }
+}
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIController } from '../server/ai-controller.js';
+import { ScriptedBackend } from '../server/model-backends.js';
+
+const call = (name, id = name) => ({ type: 'tool_use', id, name, input: {} });
+const names = (batches) => batches.map(batch => batch.map(block => block.id));
+
+test('runs of read-only tools share a batch, in order', () => {
+  const controller = new AIController(null, { backend: new ScriptedBackend([]) });
+  const batches = controller._batchToolCalls([
+    call('get_robot_state', 'a'),
+    call('get_scene_objects', 'b'),
+    call('move_base', 'c'),
+    call('get_contacts', 'd'),
+    call('observe_scene', 'e'),
+    call('move_arm', 'f'),
+    call('set_gripper', 'g')
+  ]);
+
+  assert.deepEqual(names(batches), [['a', 'b'], ['c'], ['d', 'e'], ['f'], ['g']]);
+});
+
+test('motion tools get a batch of their own', () => {
+  const controller = new AIController(null, { backend: new ScriptedBackend([]) });
+  const batches = controller._batchToolCalls([
+    call('get_motion_status', 'a'),
+    call('list_motions', 'b'),
+    call('get_robot_state', 'c'),
+    call('play_motion', 'd'),
+    call('get_motion_status', 'e')
+  ]);
+
+  // list_motions may load the policy, so it does not run alongside reads
+  assert.deepEqual(names(batches), [['a'], ['b'], ['c'], ['d'], ['e']]);
+});
+
+test('a batch of reads runs concurrently and results keep the call order', async () => {
+  const backend = new ScriptedBackend([
+    { tool_calls: [{ name: 'get_robot_state' }, { name: 'get_scene_objects' }, { name: 'move_base', input: { direction: 'forward', amount: 0.1 } }] },
+    { text: 'Done' }
+  ]);
+  const controller = new AIController(null, { backend });
+
+  const log = [];
+  let releaseFirst;
+  const sendCommand = async (action) => {
+    log.push(`start ${action}`);
+    if (action === 'get_robot_state') {
+      // Only finishes once the second read has started
+      await new Promise(resolve => { releaseFirst = resolve; });
+    } else if (action === 'get_scene_objects') {
+      releaseFirst();
+    }
+    log.push(`end ${action}`);
+    return { action };
+  };
+
+  await controller.processMessage('look around', sendCommand, () => {});
+
+  assert.deepEqual(log, [
+    'start get_robot_state', 'start get_scene_objects', 'end get_scene_objects', 'end get_robot_state',
+    'start move_base', 'end move_base'
+  ]);
+  const results = controller.conversationHistory[2].content;
+  assert.deepEqual(results.map(r => JSON.parse(r.content[0].text).action), ['get_robot_state', 'get_scene_objects', 'move_base']);
+});
+
+test('compaction shrinks the request but not the stored history', async () => {
+  const requests = [];
+  const backend = new ScriptedBackend([
+    { tool_calls: [{ name: 'observe_scene' }] },
+    { tool_calls: [{ name: 'observe_scene' }] },
+    { text: 'Done' }
+  ]);
+  const createMessage = backend.createMessage.bind(backend);
+  backend.createMessage = (request, options) => {
+    requests.push(structuredClone(request.messages));
+    return createMessage(request, options);
+  };
+
+  const saved = [];
+  const historyStore = { save: async (id, record) => saved.push(structuredClone(record.messages)) };
+  const controller = new AIController(null, { backend, chatId: 'c1', historyStore, compaction: { keepImages: 1 } });
+  const sendCommand = async () => ({ head_camera_image: 'AAAA', orbit_camera_image: 'BBBB' });
+
+  await controller.processMessage('look twice', sendCommand, () => {});
+
+  const images = (messages) => JSON.stringify(messages).match(/"type":"image"/g)?.length ?? 0;
+  assert.equal(images(requests[2]), 1);
+  assert.equal(images(controller.conversationHistory), 4);
+  assert.equal(images(saved[saved.length - 1]), 4);
+});
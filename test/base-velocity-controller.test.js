@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseVelocityController } from '../src/utils/controllers/BaseVelocityController.js';
+
+const DT = 0.005;
+
+// Chassis is body 1 on a free joint; actuator 0 drives, actuator 1 turns
+const model = { opt: { timestep: DT }, body_jntadr: [-1, 0], jnt_dofadr: [0] };
+
+/**
+ * Planar base whose speeds follow the ctrl with a first-order lag, at about
+ * the feed-forward gains of the controller. `gain` 0 stalls the motors.
+ */
+function fakePlant({ gain = 1, heading = 0 } = {}) {
+  const data = {
+    ctrl: new Float64Array(2),
+    qvel: new Float64Array(6),
+    xpos: new Float64Array(6),
+    xquat: new Float64Array(8)
+  };
+  let v = 0;
+  let omega = 0;
+
+  const step = () => {
+    const tau = 0.2;
+    v += (gain * data.ctrl[0] / 0.3 - v) * DT / tau;
+    omega += (gain * data.ctrl[1] / 0.1 - omega) * DT / tau;
+    heading += omega * DT;
+    data.xpos[3] += v * Math.cos(heading) * DT;
+    data.xpos[4] += v * Math.sin(heading) * DT;
+    sync();
+  };
+  const sync = () => {
+    data.qvel.set([v * Math.cos(heading), v * Math.sin(heading), 0, 0, 0, omega]);
+    data.xquat.set([Math.cos(heading / 2), 0, 0, Math.sin(heading / 2)], 4);
+  };
+  sync();
+
+  return { data, step, get heading() { return heading; } };
+}
+
+// Step the controller and the plant until the goal settles
+async function run(controller, plant, promise, maxSteps = 20000) {
+  let result = null;
+  promise.then(value => { result = value; });
+  let steps = 0;
+  while (!result && steps < maxSteps) {
+    controller.step(model, plant.data);
+    plant.step();
+    steps++;
+    await null;
+  }
+  assert.ok(result, `goal still running after ${steps} steps`);
+  return result;
+}
+
+function createController(base = {}) {
+  const controller = new BaseVelocityController();
+  controller.bind(model, { chassis: 1, forward: 0, turn: 1, ...base });
+  return controller;
+}
+
+test('driveDistance converges within the tolerance and stops', async () => {
+  const controller = createController();
+  const plant = fakePlant();
+
+  const result = await run(controller, plant, controller.driveDistance(0.5, 0.01, 20));
+
+  assert.equal(result.success, true);
+  assert.ok(Math.abs(result.remaining) <= 0.01, `remaining ${result.remaining}`);
+  assert.ok(Math.abs(plant.data.xpos[3] - 0.5) <= 0.01, `x = ${plant.data.xpos[3]}`);
+  assert.ok(Math.abs(plant.data.xpos[4]) < 0.01);
+  assert.ok(result.elapsed < 20);
+  assert.deepEqual(Array.from(plant.data.ctrl), [0, 0]);
+  assert.equal(controller.active, false);
+});
+
+test('the heading offset and motor sign turn the front of the robot around', async () => {
+  const controller = createController({ headingOffset: Math.PI, forwardSign: -1 });
+  const plant = fakePlant();
+
+  // Positive drive ctrl moves the chassis along +X, so forward is negative ctrl toward -X
+  const result = await run(controller, plant, controller.driveDistance(0.3, 0.01, 20));
+
+  assert.equal(result.success, true);
+  assert.ok(Math.abs(plant.data.xpos[3] + 0.3) <= 0.01, `x = ${plant.data.xpos[3]}`);
+});
+
+test('turnAngle converges on the angle', async () => {
+  const controller = createController();
+  const plant = fakePlant();
+
+  const result = await run(controller, plant, controller.turnAngle(Math.PI / 2, 0.02, 20));
+
+  assert.equal(result.success, true);
+  assert.ok(Math.abs(result.angle - Math.PI / 2) <= 0.02, `turned ${result.angle}`);
+  assert.ok(Math.abs(plant.heading - Math.PI / 2) <= 0.02);
+  assert.ok(Math.hypot(plant.data.xpos[3], plant.data.xpos[4]) < 0.01);
+});
+
+test('a goal the base cannot reach times out in simulated time', async () => {
+  const controller = createController();
+  const plant = fakePlant({ gain: 0 });
+
+  const result = await run(controller, plant, controller.driveDistance(0.5, 0.01, 2));
+
+  assert.equal(result.success, false);
+  assert.equal(result.timed_out, true);
+  assert.ok(Math.abs(result.elapsed - 2) <= DT, `elapsed ${result.elapsed}`);
+  assert.ok(Math.abs(result.remaining - 0.5) < 1e-9);
+  assert.deepEqual(Array.from(plant.data.ctrl), [0, 0]);
+});
+
+test('new goals and cancel end the running goal', async () => {
+  const controller = createController();
+  const plant = fakePlant();
+
+  const first = controller.driveDistance(1, 0.01, 20);
+  controller.step(model, plant.data);
+  const second = controller.turnAngle(1, 0.01, 20);
+  const superseded = await first;
+  assert.equal(superseded.cancelled, true);
+  assert.equal(superseded.reason, 'Superseded by a new base command');
+  assert.equal(superseded.elapsed, DT);
+
+  controller.cancel('Robot reset');
+  assert.equal((await second).reason, 'Robot reset');
+  assert.equal(controller.active, false);
+
+  controller.unbind();
+  assert.deepEqual(await controller.driveDistance(1, 0.01, 20), { success: false, error: 'No drivable base' });
+});
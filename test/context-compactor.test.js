@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compactHistory, estimateContextSize } from '../server/context-compactor.js';
+
+const image = (data = 'AAAA') => ({ type: 'image', source: { type: 'base64', media_type: 'image/png', data } });
+
+// One observe_scene round-trip: user text, tool call, tool result with two frames
+function turn(i, { resultText = 'ok', imageData } = {}) {
+  return [
+    { role: 'user', content: `step ${i}` },
+    { role: 'assistant', content: [{ type: 'tool_use', id: `t${i}`, name: 'observe_scene', input: {} }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: `t${i}`, content: [
+      { type: 'text', text: resultText }, image(imageData), image(imageData)
+    ] }] }
+  ];
+}
+
+const countImages = (messages) => estimateContextSize(messages).images;
+
+test('only the newest camera frames are kept', () => {
+  const messages = [...turn(0), ...turn(1), ...turn(2)];
+  const stats = compactHistory(messages, { keepImages: 2 });
+
+  assert.equal(stats.imagesRemoved, 4);
+  assert.equal(countImages(messages), 2);
+  // The kept frames are the latest tool result's
+  assert.equal(messages[8].content[0].content.filter(b => b.type === 'image').length, 2);
+  assert.match(messages[2].content[0].content[1].text, /camera frame removed/);
+});
+
+test('older long tool results are summarized once', () => {
+  const result = JSON.stringify({ success: true, position: { x: 1, y: 2 }, heading: 0.5, log: 'x'.repeat(5000) }, null, 2);
+  const messages = [...turn(0, { resultText: result }), ...turn(1, { resultText: result })];
+  const options = { keepRecentMessages: 3, maxToolResultChars: 500 };
+
+  assert.equal(compactHistory(messages, options).resultsSummarized, 1);
+  assert.equal(
+    messages[2].content[0].content[0].text,
+    `[Older observe_scene result summarized from ${result.length} characters] status: ok; heading=0.5`
+  );
+  assert.equal(messages[5].content[0].content[0].text, result);
+  assert.equal(compactHistory(messages, options).resultsSummarized, 0);
+});
+
+test('errors are kept in summaries and plain text is truncated', () => {
+  const failed = JSON.stringify({ error: 'Arm not reachable', detail: 'y'.repeat(1000) });
+  const messages = [...turn(0, { resultText: failed }), ...turn(1, { resultText: 'z'.repeat(1000) }), ...turn(2)];
+  compactHistory(messages, { keepRecentMessages: 3, maxToolResultChars: 200 });
+
+  assert.match(messages[2].content[0].content[0].text, /status: error: Arm not reachable$/);
+  const truncated = messages[5].content[0].content[0].text;
+  assert.equal(truncated.length, 200);
+  assert.match(truncated, /1000 characters of an older observe_scene result truncated\]$/);
+});
+
+test('over budget, images and then whole turns are dropped, keeping tool pairs intact', () => {
+  const big = 'A'.repeat(20000);
+  const messages = [...turn(0, { imageData: big }), ...turn(1, { imageData: big }), ...turn(2)];
+  const stats = compactHistory(messages, { maxBytes: 1000 });
+
+  assert.equal(stats.imagesRemoved, 6);
+  assert.ok(stats.messagesDropped > 0);
+  assert.ok(estimateContextSize(messages).bytes <= 1000);
+  // Cut at a user text message, so no tool_result lost its tool_use
+  assert.equal(typeof messages[0].content, 'string');
+  assert.equal(messages.length % 3, 0);
+});
+
+test('non-finite overrides fall back to the defaults', () => {
+  const messages = [...turn(0), ...turn(1), ...turn(2)];
+  compactHistory(messages, { keepImages: NaN, maxBytes: Number('4MB'), maxTokens: undefined });
+
+  // Default keepImages is 4; NaN must not disable compaction
+  assert.equal(countImages(messages), 4);
+  assert.equal(messages.length, 9);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { HistoryStore } from '../server/history-store.js';
+import { AIController } from '../server/ai-controller.js';
+
+async function withStore(fn) {
+  const directory = await mkdtemp(join(tmpdir(), 'history-store-'));
+  try {
+    await fn(new HistoryStore(join(directory, 'chats')));
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+}
+
+test('chat ids are limited to file-name-safe characters', () => {
+  assert.ok(HistoryStore.isValidId('3f2a-chat_1'));
+  assert.ok(!HistoryStore.isValidId('../escape'));
+  assert.ok(!HistoryStore.isValidId(''));
+  assert.ok(!HistoryStore.isValidId('x'.repeat(65)));
+  assert.ok(!HistoryStore.isValidId(42));
+});
+
+test('save, load, list and delete round-trip', () => withStore(async (store) => {
+  assert.deepEqual(await store.list(), []);
+  assert.equal(await store.load('chat-a'), null);
+
+  const record = { id: 'chat-a', messages: [{ role: 'user', content: 'hi' }] };
+  await store.save('chat-a', record);
+  await store.save('chat-b', { id: 'chat-b', messages: [] });
+
+  assert.deepEqual(await store.load('chat-a'), record);
+  assert.deepEqual((await store.list()).sort(), ['chat-a', 'chat-b']);
+
+  assert.equal(await store.delete('chat-a'), true);
+  assert.equal(await store.delete('chat-a'), false);
+  assert.deepEqual(await store.list(), ['chat-b']);
+}));
+
+test('saves replace the file whole and leave no temporary file', () => withStore(async (store) => {
+  await Promise.all([
+    store.save('chat-a', { id: 'chat-a', messages: ['first'] }),
+    store.save('chat-a', { id: 'chat-a', messages: ['second'] })
+  ]);
+
+  assert.deepEqual(await store.load('chat-a'), { id: 'chat-a', messages: ['second'] });
+  assert.deepEqual(await readdir(store.directory), ['chat-a.json']);
+}));
+
+test('an unreadable history loads as empty', () => withStore(async (store) => {
+  await store.save('chat-a', { id: 'chat-a', messages: [] });
+  await writeFile(join(store.directory, 'chat-a.json'), '{"id": "chat-a", "mess');
+
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    assert.equal(await store.load('chat-a'), null);
+  } finally {
+    console.warn = warn;
+  }
+  assert.match(warnings[0], /Ignoring unreadable chat history .*chat-a\.json/);
+}));
+
+test('invalid ids are rejected before touching the file system', () => withStore(async (store) => {
+  await assert.rejects(store.load('../secrets'), /Invalid chat id/);
+  await assert.rejects(store.save('a/b', {}), /Invalid chat id/);
+}));
+
+test('stored messages convert to the chat panel transcript', () => {
+  const messages = [
+    { role: 'user', content: 'pick up the cube' },
+    { role: 'assistant', content: [
+      { type: 'text', text: 'Picking it up.' },
+      { type: 'tool_use', id: 't1', name: 'pick_object', input: { name: 'box' } }
+    ] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: '{}' }] }
+  ];
+
+  assert.deepEqual(AIController.transcriptOf(messages), [
+    { type: 'user', text: 'pick up the cube' },
+    { type: 'assistant', text: 'Picking it up.' },
+    { type: 'tool-call', text: 'pick_object({"name":"box"})' }
+  ]);
+});
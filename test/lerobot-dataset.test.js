@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EpisodeRecorder } from '../src/utils/EpisodeRecorder.js';
+import { exportLeRobotDataset } from '../src/utils/LeRobotDataset.js';
+
+// 1x1 PNG
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+// A hinge joint "arm" and a free joint "box"; one actuator "motor"
+function fakeModel() {
+  const names = new TextEncoder().encode('\0arm\0box\0motor\0');
+  return {
+    names,
+    njnt: 2,
+    name_jntadr: [1, 5],
+    jnt_type: [3, 0],
+    nq: 8,
+    nv: 7,
+    nu: 1,
+    name_actuatoradr: [9],
+    opt: { timestep: 0.002 }
+  };
+}
+
+function fakeData() {
+  return { time: 0, qpos: new Float64Array(8), qvel: new Float64Array(7), ctrl: new Float64Array(1) };
+}
+
+async function recordEpisode({ steps = 3, task = 'pick the cube', camera = null } = {}) {
+  const recorder = new EpisodeRecorder();
+  const model = fakeModel();
+  const data = fakeData();
+  recorder.start(model, data, { robot: 'panda', task, robotCamera: camera, frameRate: 250 });
+  for (let i = 0; i < steps; i++) {
+    data.qpos[0] = i;
+    data.ctrl[0] = -i;
+    recorder.record(data);
+    recorder.captureFrame(data);
+    data.time += model.opt.timestep;
+  }
+  return recorder.stop();
+}
+
+const camera = { cameraBodyIndex: 1, capture: async () => PNG };
+
+/**
+ * Read a tar archive into {path: bytes}, checking each header checksum.
+ */
+async function readTar(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const text = (offset, length) => {
+    const field = bytes.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return new TextDecoder().decode(end < 0 ? field : field.subarray(0, end));
+  };
+
+  const files = {};
+  let offset = 0;
+  while (offset < bytes.length && bytes[offset] !== 0) {
+    const header = bytes.subarray(offset, offset + 512);
+    let checksum = 0;
+    header.forEach((byte, i) => { checksum += i >= 148 && i < 156 ? 32 : byte; });
+    assert.equal(parseInt(text(offset + 148, 8), 8), checksum);
+    assert.equal(text(offset + 257, 6), 'ustar');
+
+    const prefix = text(offset + 345, 155);
+    const name = text(offset + 0, 100);
+    const size = parseInt(text(offset + 124, 12), 8);
+    files[prefix ? `${prefix}/${name}` : name] = bytes.slice(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  // Two zero blocks end the archive
+  assert.equal(bytes.length - offset, 1024);
+  return files;
+}
+
+function readNpy(bytes) {
+  assert.deepEqual([...bytes.subarray(0, 8)], [0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]);
+  const headerLength = new DataView(bytes.buffer, bytes.byteOffset).getUint16(8, true);
+  assert.equal((10 + headerLength) % 64, 0);
+
+  const header = new TextDecoder().decode(bytes.subarray(10, 10 + headerLength));
+  assert.ok(header.endsWith('\n'));
+  const descr = header.match(/'descr': '([^']+)'/)[1];
+  const shape = header.match(/'shape': \(([^)]*)\)/)[1].split(',').map(Number);
+  const body = bytes.slice(10 + headerLength);
+  const values = descr === '<f8' ? new Float64Array(body.buffer) : new Float32Array(body.buffer);
+  return { descr, shape, values: Array.from(values) };
+}
+
+const json = (bytes) => JSON.parse(new TextDecoder().decode(bytes));
+
+test('the recorder names the state columns and keeps the steps', async () => {
+  const episode = await recordEpisode();
+
+  assert.equal(episode.length, 3);
+  assert.deepEqual(episode.names.qpos, ['arm', 'box.x', 'box.y', 'box.z', 'box.qw', 'box.qx', 'box.qy', 'box.qz']);
+  assert.deepEqual(episode.names.qvel, ['arm', 'box.vx', 'box.vy', 'box.vz', 'box.wx', 'box.wy', 'box.wz']);
+  assert.deepEqual(episode.names.ctrl, ['motor']);
+  assert.deepEqual(Array.from(episode.ctrl), [-0, -1, -2]);
+  assert.deepEqual(Array.from(episode.qpos.filter((_, i) => i % 8 === 0)), [0, 1, 2]);
+});
+
+test('the archive holds the metadata, columns and frames', async () => {
+  const episodes = [
+    await recordEpisode({ camera }),
+    await recordEpisode({ steps: 2, task: 'place the cube' })
+  ];
+  const files = await readTar(exportLeRobotDataset(episodes, { frameRate: 250 }));
+
+  const info = json(files['meta/info.json']);
+  assert.equal(info.robot_type, 'panda');
+  assert.equal(info.total_episodes, 2);
+  assert.equal(info.total_frames, 5);
+  assert.equal(info.total_tasks, 2);
+  assert.equal(info.fps, 500);
+  assert.deepEqual(info.features['observation.state'].names, episodes[0].names.qpos);
+  assert.equal(info.features['observation.images.head'].fps, 250);
+
+  const episodesMeta = new TextDecoder().decode(files['meta/episodes.jsonl']).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(episodesMeta, [
+    { episode_index: 0, tasks: ['pick the cube'], length: 3 },
+    { episode_index: 1, tasks: ['place the cube'], length: 2 }
+  ]);
+
+  const meta = json(files['data/chunk-000/episode_000000.json']);
+  assert.equal(meta.task_index, 0);
+  assert.deepEqual(meta.columns.action, { path: 'data/chunk-000/episode_000000/action.npy', dtype: 'float32', shape: [3, 1] });
+  // 250 frames/s at a 2 ms timestep is one frame every other step
+  assert.deepEqual(meta.frames.map(frame => frame.index), [0, 2]);
+
+  assert.equal(meta.frames[0].path, 'images/chunk-000/observation.images.head/episode_000000/frame_000000.png');
+  assert.deepEqual(files[meta.frames[0].path], Uint8Array.from(Buffer.from(PNG, 'base64')));
+
+  const action = readNpy(files['data/chunk-000/episode_000000/action.npy']);
+  assert.deepEqual(action, { descr: '<f4', shape: [3, 1], values: [-0, -1, -2] });
+  const timestamp = readNpy(files['data/chunk-000/episode_000001/timestamp.npy']);
+  assert.equal(timestamp.descr, '<f8');
+  assert.deepEqual(timestamp.shape, [2, 1]);
+  assert.deepEqual(timestamp.values, [0, 0.002]);
+  assert.deepEqual(readNpy(files['data/chunk-000/episode_000000/observation.state.npy']).shape, [3, 8]);
+});
+
+test('mixed or missing episodes are refused', async () => {
+  assert.throws(() => exportLeRobotDataset([]), /No episodes recorded/);
+
+  const episode = await recordEpisode();
+  const other = { ...episode, robot: 'SO101' };
+  assert.throws(() => exportLeRobotDataset([episode, other]), /different robots or scenes/);
+});
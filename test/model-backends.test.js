@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'events';
+import { ScriptedBackend } from '../server/model-backends.js';
+
+test('scripted turns are replayed with tool ids and stop reasons', async () => {
+  const backend = new ScriptedBackend([
+    { text: 'Looking', tool_calls: [{ name: 'observe_scene' }] },
+    { text: 'Done' }
+  ]);
+
+  const first = await backend.createMessage({});
+  assert.equal(first.stop_reason, 'tool_use');
+  assert.deepEqual(first.content[1], { type: 'tool_use', id: 'toolu_mock_0', name: 'observe_scene', input: {} });
+
+  const second = await backend.createMessage({});
+  assert.equal(second.stop_reason, 'end_turn');
+  assert.equal((await backend.createMessage({})).content[0].text, '[Mock script finished]');
+});
+
+test('a saved chat history replays its assistant messages', async () => {
+  const backend = new ScriptedBackend({ messages: [
+    { role: 'user', content: 'hi' },
+    { role: 'assistant', content: [{ type: 'text', text: 'hello' }] }
+  ] });
+  assert.equal((await backend.createMessage({})).content[0].text, 'hello');
+});
+
+test('streamed deltas reassemble the content', async () => {
+  const backend = new ScriptedBackend([{ text: 'The cube is on the table.', tool_calls: [{ name: 'move_base', input: { distance: 0.5 } }] }]);
+  const deltas = [];
+  await backend.createMessage({}, { onDelta: delta => deltas.push(delta) });
+
+  const text = deltas.filter(d => d.type === 'text').map(d => d.text).join('');
+  const json = deltas.filter(d => d.type === 'tool_input').map(d => d.partial_json).join('');
+  assert.equal(text, 'The cube is on the table.');
+  assert.deepEqual(JSON.parse(json), { distance: 0.5 });
+});
+
+test('chunk delays do not leave abort listeners behind', async () => {
+  const backend = new ScriptedBackend([{ text: 'x'.repeat(200), chunk_delay_ms: 1 }]);
+  const controller = new AbortController();
+  await backend.createMessage({}, { signal: controller.signal, onDelta: () => {} });
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('aborting stops a wait, and an aborted signal rejects at once', async () => {
+  const backend = new ScriptedBackend([{ text: 'slow', delay_ms: 10000 }, { text: 'never', delay_ms: 10000 }]);
+  const controller = new AbortController();
+  const pending = backend.createMessage({}, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(pending, { name: 'AbortError' });
+
+  const started = Date.now();
+  await assert.rejects(backend.createMessage({}, { signal: controller.signal }), { name: 'AbortError' });
+  assert.ok(Date.now() - started < 1000);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OccupancyGrid, buildOccupancyGrid, planPath } from '../src/utils/math/pathPlanning.js';
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// Minimal model/data with axis-aligned box geoms. Body 0 is the world,
+// body 1 moves (welded to itself).
+function fakeScene(geoms) {
+  const field = (key, fallback) => geoms.map(g => g[key] ?? fallback);
+  const model = {
+    ngeom: geoms.length,
+    geom_type: field('type', 6),
+    geom_bodyid: field('body', 0),
+    geom_contype: field('contype', 1),
+    geom_conaffinity: field('conaffinity', 1),
+    geom_aabb: Float64Array.from(geoms.flatMap(g => [0, 0, 0, ...g.half])),
+    body_weldid: [0, 1]
+  };
+  const data = {
+    geom_xpos: Float64Array.from(geoms.flatMap(g => g.pos)),
+    geom_xmat: Float64Array.from(geoms.flatMap(() => IDENTITY))
+  };
+  return { model, data };
+}
+
+// A wall from y = -1 to y = 1 at x = 0, 0.1 m thick
+const WALL = { pos: [0, 0, 0.5], half: [0.05, 1, 0.5] };
+
+function segmentsAreFree(grid, path) {
+  for (let k = 1; k < path.length; k++) {
+    const a = grid.toCell(path[k - 1].x, path[k - 1].y);
+    const b = grid.toCell(path[k].x, path[k].y);
+    if (!grid.lineOfSight(a.i, a.j, b.i, b.j)) return false;
+  }
+  return true;
+}
+
+test('static collision geoms become obstacles', () => {
+  const { model, data } = fakeScene([
+    WALL,
+    { type: 0, pos: [0, 0, 0], half: [10, 10, 0] },                    // Plane
+    { body: 1, pos: [2, 0, 0.5], half: [0.2, 0.2, 0.2] },              // Moves
+    { contype: 0, conaffinity: 0, pos: [-2, 0, 0.5], half: [0.2, 0.2, 0.2] }, // Visual only
+    { pos: [0, 2, 3], half: [0.2, 0.2, 0.2] }                          // Above maxHeight
+  ]);
+  const grid = buildOccupancyGrid(model, data, { resolution: 0.05, include: [{ x: 2, y: 2 }, { x: -2, y: -2 }] });
+
+  const occupied = (x, y) => {
+    const { i, j } = grid.toCell(x, y);
+    return !grid.isFree(i, j);
+  };
+  assert.equal(occupied(0, 0), true);
+  assert.equal(occupied(0, 0.9), true);
+  assert.equal(occupied(0.2, 0), false);
+  assert.equal(occupied(2, 0), false);
+  assert.equal(occupied(-2, 0), false);
+  assert.equal(occupied(0, 2), false);
+  // The included points are covered
+  assert.equal(occupied(2, 2), false);
+  assert.equal(occupied(-2, -2), false);
+});
+
+test('inflation grows the obstacles', () => {
+  const { model, data } = fakeScene([WALL]);
+  const grid = buildOccupancyGrid(model, data, { resolution: 0.05, inflation: 0.3 });
+  const { i, j } = grid.toCell(0.25, 0);
+  assert.equal(grid.isFree(i, j), false);
+  const outside = grid.toCell(0.4, 0);
+  assert.equal(grid.isFree(outside.i, outside.j), true);
+});
+
+test('an open grid gives a straight path', () => {
+  const grid = new OccupancyGrid(-2, -2, 40, 40, 0.1);
+  const plan = planPath(grid, { x: -1.23, y: -1.01 }, { x: 1.12, y: 0.77 });
+
+  assert.deepEqual(plan.path, [{ x: -1.23, y: -1.01 }, { x: 1.12, y: 0.77 }]);
+  assert.equal(plan.goalAdjusted, false);
+});
+
+test('paths go around obstacles', () => {
+  const { model, data } = fakeScene([WALL]);
+  const grid = buildOccupancyGrid(model, data, { resolution: 0.05, inflation: 0.1 });
+  const plan = planPath(grid, { x: -1, y: 0 }, { x: 1, y: 0 });
+
+  assert.ok(plan.path.length > 2);
+  assert.deepEqual(plan.path[0], { x: -1, y: 0 });
+  assert.deepEqual(plan.path[plan.path.length - 1], { x: 1, y: 0 });
+  assert.ok(segmentsAreFree(grid, plan.path));
+  // It has to pass beyond one end of the wall
+  assert.ok(plan.path.some(p => Math.abs(p.y) > 1));
+});
+
+test('a goal inside an obstacle moves to the nearest free cell', () => {
+  const { model, data } = fakeScene([WALL]);
+  const grid = buildOccupancyGrid(model, data, { resolution: 0.05 });
+  const plan = planPath(grid, { x: 1, y: 0 }, { x: 0, y: 0.5 });
+
+  assert.equal(plan.goalAdjusted, true);
+  assert.deepEqual(plan.path[plan.path.length - 1], plan.goal);
+  const { i, j } = grid.toCell(plan.goal.x, plan.goal.y);
+  assert.equal(grid.isFree(i, j), true);
+  assert.ok(Math.abs(plan.goal.x) < 0.15 && Math.abs(plan.goal.y - 0.5) < 0.05);
+});
+
+test('an enclosed goal cannot be reached', () => {
+  const grid = new OccupancyGrid(0, 0, 20, 20, 0.1);
+  // Ring of occupied cells around (1.05, 1.05)
+  grid.fillRect(0.8, 0.8, 1.3, 0.9);
+  grid.fillRect(0.8, 1.2, 1.3, 1.3);
+  grid.fillRect(0.8, 0.8, 0.9, 1.3);
+  grid.fillRect(1.2, 0.8, 1.3, 1.3);
+
+  assert.equal(planPath(grid, { x: 0.2, y: 0.2 }, { x: 1.05, y: 1.05 }), null);
+});
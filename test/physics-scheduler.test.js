@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsScheduler } from '../src/utils/PhysicsScheduler.js';
+
+const DT = 0.01;
+
+// Step until the promise settles, with a cap so a broken task cannot hang the test
+async function run(scheduler, promise, maxSteps = 10000) {
+  let settled = false;
+  promise.then(() => { settled = true; }, () => { settled = true; });
+  let steps = 0;
+  while (!settled && steps < maxSteps) {
+    scheduler.step(DT);
+    steps++;
+    await null;
+  }
+  return { result: await promise, steps };
+}
+
+test('wait counts simulated time, not wall-clock time', async () => {
+  const scheduler = new PhysicsScheduler();
+  const { result, steps } = await run(scheduler, scheduler.wait(0.5));
+
+  assert.equal(result, true);
+  assert.ok(Math.abs(steps - 50) <= 1, `took ${steps} steps`);
+  assert.equal(scheduler.tasks.size, 0);
+});
+
+test('waitFor resolves at once when the condition already holds', async () => {
+  const scheduler = new PhysicsScheduler();
+  assert.equal(await scheduler.waitFor(() => true), true);
+  assert.equal(scheduler.tasks.size, 0);
+});
+
+test('waitFor checks the condition after every step', async () => {
+  const scheduler = new PhysicsScheduler();
+  let position = 0;
+  const done = scheduler.waitFor(() => position >= 3);
+
+  scheduler.step(DT);
+  position = 3;
+  scheduler.step(DT);
+  assert.equal(await done, true);
+  assert.equal(scheduler.tasks.size, 0);
+});
+
+test('waitFor gives up after its simulated timeout', async () => {
+  const scheduler = new PhysicsScheduler();
+  const { result, steps } = await run(scheduler, scheduler.waitFor(() => false, 0.2));
+
+  assert.equal(result, false);
+  assert.ok(Math.abs(steps - 20) <= 1, `took ${steps} steps`);
+});
+
+test('nothing happens while the simulation is paused', async () => {
+  const scheduler = new PhysicsScheduler();
+  let resolved = false;
+  scheduler.wait(0.01).then(() => { resolved = true; });
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(resolved, false);
+  scheduler.step(DT);
+  await null;
+  assert.equal(resolved, true);
+});
+
+test('a throwing callback rejects only its own task', async () => {
+  const scheduler = new PhysicsScheduler();
+  const failing = scheduler.onStep(() => { throw new Error('boom'); });
+  const waiting = scheduler.wait(0.02);
+
+  scheduler.step(DT);
+  await assert.rejects(failing, /boom/);
+  scheduler.step(DT);
+  assert.equal(await waiting, true);
+});
+
+test('cancelAll ends pending tasks as not finished', async () => {
+  const scheduler = new PhysicsScheduler();
+  const a = scheduler.wait(1);
+  const b = scheduler.waitFor(() => false);
+
+  scheduler.cancelAll();
+  assert.deepEqual(await Promise.all([a, b]), [false, false]);
+  assert.equal(scheduler.tasks.size, 0);
+});
+
+test('cancelAll with a reason rejects pending tasks', async () => {
+  const scheduler = new PhysicsScheduler();
+  const waiting = scheduler.wait(1);
+
+  scheduler.cancelAll('Model reloaded');
+  await assert.rejects(waiting, /Model reloaded/);
+  assert.equal(scheduler.tasks.size, 0);
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RLEnvironment } from '../src/api/RLEnvironment.js';
+import { physicsScheduler } from '../src/utils/PhysicsScheduler.js';
+
+const DT = 0.01;
+
+// A free-floating root (7 qpos, 6 dof) and two hinges driven by the
+// actuators "thrust" (ctrl range [-1, 1]) and "free" (unlimited)
+function fakeModel() {
+  return {
+    nq: 9,
+    nv: 8,
+    nu: 2,
+    nkey: 0,
+    njnt: 3,
+    jnt_type: [0, 3, 3],
+    jnt_qposadr: [0, 7, 8],
+    jnt_dofadr: [0, 6, 7],
+    actuator_ctrllimited: [1, 0],
+    actuator_ctrlrange: [-1, 1, 0, 0],
+    names: new TextEncoder().encode('\0thrust\0free\0'),
+    name_actuatoradr: [1, 8],
+    opt: { timestep: DT }
+  };
+}
+
+function fakeData() {
+  return {
+    time: 0,
+    qpos: new Float64Array(9),
+    qvel: new Float64Array(8),
+    ctrl: new Float64Array(2),
+    actuator_length: new Float64Array(2),
+    actuator_velocity: new Float64Array(2)
+  };
+}
+
+// Resets to a root standing 1 m high; each step the root moves along +X at
+// the "thrust" ctrl and each hinge turns at its ctrl
+function fakeMujoco() {
+  const forward = (model, data) => {
+    data.actuator_length.set(data.qpos.subarray(7, 9));
+    data.actuator_velocity.set(data.qvel.subarray(6, 8));
+  };
+  return {
+    steps: 0,
+    mjtJoint: { mjJNT_FREE: { value: 0 } },
+    mj_resetData(model, data) {
+      data.time = 0;
+      data.qpos.fill(0);
+      data.qpos[2] = 1;
+      data.qpos[3] = 1;
+      data.qvel.fill(0);
+      data.ctrl.fill(0);
+    },
+    mj_forward: forward,
+    mj_step(model, data) {
+      this.steps++;
+      data.time += DT;
+      data.qvel[0] = data.ctrl[0];
+      data.qvel[6] = data.ctrl[0];
+      data.qvel[7] = data.ctrl[1];
+      data.qpos[0] += data.qvel[0] * DT;
+      data.qpos[7] += data.qvel[6] * DT;
+      data.qpos[8] += data.qvel[7] * DT;
+      forward(model, data);
+    }
+  };
+}
+
+function createEnv() {
+  const demo = { mujoco: fakeMujoco(), model: fakeModel(), data: fakeData(), params: { paused: false } };
+  return { demo, env: new RLEnvironment(demo) };
+}
+
+const round = (values) => values.map(value => Math.round(value * 1e6) / 1e6);
+
+test('reset takes over the physics and close gives it back', () => {
+  const { demo, env } = createEnv();
+
+  const { observation, info } = env.reset();
+  assert.equal(demo.params.paused, true);
+  assert.deepEqual(info, { time: 0, steps: 0 });
+  // qpos then qvel by default
+  assert.deepEqual(observation, [0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+  assert.deepEqual(env.close(), { success: true });
+  assert.equal(demo.params.paused, false);
+  assert.throws(() => env.step({ action: [0, 0] }), /Call reset before step/);
+});
+
+test('observations follow obs_config', () => {
+  const { env } = createEnv();
+  const obs_config = [{ name: 'QVel' }, { name: 'JointPos', pos_steps: [0, 1] }, { name: 'ProjectedGravityB' }];
+
+  const spec = env.getSpec({ options: { obs_config } });
+  assert.deepEqual(spec.observation_terms, [
+    { name: 'QVel', size: 8 }, { name: 'JointPos', size: 4 }, { name: 'ProjectedGravityB', size: 3 }
+  ]);
+  assert.deepEqual(spec.observation_space.shape, [15]);
+  assert.deepEqual(spec.action_space, { shape: [2], low: [-1, null], high: [1, null] });
+  assert.deepEqual(spec.actuators, ['thrust', 'free']);
+  assert.equal(spec.frame_skip, 2);
+
+  env.reset({ options: { obs_config } });
+  const { observation } = env.step({ action: [0.5, 2] });
+  assert.equal(observation.length, 15);
+  // qvel, then the joint positions now and one step ago, then gravity in the root frame
+  assert.deepEqual(round(observation), [0.5, 0, 0, 0, 0, 0, 0.5, 2, 0.01, 0.04, 0, 0, 0, 0, -1]);
+});
+
+test('actions are clipped to the ctrl ranges and rewards are weighted terms', () => {
+  const { demo, env } = createEnv();
+  env.reset({ options: { reward: { alive: 1, ctrl_cost: -0.5, forward_velocity: 1, root_height: 2 } } });
+
+  const result = env.step({ action: [3, -4] });
+  assert.deepEqual(Array.from(demo.data.ctrl), [1, -4]);
+  assert.equal(demo.mujoco.steps, 2);
+  assert.deepEqual(result.info.reward_terms, { alive: 1, ctrl_cost: -8.5, forward_velocity: 1, root_height: 2 });
+  assert.equal(result.reward, -4.5);
+  assert.equal(result.terminated, false);
+  assert.equal(result.truncated, false);
+
+  assert.throws(() => env.step({ action: [0] }), /Action must be 2 finite numbers/);
+  assert.throws(() => env.step({ action: [0, NaN] }), /Action must be 2 finite numbers/);
+  assert.throws(() => env.reset({ options: { reward: { speed: 1 } } }), /Unknown reward term "speed"/);
+});
+
+test('episodes end by truncation or termination', () => {
+  const { demo, env } = createEnv();
+  env.reset({ options: { max_episode_steps: 2 } });
+  assert.equal(env.step({ action: [0, 0] }).truncated, false);
+  assert.equal(env.step({ action: [0, 0] }).truncated, true);
+  assert.throws(() => env.step({ action: [0, 0] }), /The episode has ended/);
+
+  env.reset({ options: { max_episode_steps: 100, terminate_below: 0.5 } });
+  demo.data.qpos[2] = 0.2;
+  const result = env.step({ action: [0, 0] });
+  assert.equal(result.terminated, true);
+  assert.equal(result.truncated, false);
+});
+
+test('a seed makes the reset noise reproducible', () => {
+  const { demo, env } = createEnv();
+  const options = { reset_noise_scale: 0.1 };
+  const resetQpos = (params) => {
+    env.reset(params);
+    return Array.from(demo.data.qpos);
+  };
+
+  const first = resetQpos({ seed: 42, options });
+  const again = resetQpos({ seed: 42 });
+  const next = resetQpos({});
+  const other = resetQpos({ seed: 7 });
+
+  assert.deepEqual(again, first);
+  assert.notDeepEqual(next, first);
+  assert.notDeepEqual(other, first);
+  const base = [0, 0, 1, 1, 0, 0, 0, 0, 0];
+  assert.ok(first.every((value, i) => value !== base[i] && Math.abs(value - base[i]) <= 0.1));
+});
+
+test('reset fails commands still waiting on the live loop', async () => {
+  const { env } = createEnv();
+  const waiting = physicsScheduler.wait(1);
+
+  env.reset();
+  await assert.rejects(waiting, /RL environment episode took over the physics/);
+  assert.equal(physicsScheduler.tasks.size, 0);
+});
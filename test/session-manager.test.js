@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+import { SessionManager } from '../server/session-manager.js';
+
+// Socket stand-in that records what is sent to the simulation
+function fakeSocket() {
+  return {
+    readyState: WebSocket.OPEN,
+    sent: [],
+    send(text) { this.sent.push(JSON.parse(text)); }
+  };
+}
+
+test('resolveSession falls back to the latest session', () => {
+  const sessions = new SessionManager();
+  const first = sessions.addSession(fakeSocket());
+  const second = sessions.addSession(fakeSocket());
+
+  assert.equal(sessions.resolveSession(first.id), first);
+  assert.equal(sessions.resolveSession(), second);
+  assert.equal(sessions.resolveSession('missing'), null);
+});
+
+test('command results resolve the command of their own session', async () => {
+  const sessions = new SessionManager();
+  const a = sessions.addSession(fakeSocket());
+  const b = sessions.addSession(fakeSocket());
+
+  const resultA = sessions.sendCommand(a.id, 'get_state', {});
+  const resultB = sessions.sendCommand(b.id, 'get_state', {});
+  assert.equal(sessions.pendingCount, 2);
+
+  // Both sessions number their commands from 0
+  assert.equal(a.socket.sent[0].id, 0);
+  assert.equal(b.socket.sent[0].id, 0);
+
+  sessions.handleCommandResult(b, { id: 0, result: 'from b', sim_time: 1.5 });
+  sessions.handleCommandResult(a, { id: 0, result: 'from a' });
+  assert.equal(await resultA, 'from a');
+  assert.equal(await resultB, 'from b');
+  assert.equal(b.simTime, 1.5);
+  assert.equal(sessions.pendingCount, 0);
+});
+
+test('removeSession rejects in-flight commands', async () => {
+  const sessions = new SessionManager();
+  const session = sessions.addSession(fakeSocket());
+  const result = sessions.sendCommand(session.id, 'step', {});
+
+  sessions.removeSession(session.id);
+  await assert.rejects(result, /Simulation disconnected/);
+  assert.equal(sessions.resolveSession(), null);
+});
+
+test('sendCommand rejects for closed sockets and on timeout', async () => {
+  const sessions = new SessionManager();
+  const closed = sessions.addSession({ ...fakeSocket(), readyState: WebSocket.CLOSED });
+  await assert.rejects(sessions.sendCommand(closed.id, 'step', {}), /not connected/);
+
+  const open = sessions.addSession(fakeSocket());
+  await assert.rejects(sessions.sendCommand(open.id, 'step', {}, 10), /timed out after 10ms/);
+  assert.equal(open.pendingCommands.size, 0);
+});
+
+test('list reports the robot and pending commands', () => {
+  const sessions = new SessionManager();
+  const session = sessions.addSession(fakeSocket(), { headless: true });
+  sessions.setRobotInfo(session, { robot: 'panda' });
+
+  const [summary] = sessions.list();
+  assert.equal(summary.id, session.id);
+  assert.equal(summary.connected, true);
+  assert.equal(summary.headless, true);
+  assert.equal(summary.robot, 'panda');
+  assert.equal(summary.pending_commands, 0);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { captureState, applyState, StateSnapshotStore } from '../src/utils/StateSnapshots.js';
+
+function fakeModel(nq = 3) {
+  return { nq, nv: nq, na: 0, nu: 1, nmocap: 0 };
+}
+
+function fakeData(nq = 3) {
+  return {
+    time: 0,
+    qpos: new Float64Array(nq),
+    qvel: new Float64Array(nq),
+    act: new Float64Array(0),
+    ctrl: new Float64Array(1),
+    qfrc_applied: new Float64Array(nq)
+  };
+}
+
+function fakeMujoco() {
+  const calls = [];
+  return { calls, mj_forward: (model, data) => calls.push([model, data]) };
+}
+
+test('a captured state restores into the same model', () => {
+  const model = fakeModel();
+  const data = fakeData();
+  data.time = 1.5;
+  data.qpos.set([0.1, 0.2, 0.3]);
+  data.ctrl[0] = 0.7;
+  const controller = { getState: () => ({ target: [1, 2, 3] }) };
+
+  const snapshot = captureState(model, data, {
+    controller,
+    scene: { robot: 'panda', environment: 'tabletop' },
+    extra: { heldObject: 'box' }
+  });
+  assert.equal(snapshot.robot, 'panda');
+  assert.equal(snapshot.environment, 'tabletop');
+  assert.deepEqual(snapshot.sizes, { nq: 3, nv: 3, na: 0, nu: 1, nmocap: 0 });
+  assert.deepEqual(snapshot.fields.qpos, [0.1, 0.2, 0.3]);
+  assert.equal('mocap_pos' in snapshot.fields, false);
+  assert.deepEqual(snapshot.controller, { target: [1, 2, 3] });
+  assert.deepEqual(snapshot.extra, { heldObject: 'box' });
+
+  // Snapshots are plain data
+  const copy = JSON.parse(JSON.stringify(snapshot));
+  data.time = 9;
+  data.qpos.fill(0);
+  data.ctrl[0] = 0;
+
+  const mujoco = fakeMujoco();
+  let restored = null;
+  applyState(copy, model, data, mujoco, { controller: { setState: state => { restored = state; } } });
+  assert.equal(data.time, 1.5);
+  assert.deepEqual(Array.from(data.qpos), [0.1, 0.2, 0.3]);
+  assert.equal(data.ctrl[0], 0.7);
+  assert.equal(mujoco.calls.length, 1);
+  assert.deepEqual(restored, { target: [1, 2, 3] });
+});
+
+test('a state from a different model is refused untouched', () => {
+  const snapshot = captureState(fakeModel(3), fakeData(3), { scene: { robot: 'SO101' } });
+  const data = fakeData(4);
+  data.qpos.fill(5);
+  const mujoco = fakeMujoco();
+
+  assert.throws(() => applyState(snapshot, fakeModel(4), data, mujoco), /different model \(robot SO101, nq 3\)/);
+  assert.deepEqual(Array.from(data.qpos), [5, 5, 5, 5]);
+  assert.equal(mujoco.calls.length, 0);
+});
+
+test('slots export and import as JSON', () => {
+  const store = new StateSnapshotStore();
+  store.save('start', captureState(fakeModel(), fakeData(), { scene: { robot: 'panda' } }));
+  store.save('grasp', captureState(fakeModel(), fakeData()));
+  assert.throws(() => store.save('', {}), /name is required/);
+  assert.throws(() => store.get('missing'), /No snapshot named "missing". Saved: start, grasp/);
+
+  const other = new StateSnapshotStore();
+  assert.deepEqual(other.importJSON(store.exportJSON()), ['start', 'grasp']);
+  assert.deepEqual(other.names(), ['start', 'grasp']);
+  assert.equal(other.get('start').robot, 'panda');
+  assert.deepEqual(other.list().map(slot => slot.name), ['start', 'grasp']);
+});
+
+test('malformed exports import nothing', () => {
+  const store = new StateSnapshotStore();
+  const valid = captureState(fakeModel(), fakeData());
+
+  assert.throws(() => store.importJSON('not json'), SyntaxError);
+  assert.throws(() => store.importJSON('null'), /Not a snapshot export/);
+  assert.throws(() => store.importJSON(JSON.stringify({ version: 2, snapshots: {} })), /Not a snapshot export/);
+  assert.throws(() => store.importJSON(JSON.stringify({ version: 1, snapshots: null })), /Not a snapshot export/);
+  assert.throws(
+    () => store.importJSON(JSON.stringify({ version: 1, snapshots: { good: valid, bad: { fields: {} } } })),
+    /Snapshot "bad" is malformed/
+  );
+  assert.deepEqual(store.names(), []);
+});
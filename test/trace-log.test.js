@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TraceLog, stripImages, replayTrace } from '../server/trace-log.js';
+import { executeTool } from '../server/tools.js';
+
+test('entries are numbered per session and capped', () => {
+  const log = new TraceLog();
+  log.record('a', { tool: 'observe_scene' });
+  log.record('a', { tool: 'move_base' });
+  log.record('b', { tool: 'get_state' });
+
+  assert.deepEqual(log.get('a').map(e => [e.seq, e.tool]), [[0, 'observe_scene'], [1, 'move_base']]);
+  assert.equal(log.get('b')[0].seq, 0);
+  assert.equal(log.get('missing'), null);
+
+  for (let i = 0; i < 1005; i++) log.record('a', { tool: 'step' });
+  const entries = log.get('a');
+  assert.equal(entries.length, 1000);
+  assert.equal(entries[entries.length - 1].seq, 1006);
+
+  assert.equal(log.clear('a'), true);
+  assert.deepEqual(log.list().map(t => t.session_id), ['b']);
+});
+
+test('images are left out of recorded results', () => {
+  assert.deepEqual(
+    stripImages({ success: true, head_camera_image: 'iVBORw0...', state: { t: 1 } }),
+    { success: true, head_camera_image: '[image omitted]', state: { t: 1 } }
+  );
+});
+
+test('executeTool records the browser commands a tool sends', async () => {
+  const traces = [];
+  const sendCommand = async (action) => ({ success: true, action });
+  await executeTool('move_base', { direction: 'forward', amount: 0.5 }, sendCommand, {}, entry => traces.push(entry));
+
+  assert.equal(traces.length, 1);
+  assert.equal(traces[0].tool, 'move_base');
+  assert.deepEqual(traces[0].commands.map(c => c.action), ['move_base']);
+  assert.equal(traces[0].commands[0].params.amount, 0.5);
+});
+
+test('replay re-sends the selected commands in order and keeps going after errors', async () => {
+  const entries = [
+    { seq: 0, tool: 'observe_scene', commands: [{ action: 'observe_scene', params: {} }] },
+    { seq: 1, tool: 'move_base', commands: [{ action: 'move_base', params: { amount: 1 } }] },
+    { seq: 2, tool: 'pick_object', commands: [{ action: 'pick_object', params: {} }, { action: 'get_state', params: {} }] }
+  ];
+  const sent = [];
+  const sendCommand = async (action, params) => {
+    sent.push(action);
+    if (action === 'pick_object') throw new Error('not reachable');
+    return { success: true, params, orbit_camera_image: 'data' };
+  };
+
+  const results = await replayTrace(entries, sendCommand, { from: 1, reset: true });
+  assert.deepEqual(sent, ['reset_robot', 'move_base', 'pick_object', 'get_state']);
+  assert.deepEqual(results.map(r => [r.seq, r.action]), [[1, 'move_base'], [2, 'pick_object'], [2, 'get_state']]);
+  assert.deepEqual(results[1].result, { error: 'not reachable' });
+  assert.equal(results[0].result.orbit_camera_image, '[image omitted]');
+
+  assert.deepEqual((await replayTrace(entries, async (a) => ({ a }), { to: 0 })).map(r => r.action), ['observe_scene']);
+});
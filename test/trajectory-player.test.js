@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTrajectory, TrajectoryPlayer } from '../src/utils/TrajectoryPlayer.js';
+
+const model = { nq: 2, opt: { timestep: 0.01 } };
+
+const encode = (text) => new TextEncoder().encode(text).buffer;
+
+// .npy version 1.0 of a (rows, 2) float64 array
+function npy(rows) {
+  let header = `{'descr': '<f8', 'fortran_order': False, 'shape': (${rows.length}, 2), }`;
+  header = header.padEnd(128 - 10 - 1, ' ') + '\n';
+  const bytes = new Uint8Array(128 + rows.length * 16);
+  bytes.set([0x93, ...new TextEncoder().encode('NUMPY'), 1, 0]);
+  new DataView(bytes.buffer).setUint16(8, header.length, true);
+  bytes.set(new TextEncoder().encode(header), 10);
+  new Float64Array(bytes.buffer, 128).set(rows.flat());
+  return bytes.buffer;
+}
+
+function fakeData() {
+  return { qpos: new Float64Array(2), qvel: new Float64Array(2).fill(1) };
+}
+
+test('JSON trajectories keep their recorded times', () => {
+  const trajectory = parseTrajectory('run.json', encode(JSON.stringify({ qpos: [[0, 1], [2, 3]], time: [5, 5.5] })), model);
+  assert.equal(trajectory.length, 2);
+  assert.equal(trajectory.nq, 2);
+  assert.deepEqual(Array.from(trajectory.qpos), [0, 1, 2, 3]);
+  assert.deepEqual(Array.from(trajectory.time), [5, 5.5]);
+});
+
+test('frames without times are one timestep apart', () => {
+  const fromJson = parseTrajectory('run.json', encode('[[0, 1], [2, 3], [4, 5]]'), model);
+  assert.deepEqual(Array.from(fromJson.time), [0, 0.01, 0.02]);
+
+  const fromNpy = parseTrajectory('observation.state.npy', npy([[0, 1], [2, 3]]), model);
+  assert.deepEqual(Array.from(fromNpy.qpos), [0, 1, 2, 3]);
+  assert.equal(fromNpy.length, 2);
+
+  const fromRaw = parseTrajectory('run.bin', Float32Array.from([0, 1, 2, 3]).buffer, model);
+  assert.deepEqual(Array.from(fromRaw.qpos), [0, 1, 2, 3]);
+  assert.deepEqual(Array.from(fromRaw.time), [0, 0.01]);
+});
+
+test('malformed trajectories are refused', () => {
+  assert.throws(() => parseTrajectory('run.json', encode('{"qpos": []}'), model), /list of qpos rows/);
+  assert.throws(() => parseTrajectory('run.json', encode('[[0, 1], [2]]'), model), /Row 1 has 1 values, expected 2/);
+  assert.throws(() => parseTrajectory('run.json', encode('{"qpos": [[0, 1]], "time": [0, 1]}'), model), /time has 2 entries/);
+  assert.throws(() => parseTrajectory('run.npy', encode('not numpy'), model), /Not a .npy file/);
+  assert.throws(() => parseTrajectory('run.bin', Float32Array.from([0, 1, 2]).buffer, model), /not a multiple of nq = 2/);
+
+  const player = new TrajectoryPlayer();
+  const wide = parseTrajectory('run.json', encode('[[0, 1, 2]]'), model);
+  assert.throws(() => player.load(wide, model), /3 qpos values per frame, the model has 2/);
+});
+
+test('playback follows the recorded time and stops at the end', () => {
+  const player = new TrajectoryPlayer();
+  player.load(parseTrajectory('run.json', encode(JSON.stringify({ qpos: [[0, 0], [1, 1], [2, 2]], time: [0, 0.1, 0.3] })), model), model);
+  const data = fakeData();
+
+  player.play();
+  player.update(1000, data);
+  assert.equal(player.frame, 0);
+  assert.deepEqual(Array.from(data.qvel), [0, 0]);
+
+  player.update(1150, data);
+  assert.equal(player.frame, 1);
+  assert.deepEqual(Array.from(data.qpos), [1, 1]);
+
+  player.update(2000, data);
+  assert.equal(player.frame, 2);
+  assert.equal(player.playing, false);
+  assert.equal(player.playhead, player.duration);
+});
+
+test('looping wraps the playhead and seek clamps to the frames', () => {
+  const player = new TrajectoryPlayer();
+  player.load(parseTrajectory('run.json', encode('[[0, 0], [1, 1], [2, 2], [3, 3]]'), model), model);
+  const data = fakeData();
+
+  player.loop = true;
+  player.speed = 2;
+  player.play();
+  player.update(0, data);
+  player.update(20, data); // 0.04 s of recording, past the 0.03 s duration
+  assert.equal(player.playing, true);
+  assert.equal(player.frame, 1);
+
+  player.seek(99);
+  assert.equal(player.frame, 3);
+  player.seek(-5);
+  assert.equal(player.frame, 0);
+  assert.equal(player.playhead, 0);
+});